@@ -1,55 +1,129 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
 const { Command } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const PlatformDetector = require('../src/config/detector');
-const platforms = require('../src/platforms');
+const { createRegistry } = require('../src/platforms/registry');
 const ApiValidator = require('../src/utils/api');
 const logger = require('../src/utils/logger');
 const packageJson = require('../package.json');
 const { ensureVersions } = require('../src/utils/version-check');
+const { SERVER_KEY, findServerKeys } = require('../src/config/server-entry');
+const { TRANSPORTS, isKnownTransport } = require('../src/config/transports');
+const { createUnifiedDiff, colorizeDiff } = require('../src/utils/diff');
+const ConfigTransaction = require('../src/utils/transaction');
+const { writeFileAtomic } = require('../src/utils/atomic-write');
+const {
+  API_KEY_ENV,
+  KEY_STORAGE_MODES,
+  getSecretsPath,
+  loadApiKey,
+  planSaveApiKey,
+  resolveStoredApiKey
+} = require('../src/config/secrets');
+const backups = require('../src/utils/backups');
+const EXIT_CODES = require('../src/utils/exit-codes');
+const { resolveWorkspaces } = require('../src/config/workspaces');
+const { checkKeyExposure, planIgnoreExposed, scanRepository } = require('../src/config/leak-guard');
+const { findWorkTree } = require('../src/utils/git');
+const Doctor = require('../src/config/doctor');
+const { DEFAULT_MANIFEST, loadManifest, readManifestKey } = require('../src/config/manifest');
+const { classifyEntry } = require('../src/config/entry-status');
+const { resolveEndpoint } = require('../src/config/endpoint');
+const { checkEntryConnection } = require('../src/config/live-check');
 
-// Check Node.js and npx versions before proceeding
-ensureVersions();
+// proxy's stdout is the MCP stream, so it skips everything that prints
+const runsProxy = process.argv[2] === 'proxy';
+
+// Check Node.js and npx versions before proceeding (doctor reports them itself)
+if (!runsProxy && !process.argv.slice(2).includes('doctor')) {
+  ensureVersions();
+}
 
 const program = new Command();
 const detector = new PlatformDetector();
-const apiValidator = new ApiValidator();
+const registry = createRegistry(detector, { plugins: !runsProxy });
 
 // Constants
 const MIN_API_KEY_LENGTH = 10;
-const KNOWN_COMMANDS = ['setup', 'validate', 'config', 'remove', 'help'];
+const KNOWN_COMMANDS = ['setup', 'validate', 'status', 'doctor', 'apply', 'config', 'remove', 'backups', 'rotate-key', 'scan', 'proxy', 'help'];
+
+// Setup's options, shared by the setup command and the program itself
+function addSetupOptions(command, apiKeyDescription) {
+  return command
+    .option('-k, --api-key <key>', apiKeyDescription)
+    .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to configure (default: all detected)')
+    .option('-s, --scope <scope>', 'Configuration scope for platforms that support it (global/project, or local for Claude Code)', 'global')
+    .option('--dry-run', 'Show the changes as unified diffs without writing any files')
+    .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+    .option('-t, --transport <transport>', 'How platforms connect: auto, stdio-proxy, http or sse (default: auto)')
+    .option('--key-storage <mode>', 'Where to keep the API key: inline (in each config), env ($SPECTATOR_API_KEY), file (private secrets file) or prompt (editor asks, VS Code only)', 'inline')
+    .option('-w, --workspaces <selection>', 'Set up the project config of many folders: comma-separated folders, globs of git repositories (e.g. "~/code/*") or files listing them')
+    .option('--gitignore', 'Add configs that would hold the API key, and that git doesn\'t ignore yet, to .gitignore without asking')
+    .option('--list-platforms', 'List every supported platform, and why it was or wasn\'t detected, then exit')
+    .option('--force', 'Configure the platforms named with --platforms even if they weren\'t detected')
+    .option('--home <dir>', 'Write the configs under this home folder instead of yours (e.g. a container image being built)')
+    .option('--show-key', 'Print the custom connector URL with your API key in full')
+    .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)');
+}
 
 program
   .name('spectator-mcp')
   .description('MCP Client for Spectator Context Tool')
   .version(packageJson.version)
-  .option('-k, --api-key <key>', 'Your Spectator API key (runs setup)')
-  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to configure (default: all detected)')
-  .option('-s, --scope <scope>', 'Configuration scope for platforms that support it (global/project)', 'global')
-  .action(async (options, command) => {
-    // Default action when no command is specified
-    // Check if there's an extra argument that could be an API key
-    if (command.args.length > 0 && !options.apiKey) {
-      options.apiKey = command.args[0];
-    }
-    await runSetup(options);
-  });
+  // Options after a subcommand name belong to that subcommand
+  .enablePositionalOptions();
+
+addSetupOptions(program, 'Your Spectator API key (runs setup)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    if (actionCommand.name() === 'proxy') {
+      return;
+    }
+    // --json is accepted before or after the command name
+    if (actionCommand.optsWithGlobals().json) {
+      logger.setJsonMode(true);
+    }
+    // A bad --endpoint or $SPECTATOR_ENDPOINT is a usage error
+    try {
+      resolveEndpoint(actionCommand.opts().endpoint);
+    } catch (error) {
+      // With no command name, the program itself runs setup
+      fail(actionCommand === program ? 'setup' : actionCommand.name(), error.message, EXIT_CODES.USAGE);
+    }
+    registry.errors.forEach(({ source, error }) => logger.warning(`Platform plugin ${source} not loaded: ${error}`));
+  })
+  // Default action when no command is specified
+  .action(setupAction);
 
 /**
  * Run the setup process to configure MCP for detected AI platforms
- * @param {Object} options - Setup options
+ * @param {Object} options - Setup options (see addSetupOptions)
  * @param {string} [options.apiKey] - Spectator API key
  * @param {string} [options.platforms] - Comma-separated list of platforms to configure
  * @param {string} [options.scope='global'] - Configuration scope (global/project)
  */
 async function runSetup(options) {
+    if (options.home) {
+      detector.setHomeDir(path.resolve(options.home));
+    }
+
+    if (options.listPlatforms) {
+      listPlatforms();
+      return;
+    }
+
     try {
       logger.header('Spectator MCP Setup');
 
       // Get API key
       let apiKey = options.apiKey;
+      if (!apiKey && logger.jsonMode) {
+        fail('setup', 'An API key is required with --json. Pass it with --api-key.', EXIT_CODES.USAGE);
+      }
       if (!apiKey) {
         const answers = await inquirer.prompt([
           {
@@ -64,90 +138,190 @@ async function runSetup(options) {
 
       // Basic API key validation
       if (!apiKey || apiKey.trim().length < MIN_API_KEY_LENGTH) {
-        logger.error(`Invalid API key format. API keys should be at least ${MIN_API_KEY_LENGTH} characters.`);
-        process.exit(1);
+        fail('setup', `Invalid API key format. API keys should be at least ${MIN_API_KEY_LENGTH} characters.`, EXIT_CODES.USAGE);
+      }
+      logger.addSecret(apiKey);
+      
+      if (options.transport && !isKnownTransport(options.transport)) {
+        fail('setup', `Unknown transport "${options.transport}". Use one of: ${TRANSPORTS.join(', ')}`, EXIT_CODES.USAGE);
+      }
+
+      const keyStorage = options.keyStorage || 'inline';
+      if (!KEY_STORAGE_MODES.includes(keyStorage)) {
+        fail('setup', `Unknown key storage "${keyStorage}". Use one of: ${KEY_STORAGE_MODES.join(', ')}`, EXIT_CODES.USAGE);
+      }
+
+      if (options.workspaces && options.scope !== 'project') {
+        fail('setup', `--workspaces writes each folder's project config and can't be combined with --scope ${options.scope}`, EXIT_CODES.USAGE);
+      }
+
+      const namedPlatforms = parsePlatformList(options.platforms);
+      if (options.force && !namedPlatforms) {
+        fail('setup', '--force configures only the platforms you name. Pass them with --platforms.', EXIT_CODES.USAGE);
+      }
+      if (options.force) {
+        const unknownPlatforms = namedPlatforms.filter(p => !registry.get(p));
+        if (unknownPlatforms.length > 0) {
+          fail('setup', `Unknown platform(s): ${unknownPlatforms.join(', ')}. Use one of: ${registry.names().join(', ')}`, EXIT_CODES.USAGE);
+        }
+      }
+      // The configs would name the secrets file by its path under --home
+      if (options.home && keyStorage === 'file') {
+        fail('setup', '--key-storage file can\'t be combined with --home: the configs would name the secrets file by its path on this machine. Use inline or env.', EXIT_CODES.USAGE);
+      }
+      if (options.home) {
+        logger.info(`Writing configs under ${detector.homeDir}`);
       }
       
       logger.step('Using API key for MCP configuration...');
 
       // Detect installed platforms
       logger.step('Detecting installed AI platforms...');
-      const installedPlatforms = detector.getInstalledPlatforms();
+      const installedPlatforms = registry.getInstalledPlatforms();
       
-      if (installedPlatforms.length === 0) {
-        logger.error('No supported platforms detected. Please install Claude Desktop, Claude Code, Cursor, Windsurf, VS Code, or Cline first.');
-        process.exit(1);
+      if (installedPlatforms.length === 0 && !options.force) {
+        fail('setup', 'No supported platforms detected. Please install Claude Desktop, Claude Code, Cursor, Windsurf, VS Code, Cline, Roo Code, Zed, Continue, Goose, JetBrains AI Assistant, Junie, Codex CLI or Gemini CLI first.', EXIT_CODES.NO_PLATFORMS);
       }
 
-      console.log(`   Found: ${installedPlatforms.map(p => detector.getPlatformDisplayName(p)).join(', ')}`);
+      logger.log(`   Found: ${installedPlatforms.map(p => registry.getDisplayName(p)).join(', ') || 'none'}`);
 
       // Determine which platforms to configure
       let platformsToConfig = installedPlatforms;
-      if (options.platforms && options.platforms !== 'all') {
-        platformsToConfig = options.platforms.split(',').map(p => p.trim().toLowerCase());
+      if (namedPlatforms) {
+        platformsToConfig = namedPlatforms;
         // Validate platforms
         const invalidPlatforms = platformsToConfig.filter(p => !installedPlatforms.includes(p));
-        if (invalidPlatforms.length > 0) {
-          logger.error(`Platform(s) not installed: ${invalidPlatforms.join(', ')}`);
-          process.exit(1);
+        if (invalidPlatforms.length > 0 && !options.force) {
+          fail('setup', `Platform(s) not installed: ${invalidPlatforms.join(', ')}. Pass --force to configure them anyway.`, EXIT_CODES.NO_PLATFORMS, { installed: installedPlatforms });
         }
+        invalidPlatforms.forEach(p => logger.warning(`${registry.getDisplayName(p)} was not detected; configuring it anyway (--force)`));
+      }
+
+      if (options.workspaces) {
+        await runWorkspaceSetup(options, apiKey, keyStorage, platformsToConfig);
+        return;
+      }
+
+      // Named platforms must have --scope; detected ones without it are skipped
+      const scope = options.scope || 'global';
+      const unscoped = platformsToConfig.filter(p => registry.get(p) && !new (registry.get(p))(detector).supportsScope(scope));
+      if (unscoped.length > 0 && namedPlatforms) {
+        fail('setup', `--scope ${scope} isn't supported by ${unscoped.map(p => registry.getDisplayName(p)).join(', ')}`, EXIT_CODES.USAGE);
+      }
+      unscoped.forEach(p => logger.warning(`${registry.getDisplayName(p)} has no ${scope} config; skipped`));
+      platformsToConfig = platformsToConfig.filter(p => !unscoped.includes(p));
+      if (platformsToConfig.length === 0) {
+        const which = namedPlatforms ? 'platforms named with --platforms' : 'detected platforms';
+        fail('setup', `None of the ${which} has a ${scope} config`, EXIT_CODES.USAGE);
       }
 
-      // Configure each platform
-      logger.step('Configuring platforms...');
+      // Plan the changes for each platform before touching any file
+      logger.step(options.dryRun ? 'Planning changes (dry run)...' : 'Configuring platforms...');
       const results = [];
+      const plans = [];
       
       for (const platformName of platformsToConfig) {
-        const PlatformClass = platforms[platformName];
+        const PlatformClass = registry.get(platformName);
         if (!PlatformClass) {
           logger.warning(`Unknown platform: ${platformName}`);
           continue;
         }
 
-        const platform = new PlatformClass(detector);
-        const displayName = detector.getPlatformDisplayName(platformName);
+        const platform = new PlatformClass(detector, {
+          endpoint: options.endpoint,
+          transport: options.transport,
+          keyStorage
+        });
         
         try {
-          process.stdout.write(`   Setting up ${displayName}... `);
-          const result = await platform.configure(apiKey, { scope: options.scope });
-          
-          if (result && result.updated) {
-            console.log(chalk.yellow('↻ (updated)'));
-          } else {
-            console.log(chalk.green('✓'));
-          }
-          
-          results.push({ 
-            platform: platformName, 
-            success: true, 
-            updated: result?.updated || false,
-            hasOtherServers: result?.hasOtherServers || false
-          });
+          const plan = await platform.planConfigure(apiKey, { scope: options.scope });
+          plans.push({ platformName, platform, plan });
         } catch (error) {
-          console.log(chalk.red('✗'));
-          console.error('Full error:', error);
-          logger.error(`   Error: ${error.message}`);
+          logger.error(`   ${registry.getDisplayName(platformName)}: ${error.message}`);
           results.push({ platform: platformName, success: false, error: error.message });
         }
       }
 
+      // Keep the key out of git
+      const exposure = checkKeyExposure(plans.flatMap(({ plan }) => plan.changes), apiKey);
+      const tracked = exposure.filter(file => file.status === 'tracked');
+      if (tracked.length > 0) {
+        fail('setup', tracked.map(trackedFileError).join('\n'), EXIT_CODES.CONFIG_FAILED, { exposure });
+      }
+      const exposed = exposure.filter(file => file.status === 'exposed');
+      const gitignoreChanges = exposed.length > 0 && await confirmGitignore(exposed, options)
+        ? planIgnoreExposed(exposure)
+        : [];
+
+      // With file key storage the key is written once, to the secrets file
+      const secretsChange = keyStorage === 'file'
+        ? planSaveApiKey(getSecretsPath(detector.homeDir), apiKey)
+        : null;
+
+      if (options.dryRun) {
+        showSecretsChange(secretsChange);
+        showPlans(plans);
+        showGitignoreChanges(gitignoreChanges);
+        logger.log();
+        logger.info('Dry run: no files were written. Re-run without --dry-run to apply these changes.');
+        finish('setup', {
+          dryRun: true,
+          platforms: [
+            ...plans.map(({ platformName, plan }) => ({
+              platform: platformName,
+              displayName: registry.getDisplayName(platformName),
+              status: 'planned',
+              changes: describeChanges(plan.changes)
+            })),
+            ...results.map(describeSetupResult)
+          ],
+          secretsFile: secretsChange ? describeChanges([secretsChange])[0] : undefined,
+          gitignore: describeChanges(gitignoreChanges)
+        }, results.length > 0 ? EXIT_CODES.CONFIG_FAILED : EXIT_CODES.SUCCESS);
+        return;
+      }
+
+      // Apply every plan as one transaction
+      let rollback = null;
+      if (results.length > 0) {
+        logger.warning('Nothing was written because not every platform could be planned.');
+      } else {
+        const applied = await applyPlans(plans, [secretsChange, ...gitignoreChanges].filter(Boolean));
+        if (applied.error) {
+          fail('setup', applied.error, EXIT_CODES.CONFIG_FAILED);
+        }
+        results.push(...applied.results);
+        rollback = applied.rollback;
+      }
+
       // Show results
-      console.log('');
+      logger.log();
       const successful = results.filter(r => r.success);
       const failed = results.filter(r => !r.success);
       
       if (successful.length > 0) {
         // Big success message
-        console.log(chalk.green.bold('✅ MCP Spectator Successfully Installed!'));
-        console.log('');
+        logger.print(chalk.green.bold('✅ MCP Spectator Successfully Installed!'));
+        logger.log();
         
         logger.section('📦 Configured Platforms:');
         successful.forEach(r => {
-          const configPath = detector.getConfigPath(r.platform, options.scope);
-          const status = r.updated ? chalk.yellow('↻ Updated') : chalk.green('✓ Added');
-          logger.result(`  ${status}`, `${detector.getPlatformDisplayName(r.platform)}`);
-          if (configPath) {
-            logger.code(`    Config: ${configPath}`);
+          let status = r.updated ? chalk.yellow('↻ Updated') : chalk.green('✓ Added');
+          if (r.unchanged) {
+            status = chalk.gray('= Unchanged');
+          }
+          logger.result(`  ${status}`, `${registry.getDisplayName(r.platform)}`);
+          if (r.configPath) {
+            logger.code(`    Config: ${r.configPath}`);
+          }
+          if (r.transport) {
+            logger.code(`    Transport: ${r.transport}`);
+          }
+          if (r.migrated.length > 0) {
+            logger.code(`    Note: Migrated legacy ${r.migrated.map(k => `"${k}"`).join(', ')} entry to "${SERVER_KEY}"`);
+          }
+          if (r.migratedFrom) {
+            logger.code(`    Note: Moved the entry out of ${r.migratedFrom}`);
           }
           if (r.hasOtherServers) {
             logger.code(`    Note: Preserved existing MCP servers`);
@@ -155,210 +329,1939 @@ async function runSetup(options) {
         });
       }
       
+      if (successful.length > 0 && gitignoreChanges.length > 0) {
+        logger.section('🔒 Added to .gitignore:');
+        gitignoreChanges.forEach(change => logger.code(`    ${change.path}: ${change.added.join(', ')}`));
+      }
+
+      if (successful.length > 0 && keyStorage !== 'inline') {
+        logger.section('🔐 API Key Storage:');
+        if (keyStorage === 'file') {
+          logger.code(`    Stored in ${secretsChange.path} (owner read/write only)`);
+          logger.code('    Configs launch "npx -y spectator-mcp proxy", which reads the key from there');
+        } else if (keyStorage === 'prompt') {
+          logger.code('    Not written to disk. The editor asks for it when it first starts the server');
+        } else {
+          logger.code(`    Configs reference $${API_KEY_ENV}. Set it where your editors are started, e.g.:`);
+          logger.code(`    export ${API_KEY_ENV}=<your API key>`);
+        }
+      }
+      
       if (failed.length > 0) {
-        console.log('');
+        logger.log();
         logger.section('❌ Failed to Configure:');
         failed.forEach(r => {
-          logger.result('  ✗', `${detector.getPlatformDisplayName(r.platform)}: ${r.error}`);
+          logger.result('  ✗', `${registry.getDisplayName(r.platform)}: ${r.error}`);
         });
       }
 
+      if (rollback) {
+        logger.log();
+        showRollback(rollback);
+      }
+
+      const document = {
+        dryRun: false,
+        keyStorage,
+        platforms: results.map(describeSetupResult),
+        secretsFile: secretsChange && successful.length > 0 ? secretsChange.path : undefined,
+        gitignore: successful.length > 0 ? describeGitignore(gitignoreChanges) : [],
+        rollback: rollback || undefined
+      };
+
       // Show next steps
       if (successful.length > 0) {
-        console.log('');
+        logger.log();
         logger.section('🚀 Next Steps:');
         logger.step('Restart the configured applications to activate MCP');
         
         if (successful.some(r => r.platform === 'claude')) {
           logger.step('For Claude Pro/Team/Enterprise, you can also use the custom connector:');
           logger.code(`   Name: Spectator Voice Memory`);
-          logger.code(`   URL: ${apiValidator.formatApiUrl(apiKey)}`);
+          const validator = new ApiValidator(options.endpoint);
+          if (options.showKey) {
+            logger.print(chalk.gray(`   URL: ${validator.formatApiUrl(apiKey)}`));
+          } else {
+            logger.code(`   URL: ${validator.formatApiUrl('YOUR_API_KEY')}`);
+            logger.code('   (replace YOUR_API_KEY with your key, or add --show-key to print it here)');
+          }
         }
         
         logger.section('🔍 To verify setup:');
         logger.code('   npx spectator-mcp validate');
         
-        console.log('');
-        console.log(chalk.green('🎉 You\'re all set! Your AI assistants now have access to your Spectator context.'));
-        console.log('');
-        console.log(chalk.cyan('📱 Next: Restart your AI application and ask:'));
-        console.log(chalk.white('   "What was my last conversation about?"'));
-        console.log('');
-        console.log(chalk.gray('This will confirm Spectator is connected and working!'));
+        logger.log();
+        logger.print(chalk.green('🎉 You\'re all set! Your AI assistants now have access to your Spectator context.'));
+        logger.log();
+        logger.print(chalk.cyan('📱 Next: Restart your AI application and ask:'));
+        logger.print(chalk.white('   "What was my last conversation about?"'));
+        logger.log();
+        logger.print(chalk.gray('This will confirm Spectator is connected and working!'));
+        finish('setup', document);
       } else {
-        logger.error('No platforms were successfully configured. Please check the errors above.');
-        process.exit(1);
+        logger.error(rollback
+          ? 'Setup failed and all changes from this run were rolled back. Please check the errors above.'
+          : 'No platforms were successfully configured. Please check the errors above.');
+        finish('setup', document, EXIT_CODES.CONFIG_FAILED);
       }
 
     } catch (error) {
-      logger.error(`Setup failed: ${error.message}`);
-      process.exit(1);
+      fail('setup', `Setup failed: ${error.message}`);
     }
 }
 
-// Setup command
-program
-  .command('setup')
-  .description('Set up Spectator MCP for your AI platforms')
-  .option('-k, --api-key <key>', 'Your Spectator API key')
-  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to configure (default: all detected)')
-  .option('-s, --scope <scope>', 'Configuration scope for platforms that support it (global/project)', 'global')
-  .action(async (options, command) => {
-    // Check if there's an extra argument that could be an API key
-    if (command.args.length > 0 && !options.apiKey) {
-      options.apiKey = command.args[0];
-    }
-    await runSetup(options);
+// How sure detection is, as shown by --list-platforms
+const CONFIDENCE_LABELS = {
+  high: () => chalk.green('✓'),
+  medium: () => chalk.yellow('✓'),
+  low: () => chalk.yellow('?'),
+  none: () => chalk.gray('✗')
+};
+
+// List every platform and why it was or wasn't detected (--list-platforms)
+function listPlatforms() {
+  logger.header('Supported Platforms');
+
+  const platforms = registry.names().map(name => ({
+    platform: name,
+    displayName: registry.getDisplayName(name),
+    source: registry.getSource(name),
+    ...registry.detect(name)
+  }));
+
+  platforms.forEach(p => {
+    const confidence = p.installed ? `${p.confidence} confidence` : 'not detected';
+    logger.result(`  ${CONFIDENCE_LABELS[p.confidence]()}`, `${p.displayName} (${p.platform}): ${confidence}`);
+    logger.code(`      ${p.installed ? p.reason : `Looked for: ${p.checked.join(', ') || 'nothing on this OS'}`}`);
+    if (p.confidence === 'medium' || p.confidence === 'low') {
+      logger.code('      Only files it leaves behind were found; it may have been uninstalled');
+    }
   });
 
-// Validate command
-program
-  .command('validate')
-  .description('Validate existing Spectator MCP configurations')
-  .action(async () => {
-    try {
-      logger.header('Validating Spectator MCP Configurations');
+  const detected = platforms.filter(p => p.installed).length;
+  logger.log();
+  logger.info(`${detected} of ${platforms.length} platform(s) detected. Setup configures the detected ones unless --platforms says otherwise.`);
+  finish('setup', { platforms });
+}
 
-      const installedPlatforms = detector.getInstalledPlatforms();
-      if (installedPlatforms.length === 0) {
-        logger.warning('No supported platforms detected.');
-        return;
-      }
+/**
+ * Set up the project config of every --workspaces folder, each folder in a
+ * transaction of its own
+ * @param {Object} options - Setup options (see runSetup)
+ * @param {string} apiKey
+ * @param {string} keyStorage
+ * @param {string[]} platformNames - Platforms to configure
+ */
+async function runWorkspaceSetup(options, apiKey, keyStorage, platformNames) {
+  const workspaces = selectWorkspaces('setup', options.workspaces);
+  const projectPlatforms = withProjectScope(platformNames);
+  if (projectPlatforms.length === 0) {
+    fail('setup', 'None of the selected platforms has a project config.', EXIT_CODES.NO_PLATFORMS);
+  }
+  logger.log(`   Workspaces: ${workspaces.length} folder(s)`);
 
-      const results = [];
-      
-      for (const platformName of installedPlatforms) {
-        const PlatformClass = platforms[platformName];
-        if (!PlatformClass) continue;
+  // Plan every folder before touching any file
+  logger.step(options.dryRun ? 'Planning changes (dry run)...' : 'Configuring workspaces...');
+  const entries = [];
+  for (const workspace of workspaces) {
+    const plans = [];
+    const errors = [];
+    for (const platformName of projectPlatforms) {
+      const PlatformClass = registry.get(platformName);
+      const platform = new PlatformClass(detector, {
+        endpoint: options.endpoint,
+        transport: options.transport,
+        keyStorage,
+        projectRoot: workspace
+      });
 
-        const platform = new PlatformClass(detector);
-        const validation = await platform.validate();
-        
-        results.push({
-          platform: platformName,
-          ...validation
-        });
+      try {
+        const plan = await platform.planConfigure(apiKey, { scope: 'project' });
+        plans.push({ platformName, platform, plan });
+      } catch (error) {
+        errors.push({ platform: platformName, success: false, error: error.message });
       }
+    }
 
-      // Display results
-      logger.section('Validation Results:');
-      results.forEach(result => {
-        const displayName = detector.getPlatformDisplayName(result.platform);
-        if (result.valid) {
-          logger.success(`${displayName}: Configured correctly`);
-        } else {
-          logger.error(`${displayName}: ${result.error || 'Not configured'}`);
-        }
+    const exposure = checkKeyExposure(plans.flatMap(({ plan }) => plan.changes), apiKey);
+    exposure
+      .filter(file => file.status === 'tracked')
+      .forEach(file => {
+        const { platformName } = plans.find(({ plan }) => plan.changes.some(change => change.path === file.path));
+        errors.push({ platform: platformName, success: false, configPath: file.path, error: trackedFileError(file) });
       });
+    entries.push({ workspace, plans, errors, exposure, gitignoreChanges: [] });
+  }
 
-    } catch (error) {
-      logger.error(`Validation failed: ${error.message}`);
-      process.exit(1);
+  // Folders that fail anyway are left alone
+  const exposed = entries
+    .filter(entry => entry.errors.length === 0)
+    .flatMap(entry => entry.exposure.filter(file => file.status === 'exposed'));
+  if (exposed.length > 0 && await confirmGitignore(exposed, options)) {
+    entries
+      .filter(entry => entry.errors.length === 0)
+      .forEach(entry => {
+        entry.gitignoreChanges = planIgnoreExposed(entry.exposure);
+      });
+  }
+
+  const secretsChange = keyStorage === 'file'
+    ? planSaveApiKey(getSecretsPath(detector.homeDir), apiKey)
+    : null;
+
+  if (options.dryRun) {
+    showSecretsChange(secretsChange);
+    entries.forEach(({ workspace, plans, errors, gitignoreChanges }) => {
+      logger.log();
+      logger.print(chalk.bold(`📁 ${workspace}`));
+      showPlans(plans);
+      errors.forEach(r => logger.error(`   ${registry.getDisplayName(r.platform)}: ${r.error}`));
+      showGitignoreChanges(gitignoreChanges);
+    });
+    logger.log();
+    logger.info('Dry run: no files were written. Re-run without --dry-run to apply these changes.');
+    finish('setup', {
+      dryRun: true,
+      workspaces: entries.map(({ workspace, plans, errors, gitignoreChanges }) => ({
+        path: workspace,
+        platforms: [
+          ...plans.map(({ platformName, plan }) => ({
+            platform: platformName,
+            displayName: registry.getDisplayName(platformName),
+            status: 'planned',
+            changes: describeChanges(plan.changes)
+          })),
+          ...errors.map(describeSetupResult)
+        ],
+        gitignore: describeChanges(gitignoreChanges)
+      })),
+      secretsFile: secretsChange ? describeChanges([secretsChange])[0] : undefined
+    }, entries.some(entry => entry.errors.length > 0) ? EXIT_CODES.CONFIG_FAILED : EXIT_CODES.SUCCESS);
+    return;
+  }
+
+  // The secrets file is shared by every folder and written once
+  const secretsTransaction = new ConfigTransaction();
+  try {
+    writeChanges(secretsChange ? [secretsChange] : [], secretsTransaction);
+  } catch (error) {
+    fail('setup', error.message, EXIT_CODES.CONFIG_FAILED);
+  }
+
+  for (const entry of entries) {
+    logger.log();
+    logger.print(chalk.bold(`📁 ${entry.workspace}`));
+    entry.results = entry.errors;
+    entry.rollback = null;
+
+    if (entry.errors.length > 0) {
+      entry.errors.forEach(r => logger.error(`   ${registry.getDisplayName(r.platform)}: ${r.error}`));
+      logger.warning('   Nothing was written here because not every platform could be planned.');
+      continue;
+    }
+
+    const applied = await applyPlans(entry.plans, entry.gitignoreChanges);
+    if (applied.error) {
+      entry.error = applied.error;
+      logger.error(`   ${entry.error}`);
+      continue;
+    }
+    entry.results = applied.results;
+    entry.rollback = applied.rollback;
+  }
+
+  const succeeded = entries.filter(entry => !entry.error && entry.results.every(r => r.success));
+  const secretsRollback = succeeded.length === 0 && secretsTransaction.size > 0
+    ? secretsTransaction.rollback()
+    : null;
+
+  // Per-folder summary
+  logger.section('📁 Workspaces:');
+  entries.forEach(entry => {
+    const ok = succeeded.includes(entry);
+    logger.result(ok ? chalk.green('  ✓') : chalk.red('  ✗'), entry.workspace);
+    entry.results.forEach(r => {
+      const status = r.success ? describeSetupResult(r).status : `failed: ${r.error}`;
+      logger.code(`    ${registry.getDisplayName(r.platform)}: ${status}${r.configPath ? ` (${path.relative(entry.workspace, r.configPath)})` : ''}`);
+    });
+    if (entry.error) {
+      logger.code(`    ${entry.error}`);
+    }
+    if (ok) {
+      entry.gitignoreChanges.forEach(change => logger.code(`    ${change.path}: added ${change.added.join(', ')}`));
+    }
+    if (entry.rollback) {
+      entry.rollback.restored.forEach(filePath => logger.code(`    Restored: ${filePath}`));
+      entry.rollback.failed.forEach(f => logger.error(`   Could not restore ${f.path}: ${f.error}`));
     }
   });
 
-// Config command
-program
-  .command('config')
-  .description('Show manual configuration instructions')
-  .option('-p, --platform <platform>', 'Show instructions for specific platform')
-  .option('-k, --api-key <key>', 'API key to use in instructions')
-  .action(async (options) => {
+  logger.log();
+  if (succeeded.length === entries.length) {
+    logger.success(`Configured ${entries.length} workspace(s). Restart the configured applications to activate MCP.`);
+  } else {
+    logger.error(`Configured ${succeeded.length} of ${entries.length} workspace(s). Please check the errors above.`);
+  }
+
+  finish('setup', {
+    dryRun: false,
+    keyStorage,
+    workspaces: entries.map(entry => {
+      const ok = succeeded.includes(entry);
+      return {
+        path: entry.workspace,
+        status: ok ? 'configured' : (entry.rollback ? 'rolled-back' : 'failed'),
+        platforms: entry.results.map(describeSetupResult),
+        gitignore: ok ? describeGitignore(entry.gitignoreChanges) : [],
+        error: entry.error,
+        rollback: entry.rollback || undefined
+      };
+    }),
+    secretsFile: secretsChange && !secretsRollback ? secretsChange.path : undefined
+  }, succeeded.length === entries.length ? EXIT_CODES.SUCCESS : EXIT_CODES.CONFIG_FAILED);
+}
+
+// Resolve --workspaces to folders; a selection matching none is a usage error
+function selectWorkspaces(command, selection) {
+  let workspaces = [];
+  try {
+    workspaces = resolveWorkspaces(selection, { homeDir: detector.homeDir });
+  } catch (error) {
+    fail(command, error.message, EXIT_CODES.USAGE);
+  }
+  if (workspaces.length === 0) {
+    fail(command, `No folders match --workspaces "${selection}" (globs only match git repositories)`, EXIT_CODES.USAGE);
+  }
+  return workspaces;
+}
+
+// The platforms that have a project config; the others are skipped with a warning
+function withProjectScope(platformNames) {
+  return platformNames.filter(platformName => {
+    const PlatformClass = registry.get(platformName);
+    if (!PlatformClass) {
+      logger.warning(`Unknown platform: ${platformName}`);
+      return false;
+    }
+    if (!new PlatformClass(detector).scopes.includes('project')) {
+      logger.warning(`${registry.getDisplayName(platformName)} has no project config; skipped`);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Action of setup and of the program itself
+async function setupAction(options, command) {
+  // Check if there's an extra argument that could be an API key
+  if (command.args.length > 0 && !options.apiKey) {
+    options.apiKey = command.args[0];
+  }
+  // --workspaces writes project configs
+  if (options.workspaces && command.getOptionValueSource('scope') === 'default') {
+    options.scope = 'project';
+  }
+  await runSetup(options);
+}
+
+// Why setup won't write the API key into a file git tracks
+function trackedFileError(file) {
+  return `Refusing to write the API key into ${file.path}: git tracks it, so the key would be committed. ` +
+    `Keep the key out of the file with --key-storage env or file, or untrack it (git rm --cached ${file.relativePath}) and add it to .gitignore.`;
+}
+
+// Whether to add configs git would commit the key with to .gitignore:
+// yes with --gitignore, otherwise ask (--json and --dry-run only warn)
+async function confirmGitignore(exposed, options) {
+  if (options.gitignore) {
+    return true;
+  }
+
+  logger.warning(`Git doesn't ignore ${exposed.map(file => file.path).join(', ')}; the API key would be committed with the next "git add".`);
+  if (logger.jsonMode || options.dryRun || !process.stdin.isTTY) {
+    logger.info('Pass --gitignore to add them to .gitignore, or keep the key out of them with --key-storage env or file.');
+    return false;
+  }
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Add them to .gitignore?',
+      default: true
+    }
+  ]);
+  return confirm;
+}
+
+// Print the diff of each planned .gitignore change
+function showGitignoreChanges(changes) {
+  changes.forEach(change => {
+    logger.section('.gitignore');
+    logger.log(colorizeDiff(createUnifiedDiff(change)));
+  });
+}
+
+// Print the diff of a planned secrets file change
+function showSecretsChange(change) {
+  if (change) {
+    logger.section('Secrets file');
+    logger.log(colorizeDiff(createUnifiedDiff(change)) || '   No changes');
+  }
+}
+
+// The --json report of applied .gitignore changes
+function describeGitignore(changes) {
+  return changes.map(({ path: gitignorePath, added }) => ({ path: gitignorePath, added }));
+}
+
+// Print which files a rolled back transaction restored
+function showRollback(rollback) {
+  logger.section('↺ Rolled Back:');
+  rollback.restored.forEach(filePath => logger.code(`    Restored: ${filePath}`));
+  rollback.failed.forEach(f => logger.error(`   Could not restore ${f.path}: ${f.error}`));
+}
+
+// Write planned file changes (secrets file, .gitignore) in a transaction
+function writeChanges(changes, transaction) {
+  for (const change of changes) {
     try {
-      logger.header('Manual Configuration Instructions');
+      transaction.record(change.path);
+      writeFileAtomic(change.path, change.after, { mode: change.mode, dirMode: change.dirMode });
+    } catch (error) {
+      throw new Error(`Failed to update ${change.path}: ${error.message}`);
+    }
+  }
+}
 
-      let apiKey = options.apiKey;
-      if (!apiKey) {
-        const answers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'apiKey',
-            message: 'Enter your Spectator API key (or press enter to use YOUR_API_KEY):',
-            default: 'YOUR_API_KEY'
-          }
-        ]);
-        apiKey = answers.apiKey;
-      }
+/**
+ * Write file changes, then apply each item, as one transaction that the first
+ * failure rolls back
+ * @param {Array<Object>} changes - File changes to write first
+ * @param {Array<Object>} items - Items to apply
+ * @param {Function} applyItem - (item, transaction) => Promise
+ * @returns {Promise<{ error: Error|null, failedItem: Object|null, rollback: Object|null }>}
+ */
+async function applyInTransaction(changes, items, applyItem) {
+  const transaction = new ConfigTransaction();
+  let failedItem = null;
+  try {
+    writeChanges(changes, transaction);
+    for (const item of items) {
+      failedItem = item;
+      await applyItem(item, transaction);
+    }
+  } catch (error) {
+    return { error, failedItem, rollback: transaction.rollback() };
+  }
+  return { error: null, failedItem: null, rollback: null };
+}
 
-      let platformsToShow = [];
-      
-      if (options.platform) {
-        platformsToShow = [options.platform.toLowerCase()];
-      } else {
-        // Show all installed platforms
-        platformsToShow = detector.getInstalledPlatforms();
-        if (platformsToShow.length === 0) {
-          // If none installed, show all
-          platformsToShow = Object.keys(platforms);
-        }
-      }
+// Log the warning a platform's applyPlan() returned, if any
+function showApplyWarning(displayName, result, indent = '') {
+  if (result && result.warning) {
+    logger.warning(`${indent}${displayName}: ${result.warning}`);
+  }
+}
 
-      for (const platformName of platformsToShow) {
-        const PlatformClass = platforms[platformName];
-        if (!PlatformClass) {
-          logger.warning(`Unknown platform: ${platformName}`);
-          continue;
-        }
+/**
+ * Apply setup plans as one transaction, after writing file changes
+ * @param {Array<Object>} plans - Entries of { platformName, platform, plan }
+ * @param {Array<Object>} [changes] - File changes to write first
+ * @returns {Promise<{ results: Array<Object>, rollback: Object|null, error: string|null }>}
+ *   error is set when writing the changes failed
+ */
+async function applyPlans(plans, changes = []) {
+  const results = [];
+  const outcome = await applyInTransaction(changes, plans, async ({ platformName, platform, plan }, transaction) => {
+    const displayName = registry.getDisplayName(platformName);
+    const configPath = plan.changes[0]?.path;
 
-        const platform = new PlatformClass(detector);
-        console.log(platform.getManualInstructions(apiKey));
-      }
+    // A config that already holds exactly this entry isn't written again
+    const planned = effectiveChanges(plan);
+    if (planned.length === 0) {
+      logger.print(`   Setting up ${displayName}... ${chalk.gray('= (unchanged)')}`);
+      results.push({ ...describePlanResult(platformName, plan.result, configPath), unchanged: true });
+      return;
+    }
 
+    try {
+      logger.write(`   Setting up ${displayName}... `);
+      const result = await platform.applyPlan({ ...plan, changes: planned }, transaction);
+      logger.print(result && result.updated ? chalk.yellow('↻ (updated)') : chalk.green('✓'));
+      showApplyWarning(displayName, result, '   ');
+      results.push(describePlanResult(platformName, result, configPath));
     } catch (error) {
-      logger.error(`Failed to show config: ${error.message}`);
-      process.exit(1);
+      logger.print(chalk.red('✗'));
+      if (!logger.jsonMode) {
+        console.error(logger.mask(`Full error: ${error.stack || error}`));
+      }
+      logger.error(`   Error: ${error.message}`);
+      results.push({ platform: platformName, success: false, configPath, error: error.message });
+      throw error;
     }
   });
 
-// Remove command
+  if (outcome.rollback) {
+    results.filter(r => r.success).forEach(r => {
+      r.success = false;
+      r.rolledBack = true;
+      r.error = 'Rolled back because another platform failed';
+    });
+  }
+  return {
+    results,
+    rollback: outcome.rollback && outcome.rollback.restored.length + outcome.rollback.failed.length > 0 ? outcome.rollback : null,
+    error: outcome.error && !outcome.failedItem ? outcome.error.message : null
+  };
+}
+
+// Setup result of a platform whose plan was applied (or had nothing to write)
+function describePlanResult(platformName, result, configPath) {
+  return {
+    platform: platformName,
+    success: true,
+    configPath,
+    updated: result?.updated || false,
+    migrated: result?.migrated || [],
+    migratedFrom: result?.migratedFrom,
+    transport: result?.transport,
+    hasOtherServers: result?.hasOtherServers || false,
+    preservedServers: result?.preservedServers || [],
+    warning: result?.warning
+  };
+}
+
+// Setup result as reported in the --json document
+function describeSetupResult(result) {
+  let status = result.rolledBack ? 'rolled-back' : 'failed';
+  if (result.success) {
+    status = result.unchanged ? 'unchanged' : (result.updated ? 'updated' : 'added');
+  }
+
+  return {
+    platform: result.platform,
+    displayName: registry.getDisplayName(result.platform),
+    status,
+    configPath: result.configPath,
+    transport: result.transport,
+    migrated: result.migrated,
+    migratedFrom: result.migratedFrom,
+    preservedServers: result.preservedServers,
+    warning: result.warning,
+    error: result.error
+  };
+}
+
+// File changes as reported in the --json document of a dry run
+function describeChanges(changes) {
+  return changes.map(change => ({
+    path: change.path,
+    scope: change.scope,
+    diff: createUnifiedDiff(change)
+  }));
+}
+
+// The platforms named with --platforms; null for all of them
+function parsePlatformList(value) {
+  if (!value || value === 'all') {
+    return null;
+  }
+  return value.split(',').map(p => p.trim().toLowerCase());
+}
+
+/**
+ * Report a failed command and exit with the code of its failure class
+ * @param {string} command - Command name, reported in the --json document
+ * @param {string} message - What went wrong
+ * @param {number} [exitCode=EXIT_CODES.ERROR] - One of EXIT_CODES
+ * @param {Object} [details] - Extra fields for the --json document
+ */
+function fail(command, message, exitCode = EXIT_CODES.ERROR, details = {}) {
+  if (logger.jsonMode) {
+    logger.json({ command, success: false, exitCode, error: message, ...details });
+  } else {
+    logger.error(message);
+  }
+  process.exit(exitCode);
+}
+
+/**
+ * Finish a command: print its --json result document and set the exit code
+ * @param {string} command - Command name, reported in the --json document
+ * @param {Object} details - Command-specific result fields
+ * @param {number} [exitCode=EXIT_CODES.SUCCESS] - One of EXIT_CODES
+ */
+function finish(command, details, exitCode = EXIT_CODES.SUCCESS) {
+  if (logger.jsonMode) {
+    logger.json({ command, success: exitCode === EXIT_CODES.SUCCESS, exitCode, ...details });
+  }
+  process.exitCode = exitCode;
+}
+
+// Ask before a destructive action; --yes skips it, and --json requires it
+async function confirmAction(command, message, options) {
+  if (options.yes) {
+    return true;
+  }
+  if (logger.jsonMode) {
+    fail(command, 'Confirmation is required. Pass --yes when using --json.', EXIT_CODES.USAGE);
+  }
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message,
+      default: false
+    }
+  ]);
+  return confirm;
+}
+
+// Print the diff of every change in a set of platform plans
+function showPlans(plans) {
+  plans.forEach(({ platformName, plan }) => {
+    logger.section(registry.getDisplayName(platformName));
+    const diffs = plan.changes.map(change => createUnifiedDiff(change)).filter(Boolean);
+    if (diffs.length === 0) {
+      logger.code('   No changes');
+      return;
+    }
+    diffs.forEach(diffText => logger.log(colorizeDiff(diffText)));
+  });
+}
+
+// Setup command
+addSetupOptions(program
+  .command('setup')
+  .description('Set up Spectator MCP for your AI platforms'), 'Your Spectator API key')
+  .action(setupAction);
+
+// Validate command
 program
-  .command('remove')
-  .description('Remove Spectator MCP from configured platforms')
-  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to remove from (default: all)')
+  .command('validate')
+  .description('Validate existing Spectator MCP configurations')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to validate (default: all detected)')
+  .option('-w, --workspaces <selection>', 'Validate the project config of many folders: comma-separated folders, globs of git repositories (e.g. "~/code/*") or files listing them')
+  .option('--live', 'Also connect to each configured endpoint with an MCP handshake')
+  .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+  .option('--base-url <url>', 'Check this server with --live instead of the one each config points at (e.g. a local test server)')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
   .action(async (options) => {
     try {
-      logger.header('Remove Spectator MCP');
-
-      const installedPlatforms = detector.getInstalledPlatforms();
-      let platformsToRemove = installedPlatforms;
-      
-      if (options.platforms && options.platforms !== 'all') {
-        platformsToRemove = options.platforms.split(',').map(p => p.trim().toLowerCase());
-      }
+      logger.header('Validating Spectator MCP Configurations');
 
-      // Confirm removal
-      const { confirm } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'confirm',
-          message: `Remove Spectator MCP from ${platformsToRemove.map(p => detector.getPlatformDisplayName(p)).join(', ')}?`,
-          default: false
+      const installedPlatforms = registry.getInstalledPlatforms();
+      if (installedPlatforms.length === 0) {
+        if (logger.jsonMode) {
+          fail('validate', 'No supported platforms detected.', EXIT_CODES.NO_PLATFORMS, { platforms: [] });
         }
-      ]);
-
-      if (!confirm) {
-        logger.info('Removal cancelled');
+        logger.warning('No supported platforms detected.');
+        process.exitCode = EXIT_CODES.NO_PLATFORMS;
         return;
       }
 
-      // Remove from each platform
-      for (const platformName of platformsToRemove) {
-        const PlatformClass = platforms[platformName];
-        if (!PlatformClass) continue;
-
-        const platform = new PlatformClass(detector);
-        
+      const platformNames = parsePlatformList(options.platforms) || installedPlatforms;
+      if (options.baseUrl) {
         try {
-          await platform.remove();
+          resolveEndpoint(options.baseUrl);
         } catch (error) {
-          logger.error(`Failed to remove from ${detector.getPlatformDisplayName(platformName)}: ${error.message}`);
+          fail('validate', error.message.replace('Spectator endpoint', '--base-url'), EXIT_CODES.USAGE);
+        }
+      }
+
+      if (options.workspaces) {
+        const workspaces = selectWorkspaces('validate', options.workspaces);
+        const projectPlatforms = withProjectScope(platformNames);
+        const entries = [];
+
+        for (const workspace of workspaces) {
+          const results = await validatePlatforms(projectPlatforms, options, workspace);
+          entries.push({ path: workspace, valid: results.every(r => r.valid), platforms: results });
+
+          logger.log();
+          logger.print(chalk.bold(`📁 ${workspace}`));
+          showValidationResults(results);
         }
+
+        logger.log();
+        const valid = entries.filter(entry => entry.valid).length;
+        if (valid === entries.length) {
+          logger.success(`All ${entries.length} workspace(s) are configured correctly`);
+        } else {
+          logger.error(`${entries.length - valid} of ${entries.length} workspace(s) need attention`);
+        }
+        finish('validate', {
+          live: Boolean(options.live),
+          workspaces: entries
+        }, validationExitCode(entries.flatMap(entry => entry.platforms)));
+        return;
       }
 
-      logger.success('Removal complete');
+      const results = await validatePlatforms(platformNames, options);
 
+      logger.section('Validation Results:');
+      showValidationResults(results);
+      finish('validate', { live: Boolean(options.live), platforms: results }, validationExitCode(results));
+
+    } catch (error) {
+      fail('validate', `Validation failed: ${error.message}`);
+    }
+  });
+
+// Validate each platform, only the project config of projectRoot if given
+async function validatePlatforms(platformNames, options, projectRoot) {
+  const scopeOptions = projectRoot ? { scopes: ['project'] } : {};
+  const results = [];
+
+  for (const platformName of platformNames) {
+    const PlatformClass = registry.get(platformName);
+    if (!PlatformClass) {
+      logger.warning(`Unknown platform: ${platformName}`);
+      continue;
+    }
+
+    const platform = new PlatformClass(detector, { endpoint: options.endpoint, projectRoot });
+    const validation = await platform.validate({ ...scopeOptions, checkCli: Boolean(options.live) });
+    const live = options.live && validation.valid
+      ? await checkLiveConnections(platform, { ...scopeOptions, baseUrl: options.baseUrl })
+      : [];
+
+    results.push({
+      platform: platformName,
+      displayName: registry.getDisplayName(platformName),
+      ...validation,
+      live
+    });
+  }
+  return results;
+}
+
+// Print one line per validation result, then its live checks
+function showValidationResults(results) {
+  results.forEach(result => {
+    if (result.valid && result.warning) {
+      logger.warning(`${result.displayName}: ${result.warning}`);
+    } else if (result.valid) {
+      logger.success(`${result.displayName}: Configured correctly`);
+    } else {
+      logger.error(`${result.displayName}: ${result.error || 'Not configured'}`);
+    }
+
+    result.live.forEach(check => {
+      const scope = check.scope ? ` (${check.scope})` : '';
+      if (check.ok) {
+        logger.code(`   Live${scope}: ${describeLiveCheck(check)}`);
+      } else {
+        logger.error(`   Live${scope}: ${describeLiveCheck(check)}`);
+      }
+    });
+  });
+}
+
+// Exit code for a set of validation results: failed live checks first
+function validationExitCode(results) {
+  if (results.some(r => r.live.some(check => !check.ok))) {
+    return EXIT_CODES.CONNECTION_FAILED;
+  }
+  if (results.some(r => !r.valid)) {
+    return EXIT_CODES.NOT_CONFIGURED;
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Run an MCP handshake against the server each Spectator entry of a platform
+ * points at, authenticating the way the entry does
+ * @param {BasePlatform} platform
+ * @param {Object} [options] - Config files to check (see getConfigPaths), and
+ *   baseUrl to check instead of each entry's server
+ * @returns {Promise<Array<Object>>} One result per entry
+ */
+async function checkLiveConnections(platform, options = {}) {
+  const entries = await platform.findServerEntries(options);
+  const checks = [];
+
+  for (const { scope, path: configPath, entry } of entries) {
+    let status;
+    try {
+      // Keys kept out of the config come from the environment or secrets file
+      status = await checkEntryConnection(entry, {
+        storedKey: resolveStoredApiKey(detector.homeDir),
+        baseUrl: options.baseUrl
+      });
+    } catch (error) {
+      status = { error: error.message };
+    }
+    checks.push({ scope, configPath, ok: Boolean(status.authenticated && !status.error), ...status });
+  }
+
+  return checks;
+}
+
+// One-line summary of a live check, e.g. "reachable, authenticated, spectator 1.0.0, 3 tools"
+function describeLiveCheck(check) {
+  if (check.reachable === undefined) {
+    return check.error;
+  }
+
+  const parts = [
+    check.reachable ? 'reachable' : 'unreachable',
+    check.authenticated ? 'authenticated' : 'not authenticated'
+  ];
+  if (check.serverName) {
+    parts.push([check.serverName, check.serverVersion].filter(Boolean).join(' '));
+  }
+  if (check.toolCount !== undefined) {
+    parts.push(`${check.toolCount} tool${check.toolCount === 1 ? '' : 's'}`);
+  }
+  if (check.error) {
+    parts.push(check.error);
+  }
+  return parts.join(', ');
+}
+
+// How each entry status is shown
+const ENTRY_STATUS = {
+  'up-to-date': () => chalk.green('✓'),
+  stale: () => chalk.yellow('↻'),
+  'hand-modified': () => chalk.magenta('✎'),
+  missing: () => chalk.gray('-'),
+  unreadable: () => chalk.red('✗')
+};
+
+// Status command
+program
+  .command('status')
+  .description('Compare each platform\'s Spectator entry with the one setup would write now')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to check (default: all detected)')
+  .option('-k, --api-key <key>', 'API key the entries should hold (default: $SPECTATOR_API_KEY or the secrets file)')
+  .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+  .option('-t, --transport <transport>', 'Transport setup would write: auto, stdio-proxy, http or sse (default: auto)')
+  .option('--key-storage <mode>', 'Key storage setup would use: inline, env, file or prompt (default: the one each entry uses)')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      logger.header('Spectator MCP Status');
+
+      if (options.transport && !isKnownTransport(options.transport)) {
+        fail('status', `Unknown transport "${options.transport}". Use one of: ${TRANSPORTS.join(', ')}`, EXIT_CODES.USAGE);
+      }
+      if (options.keyStorage && !KEY_STORAGE_MODES.includes(options.keyStorage)) {
+        fail('status', `Unknown key storage "${options.keyStorage}". Use one of: ${KEY_STORAGE_MODES.join(', ')}`, EXIT_CODES.USAGE);
+      }
+
+      let apiKey = options.apiKey;
+      if (!apiKey) {
+        try {
+          apiKey = resolveStoredApiKey(detector.homeDir);
+        } catch {
+          // An unreadable secrets file only means there is no key to compare
+        }
+      }
+      logger.addSecret(apiKey);
+
+      const installedPlatforms = registry.getInstalledPlatforms();
+      const platformNames = parsePlatformList(options.platforms) || installedPlatforms;
+      if (platformNames.length === 0) {
+        fail('status', 'No supported platforms detected.', EXIT_CODES.NO_PLATFORMS);
+      }
+
+      const platforms = [];
+      for (const platformName of platformNames) {
+        const PlatformClass = registry.get(platformName);
+        if (!PlatformClass) {
+          logger.warning(`Unknown platform: ${platformName}`);
+          continue;
+        }
+
+        const platform = new PlatformClass(detector, { endpoint: options.endpoint, transport: options.transport });
+        const entries = await describeEntries(platform, { apiKey, keyStorage: options.keyStorage });
+        platforms.push({ platform: platformName, displayName: platform.displayName, entries });
+
+        logger.section(`${platform.displayName}:`);
+        entries.forEach(entry => {
+          logger.result(`  ${ENTRY_STATUS[entry.status]()}`, `${entry.scope}: ${entry.status}${entry.path ? ` (${entry.path})` : ''}`);
+          entry.reasons.forEach(reason => logger.code(`      ${reason}`));
+        });
+      }
+
+      const entries = platforms.flatMap(p => p.entries);
+      const count = status => entries.filter(entry => entry.status === status).length;
+      logger.log();
+      if (count('up-to-date') === entries.length) {
+        logger.success('Every entry is up to date');
+      } else {
+        logger.info(`${count('up-to-date')} up to date, ${count('stale')} stale, ${count('hand-modified')} hand-modified, ${count('missing')} missing, ${count('unreadable')} unreadable`);
+        if (count('stale') + count('missing') > 0) {
+          logger.step('Run "npx spectator-mcp setup" to add missing entries and update stale ones');
+        }
+        if (count('hand-modified') > 0) {
+          logger.step('Hand-modified entries are kept until you run setup for them; check them with "npx spectator-mcp validate"');
+        }
+      }
+
+      finish('status', { apiKeyKnown: Boolean(apiKey), platforms }, count('up-to-date') === entries.length
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.DRIFT_DETECTED);
+
+    } catch (error) {
+      fail('status', `Status failed: ${error.message}`);
+    }
+  });
+
+// Classify every Spectator entry in a platform's config files (see classifyEntry)
+async function describeEntries(platform, expected) {
+  const entries = [];
+  for (const { scope, path: configPath } of platform.getConfigPaths()) {
+    let config;
+    try {
+      config = await platform.readConfig(configPath);
+    } catch (error) {
+      entries.push({ scope, path: configPath, status: 'unreadable', reasons: [error.message] });
+      continue;
+    }
+
+    for (const { scope: mapScope, servers } of platform.getServerMaps(config, scope)) {
+      const [key] = findServerKeys(servers);
+      if (key) {
+        const found = { scope: mapScope, key, entry: servers[key] };
+        entries.push({ scope: mapScope, path: configPath, ...classifyEntry(platform, found, expected) });
+      }
+    }
+  }
+
+  if (!entries.some(entry => entry.status !== 'unreadable')) {
+    entries.push({ scope: platform.scopes[0], path: null, status: 'missing', reasons: [] });
+  }
+  return entries;
+}
+
+// How each doctor check status is shown
+const CHECK_STATUS = {
+  ok: () => chalk.green('✓'),
+  warning: () => chalk.yellow('⚠'),
+  error: () => chalk.red('✗')
+};
+
+// Doctor command
+program
+  .command('doctor')
+  .description('Diagnose why Spectator doesn\'t show up in an AI platform, with a fix for each problem found')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to check (default: all detected)')
+  .option('-k, --api-key <key>', 'API key the configs should hold (default: $SPECTATOR_API_KEY or the secrets file)')
+  .option('--offline', 'Skip the connection checks against the Spectator server')
+  .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      logger.header('Spectator MCP Doctor');
+      logger.addSecret(options.apiKey);
+
+      const doctor = new Doctor(detector, { apiKey: options.apiKey, endpoint: options.endpoint });
+      const environment = doctor.checkEnvironment();
+      logger.section('Environment:');
+      showChecks(environment);
+
+      const installedPlatforms = registry.getInstalledPlatforms();
+      const platformNames = parsePlatformList(options.platforms) || installedPlatforms;
+      if (platformNames.length === 0) {
+        logger.warning('No supported platforms detected.');
+      }
+
+      const platforms = [];
+      for (const platformName of platformNames) {
+        const PlatformClass = registry.get(platformName);
+        if (!PlatformClass) {
+          logger.warning(`Unknown platform: ${platformName}`);
+          continue;
+        }
+
+        const platform = new PlatformClass(detector, { endpoint: options.endpoint });
+        const checks = await doctor.checkPlatform(platform);
+        const configured = checks.some(c => c.name === 'Spectator entry' && c.status !== 'error');
+        if (configured && !options.offline) {
+          (await checkLiveConnections(platform)).forEach(live => {
+            const name = `Connection (${live.scope})`;
+            checks.push(live.ok
+              ? { name, status: 'ok', message: describeLiveCheck(live) }
+              : { name, status: 'error', message: describeLiveCheck(live), fix: describeLiveFix(live) });
+          });
+        }
+
+        platforms.push({ platform: platformName, displayName: registry.getDisplayName(platformName), checks });
+        logger.section(`${registry.getDisplayName(platformName)}:`);
+        showChecks(checks);
+      }
+
+      const conflicts = doctor.checkKeyConflicts();
+      if (conflicts) {
+        environment.push(conflicts);
+        logger.section('Across platforms:');
+        showChecks([conflicts]);
+      }
+
+      const allChecks = [...environment, ...platforms.flatMap(p => p.checks)];
+      const errors = allChecks.filter(c => c.status === 'error').length;
+      const warnings = allChecks.filter(c => c.status === 'warning').length;
+      logger.log();
+      if (errors > 0) {
+        logger.error(`${errors} problem(s) and ${warnings} warning(s) found. Apply the fixes above, then run "npx spectator-mcp doctor" again.`);
+      } else if (warnings > 0) {
+        logger.warning(`No problems, ${warnings} warning(s)`);
+      } else {
+        logger.success('Everything looks good');
+      }
+
+      let exitCode = EXIT_CODES.SUCCESS;
+      if (errors > 0) {
+        exitCode = EXIT_CODES.CHECKS_FAILED;
+      } else if (platformNames.length === 0) {
+        exitCode = EXIT_CODES.NO_PLATFORMS;
+      }
+      finish('doctor', { environment, platforms }, exitCode);
+
+    } catch (error) {
+      fail('doctor', `Doctor failed: ${error.message}`);
+    }
+  });
+
+// Print doctor checks, each failing one followed by its fix
+function showChecks(checks) {
+  checks.forEach(c => {
+    logger.result(`  ${CHECK_STATUS[c.status]()}`, `${c.name}: ${c.message}`);
+    if (c.fix) {
+      logger.code(`      Fix: ${c.fix}`);
+    }
+  });
+}
+
+// What to do about a failed live check
+function describeLiveFix(check) {
+  if (check.reachable === undefined) {
+    return 'npx spectator-mcp setup --key-storage file (or set $SPECTATOR_API_KEY)';
+  }
+  if (!check.reachable) {
+    return `Make sure ${check.host} can be reached from this machine (network, VPN, proxy, firewall)`;
+  }
+  return 'Get a new key in the Spectator app, then run: npx spectator-mcp rotate-key --new NEW_KEY';
+}
+
+// Config command
+program
+  .command('config')
+  .description('Show manual configuration instructions')
+  .option('-p, --platform <platform>', 'Show instructions for specific platform')
+  .option('-k, --api-key <key>', 'API key to use in instructions (with --show-key)')
+  .option('--show-key', 'Print the instructions with your API key in full instead of YOUR_API_KEY')
+  .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+  .option('-t, --transport <transport>', 'How platforms connect: auto, stdio-proxy, http or sse (default: auto)')
+  .option('--key-storage <mode>', 'Where to keep the API key: inline (in each config), env ($SPECTATOR_API_KEY), file (private secrets file) or prompt (editor asks, VS Code only)', 'inline')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      logger.header('Manual Configuration Instructions');
+
+      // Masked keys can't be pasted, so print a placeholder unless --show-key
+      let apiKey = options.showKey ? options.apiKey : 'YOUR_API_KEY';
+      if (!apiKey && logger.jsonMode) {
+        fail('config', '--show-key needs --api-key when using --json', EXIT_CODES.USAGE);
+      }
+      if (!apiKey) {
+        const answers = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'apiKey',
+            message: 'Enter your Spectator API key:'
+          }
+        ]);
+        apiKey = answers.apiKey;
+      }
+      if (options.showKey) {
+        logger.setMasking(false);
+      } else if (options.apiKey) {
+        logger.info('Your key is shown as YOUR_API_KEY; add --show-key to print it in full');
+      }
+
+      if (options.transport && !isKnownTransport(options.transport)) {
+        fail('config', `Unknown transport "${options.transport}". Use one of: ${TRANSPORTS.join(', ')}`, EXIT_CODES.USAGE);
+      }
+
+      let platformsToShow = [];
+      
+      if (options.platform) {
+        platformsToShow = [options.platform.toLowerCase()];
+      } else {
+        // Show all installed platforms
+        platformsToShow = registry.getInstalledPlatforms();
+        if (platformsToShow.length === 0) {
+          // If none installed, show all
+          platformsToShow = registry.names();
+        }
+      }
+
+      const results = [];
+      for (const platformName of platformsToShow) {
+        const PlatformClass = registry.get(platformName);
+        if (!PlatformClass) {
+          if (logger.jsonMode) {
+            fail('config', `Unknown platform: ${platformName}`, EXIT_CODES.USAGE);
+          }
+          logger.warning(`Unknown platform: ${platformName}`);
+          continue;
+        }
+
+        const platform = new PlatformClass(detector, {
+          endpoint: options.endpoint,
+          transport: options.transport,
+          keyStorage: options.keyStorage
+        });
+        const instructions = platform.getManualInstructions(apiKey);
+        logger.log(instructions);
+        results.push({
+          platform: platformName,
+          displayName: platform.displayName,
+          configPaths: platform.getConfigPaths(),
+          transport: platform.getTransport(),
+          serverKey: SERVER_KEY,
+          entry: platform.getMcpServerEntry(apiKey),
+          instructions
+        });
+      }
+
+      finish('config', { platforms: results });
+
+    } catch (error) {
+      fail('config', `Failed to show config: ${error.message}`);
+    }
+  });
+
+// Remove command
+program
+  .command('remove')
+  .description('Remove Spectator MCP from configured platforms')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to remove from (default: all)')
+  .option('-w, --workspaces <selection>', 'Remove it from the project config of many folders: comma-separated folders, globs of git repositories (e.g. "~/code/*") or files listing them')
+  .option('--dry-run', 'Show the changes as unified diffs without writing any files')
+  .option('-y, --yes', 'Remove without asking for confirmation')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      logger.header('Remove Spectator MCP');
+
+      const installedPlatforms = registry.getInstalledPlatforms();
+      let platformsToRemove = parsePlatformList(options.platforms) || installedPlatforms;
+
+      // With --workspaces, only the project config of each folder
+      const workspaces = options.workspaces ? selectWorkspaces('remove', options.workspaces) : [null];
+      if (options.workspaces) {
+        platformsToRemove = withProjectScope(platformsToRemove);
+      }
+      const removeOptions = options.workspaces ? { scopes: ['project'] } : {};
+
+      if (options.dryRun) {
+        const entries = [];
+        for (const workspace of workspaces) {
+          if (workspace) {
+            logger.log();
+            logger.print(chalk.bold(`📁 ${workspace}`));
+          }
+          const { plans, results } = await planRemovals(platformsToRemove, workspace, removeOptions);
+          showPlans(plans);
+          entries.push({ path: workspace, plans, results });
+        }
+
+        logger.log();
+        logger.info('Dry run: no files were written. Re-run without --dry-run to remove Spectator.');
+        const exitCode = entries.some(entry => entry.plans.length < entry.results.length)
+          ? EXIT_CODES.CONFIG_FAILED
+          : EXIT_CODES.SUCCESS;
+        finish('remove', options.workspaces
+          ? { dryRun: true, workspaces: entries.map(entry => ({ path: entry.path, platforms: entry.results })) }
+          : { dryRun: true, platforms: entries[0].results }, exitCode);
+        return;
+      }
+
+      // Confirm removal
+      const platformList = platformsToRemove.map(p => registry.getDisplayName(p)).join(', ');
+      const confirmed = await confirmAction(
+        'remove',
+        options.workspaces
+          ? `Remove Spectator MCP (${platformList}) from the project configs of ${workspaces.length} workspace(s)?`
+          : `Remove Spectator MCP from ${platformList}?`,
+        options
+      );
+
+      if (!confirmed) {
+        logger.info('Removal cancelled');
+        return;
+      }
+
+      // Remove from each platform
+      const entries = [];
+      for (const workspace of workspaces) {
+        if (workspace) {
+          logger.log();
+          logger.print(chalk.bold(`📁 ${workspace}`));
+        }
+        entries.push({ path: workspace, platforms: await removeFromPlatforms(platformsToRemove, workspace, removeOptions) });
+      }
+
+      const results = entries.flatMap(entry => entry.platforms);
+      const failed = results.filter(r => r.status === 'failed');
+      const exitCode = failed.length > 0 ? EXIT_CODES.CONFIG_FAILED : EXIT_CODES.SUCCESS;
+      logger.log();
+      if (failed.length > 0) {
+        logger.section('❌ Failed to Remove:');
+        failed.forEach(r => logger.result('  ✗', `${r.displayName}: ${r.error}`));
+        logger.log();
+        logger.error(`Removal incomplete: ${failed.length} of ${results.length} failed. Please check the errors above.`);
+      } else {
+        logger.success('Removal complete');
+      }
+      if (options.workspaces) {
+        const touched = entries.filter(entry => entry.platforms.some(r => r.status === 'removed')).length;
+        logger.info(`Removed Spectator from ${touched} of ${entries.length} workspace(s)`);
+        finish('remove', { dryRun: false, workspaces: entries }, exitCode);
+      } else {
+        finish('remove', { dryRun: false, platforms: results }, exitCode);
+      }
+
+    } catch (error) {
+      fail('remove', `Removal failed: ${error.message}`);
+    }
+  });
+
+// Plan removing Spectator from each platform, with one --json result each
+async function planRemovals(platformNames, projectRoot, removeOptions) {
+  const plans = [];
+  const results = [];
+  for (const platformName of platformNames) {
+    const PlatformClass = registry.get(platformName);
+    if (!PlatformClass) {
+      logger.error(`Unknown platform: ${platformName}`);
+      results.push({ platform: platformName, displayName: platformName, status: 'failed', error: 'Unknown platform' });
+      continue;
+    }
+
+    const platform = new PlatformClass(detector, { projectRoot });
+    try {
+      const plan = await platform.planRemove(removeOptions);
+      plans.push({ platformName, plan });
+      results.push({ platform: platformName, displayName: registry.getDisplayName(platformName), status: 'planned', changes: describeChanges(plan.changes) });
+    } catch (error) {
+      logger.error(`Failed to plan removal from ${registry.getDisplayName(platformName)}: ${error.message}`);
+      results.push({ platform: platformName, displayName: registry.getDisplayName(platformName), status: 'failed', error: error.message });
+    }
+  }
+  return { plans, results };
+}
+
+// Remove Spectator from each platform, with one --json result each
+async function removeFromPlatforms(platformNames, projectRoot, removeOptions) {
+  const results = [];
+  for (const platformName of platformNames) {
+    const PlatformClass = registry.get(platformName);
+    if (!PlatformClass) {
+      logger.error(`Unknown platform: ${platformName}`);
+      results.push({ platform: platformName, displayName: platformName, status: 'failed', error: 'Unknown platform' });
+      continue;
+    }
+
+    const platform = new PlatformClass(detector, { projectRoot });
+    
+    try {
+      const plan = await platform.planRemove(removeOptions);
+      showApplyWarning(platform.displayName, await platform.applyPlan(plan));
+      const removed = plan.changes.map(({ path, scope }) => ({ path, scope }));
+      if (removed.length === 0) {
+        logger.print(chalk.yellow(`Spectator was not configured in ${platform.displayName}`));
+      }
+      removed.forEach(change => {
+        const scope = change.scope ? ` (${change.scope})` : '';
+        logger.print(chalk.green(`✓ Removed Spectator from ${platform.displayName}${scope}`));
+      });
+      results.push({ platform: platformName, displayName: platform.displayName, status: removed.length > 0 ? 'removed' : 'not-configured', removed });
+    } catch (error) {
+      logger.error(`Failed to remove from ${registry.getDisplayName(platformName)}: ${error.message}`);
+      results.push({ platform: platformName, displayName: registry.getDisplayName(platformName), status: 'failed', error: error.message });
+    }
+  }
+  return results;
+}
+
+// The backups of every config file of the given platforms (default: all)
+function collectBackups(platformList) {
+  const platformNames = parsePlatformList(platformList) || registry.names();
+
+  const entries = [];
+  for (const platformName of platformNames) {
+    const PlatformClass = registry.get(platformName);
+    if (!PlatformClass) {
+      logger.warning(`Unknown platform: ${platformName}`);
+      continue;
+    }
+
+    const platform = new PlatformClass(detector);
+    for (const { scope, path: configPath } of platform.getConfigPaths()) {
+      entries.push({ platformName, scope, configPath, backups: backups.listBackups(configPath) });
+    }
+  }
+  return entries;
+}
+
+// The backup of a platform with this ID (its timestamp)
+function findBackup(platformName, backupId, scope) {
+  const matches = collectBackups(platformName)
+    .filter(entry => !scope || entry.scope === scope)
+    .flatMap(entry => entry.backups
+      .filter(backup => String(backup.timestamp) === String(backupId))
+      .map(backup => ({ ...backup, scope: entry.scope })));
+
+  if (matches.length === 0) {
+    throw new Error(`No backup ${backupId} found for ${registry.getDisplayName(platformName)}. Run "spectator-mcp backups list" to see available backups.`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Backup ${backupId} exists in several scopes (${matches.map(m => m.scope).join(', ')}). Pick one with --scope.`);
+  }
+  return matches[0];
+}
+
+function formatBackup(backup) {
+  return `${backup.timestamp}  ${backup.date.toLocaleString()}  ${backup.size} B`;
+}
+
+// Backup as reported in --json documents
+function describeBackup(backup) {
+  return {
+    id: String(backup.timestamp),
+    path: backup.path,
+    date: backup.date.toISOString(),
+    size: backup.size
+  };
+}
+
+// Backups command
+const backupsCommand = program
+  .command('backups')
+  .description('List, diff, restore and prune configuration backups');
+
+backupsCommand
+  .command('list')
+  .description('List configuration backups per platform')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms (default: all)')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action((options) => {
+    try {
+      logger.header('Configuration Backups');
+
+      const entries = collectBackups(options.platforms).filter(entry => entry.backups.length > 0);
+      if (entries.length === 0) {
+        logger.info('No backups found');
+      }
+
+      entries.forEach(entry => {
+        logger.section(`${registry.getDisplayName(entry.platformName)} (${entry.scope}): ${entry.configPath}`);
+        entry.backups.forEach(backup => logger.code(`   ${formatBackup(backup)}`));
+      });
+
+      finish('backups list', {
+        configs: entries.map(entry => ({
+          platform: entry.platformName,
+          scope: entry.scope,
+          configPath: entry.configPath,
+          backups: entry.backups.map(describeBackup)
+        }))
+      });
+    } catch (error) {
+      fail('backups list', `Failed to list backups: ${error.message}`);
+    }
+  });
+
+backupsCommand
+  .command('diff <platform> <backup-id>')
+  .description('Show what restoring a backup would change in the current config')
+  .option('-s, --scope <scope>', 'Configuration scope the backup belongs to (global/project)')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action((platformName, backupId, options) => {
+    try {
+      const backup = findBackup(platformName.toLowerCase(), backupId, options.scope);
+      const diffText = createUnifiedDiff({
+        path: backup.configPath,
+        before: fs.existsSync(backup.configPath) ? fs.readFileSync(backup.configPath, 'utf8') : null,
+        after: fs.readFileSync(backup.path, 'utf8')
+      }, { oldLabel: 'current', newLabel: `backup ${backup.timestamp}` });
+
+      if (!diffText) {
+        logger.info('Backup is identical to the current config');
+      } else {
+        logger.log(colorizeDiff(diffText));
+      }
+      finish('backups diff', {
+        platform: platformName.toLowerCase(),
+        scope: backup.scope,
+        configPath: backup.configPath,
+        backup: describeBackup(backup),
+        identical: !diffText,
+        diff: diffText
+      });
+    } catch (error) {
+      fail('backups diff', `Failed to diff backup: ${error.message}`);
+    }
+  });
+
+backupsCommand
+  .command('restore <platform> <backup-id>')
+  .description('Replace the current config with a backup')
+  .option('-s, --scope <scope>', 'Configuration scope the backup belongs to (global/project)')
+  .option('-y, --yes', 'Restore without asking for confirmation')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (platformName, backupId, options) => {
+    try {
+      const backup = findBackup(platformName.toLowerCase(), backupId, options.scope);
+
+      const confirmed = await confirmAction(
+        'backups restore',
+        `Restore ${backup.configPath} from the backup of ${backup.date.toLocaleString()}?`,
+        options
+      );
+
+      if (!confirmed) {
+        logger.info('Restore cancelled');
+        return;
+      }
+
+      const previous = backups.restoreBackup(backup);
+      logger.success(`Restored ${backup.configPath}`);
+      if (previous) {
+        logger.code(`   Previous config saved to ${previous}`);
+      }
+      finish('backups restore', {
+        platform: platformName.toLowerCase(),
+        scope: backup.scope,
+        configPath: backup.configPath,
+        backup: describeBackup(backup),
+        previousConfigBackup: previous || undefined
+      });
+    } catch (error) {
+      fail('backups restore', `Failed to restore backup: ${error.message}`);
+    }
+  });
+
+backupsCommand
+  .command('prune')
+  .description('Delete old configuration backups')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms (default: all)')
+  .option('--older-than <days>', 'Delete backups older than this many days')
+  .option('--keep <count>', 'Keep only the newest <count> backups of each config file')
+  .option('--dry-run', 'List the backups that would be deleted without deleting them')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      if (options.olderThan === undefined && options.keep === undefined) {
+        fail('backups prune', 'Specify --older-than <days> and/or --keep <count>', EXIT_CODES.USAGE);
+      }
+
+      const olderThanDays = options.olderThan === undefined ? undefined : Number(options.olderThan);
+      const keep = options.keep === undefined ? undefined : Number(options.keep);
+      const invalidAge = olderThanDays !== undefined && !(olderThanDays >= 0);
+      const invalidKeep = keep !== undefined && !(Number.isInteger(keep) && keep >= 0);
+      if (invalidAge || invalidKeep) {
+        fail('backups prune', '--older-than must be a non-negative number and --keep a non-negative integer', EXIT_CODES.USAGE);
+      }
+
+      const toDelete = collectBackups(options.platforms).flatMap(entry => backups.selectBackupsToPrune(entry.backups, {
+        olderThan: olderThanDays === undefined ? undefined : olderThanDays * 24 * 60 * 60 * 1000,
+        keep
+      }));
+      const document = { dryRun: Boolean(options.dryRun), deleted: [] };
+
+      if (toDelete.length === 0) {
+        logger.info('No backups to prune');
+        finish('backups prune', document);
+        return;
+      }
+
+      logger.section(`${options.dryRun ? 'Would delete' : 'Deleting'} ${toDelete.length} backup(s):`);
+      toDelete.forEach(backup => logger.code(`   ${backup.path}`));
+
+      if (options.dryRun) {
+        finish('backups prune', { ...document, deleted: toDelete.map(describeBackup) });
+        return;
+      }
+
+      const confirmed = await confirmAction('backups prune', `Delete ${toDelete.length} backup(s)?`, options);
+
+      if (!confirmed) {
+        logger.info('Prune cancelled');
+        return;
+      }
+
+      toDelete.forEach(backup => backups.deleteBackup(backup));
+      logger.success(`Deleted ${toDelete.length} backup(s)`);
+      finish('backups prune', { ...document, deleted: toDelete.map(describeBackup) });
+    } catch (error) {
+      fail('backups prune', `Failed to prune backups: ${error.message}`);
+    }
+  });
+
+// How each rotate-key file status is reported
+const ROTATION_STATUS = {
+  rotated: () => chalk.green('✓ Rotated'),
+  'up-to-date': () => chalk.green('✓ Already uses the new key'),
+  'other-key': () => chalk.gray('- Holds a different key (left unchanged)'),
+  'not-configured': () => chalk.gray('- No Spectator entry'),
+  missing: () => chalk.gray('- Not found'),
+  error: () => chalk.red('✗ Unreadable')
+};
+
+// Rotate key command
+program
+  .command('rotate-key')
+  .description('Replace the Spectator API key in every config file that holds it')
+  .requiredOption('-n, --new <key>', 'The new API key')
+  .option('-o, --old <key>', 'Only replace this key (default: any Spectator key found)')
+  .option('-p, --platforms <platforms>', 'Comma-separated list of platforms to scan (default: all)')
+  .option('-w, --workspaces <selection>', 'Also scan the project config of many folders: comma-separated folders, globs of git repositories (e.g. "~/code/*") or files listing them')
+  .option('--verify', 'Check that the new key works (MCP handshake) before writing anything')
+  .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+  .option('--dry-run', 'Show the changes as unified diffs without writing any files')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      logger.header('Rotate Spectator API Key');
+
+      const newKey = options.new.trim();
+      if (newKey.length < MIN_API_KEY_LENGTH) {
+        fail('rotate-key', `Invalid API key format. API keys should be at least ${MIN_API_KEY_LENGTH} characters.`, EXIT_CODES.USAGE);
+      }
+      logger.addSecret(newKey);
+      logger.addSecret(options.old);
+
+      if (options.verify) {
+        logger.step('Checking the new key...');
+        const check = await new ApiValidator(options.endpoint).validateApiKey(newKey);
+        if (!check.valid) {
+          fail('rotate-key', `New key failed verification: ${check.error}`, EXIT_CODES.CONNECTION_FAILED);
+        }
+        logger.success('New key is live');
+      }
+
+      const platformNames = parsePlatformList(options.platforms) || registry.names();
+      const workspaces = options.workspaces ? selectWorkspaces('rotate-key', options.workspaces) : [];
+
+      // Plan every platform first so nothing is written if any file can't be planned
+      logger.step('Scanning configuration files...');
+      const plans = [];
+      for (const platformName of platformNames) {
+        const PlatformClass = registry.get(platformName);
+        if (!PlatformClass) {
+          logger.warning(`Unknown platform: ${platformName}`);
+          continue;
+        }
+
+        const platform = new PlatformClass(detector, { endpoint: options.endpoint });
+        const plan = await platform.planRotateKey(newKey, { oldKey: options.old, workspaces });
+        plans.push({ platformName, platform, plan });
+      }
+
+      // The secrets file written by --key-storage file holds a copy too
+      const secretsPath = getSecretsPath(detector.homeDir);
+      const storedKey = fs.existsSync(secretsPath) ? loadApiKey(secretsPath) : null;
+      const secretsChange = storedKey && storedKey !== newKey && (!options.old || storedKey === options.old)
+        ? planSaveApiKey(secretsPath, newKey)
+        : null;
+
+      // Per-file report
+      logger.section('Files:');
+      plans.forEach(({ platformName, plan }) => {
+        plan.result.files
+          .filter(file => file.status !== 'missing')
+          .forEach(file => {
+            const label = `${registry.getDisplayName(platformName)} (${file.scope})`;
+            logger.result(`  ${ROTATION_STATUS[file.status]()}`, `${label}: ${file.path}`);
+            if (file.error) {
+              logger.code(`      ${file.error}`);
+            }
+          });
+      });
+      if (storedKey) {
+        const status = secretsChange ? 'rotated' : storedKey === newKey ? 'up-to-date' : 'other-key';
+        logger.result(`  ${ROTATION_STATUS[status]()}`, `Secrets file: ${secretsPath}`);
+      }
+
+      const files = plans.flatMap(({ platformName, plan }) => plan.result.files
+        .filter(file => file.status !== 'missing')
+        .map(file => ({ platform: platformName, ...file })));
+      const secretsFile = storedKey
+        ? { path: secretsPath, status: secretsChange ? 'rotated' : storedKey === newKey ? 'up-to-date' : 'other-key' }
+        : undefined;
+
+      const pending = plans.filter(({ plan }) => plan.changes.length > 0);
+      const changeCount = pending.reduce((count, { plan }) => count + plan.changes.length, 0) + (secretsChange ? 1 : 0);
+
+      if (options.dryRun) {
+        showSecretsChange(secretsChange);
+        showPlans(pending);
+        logger.log();
+        logger.info(`Dry run: ${changeCount} file(s) would be updated. Re-run without --dry-run to apply.`);
+        finish('rotate-key', { dryRun: true, changed: changeCount, files, secretsFile });
+        return;
+      }
+
+      if (changeCount === 0) {
+        logger.log();
+        logger.info('No files hold a key that needs rotating');
+        finish('rotate-key', { dryRun: false, changed: 0, files, secretsFile });
+        return;
+      }
+
+      const { error, rollback } = await applyInTransaction(secretsChange ? [secretsChange] : [], pending, async ({ platform, plan }, transaction) => {
+        showApplyWarning(platform.displayName, await platform.applyPlan(plan, transaction));
+      });
+      if (error) {
+        logger.info(`Rolled back ${rollback.restored.length} file(s); no keys were changed`);
+        fail('rotate-key', `Rotation failed: ${error.message}`, EXIT_CODES.CONFIG_FAILED, { files, secretsFile, rollback });
+      }
+
+      logger.log();
+      logger.success(`Rotated the API key in ${changeCount} file(s). Restart the affected applications to use it.`);
+      finish('rotate-key', { dryRun: false, changed: changeCount, files, secretsFile });
+
+    } catch (error) {
+      fail('rotate-key', `Key rotation failed: ${error.message}`);
+    }
+  });
+
+// How each reconcile status is shown
+const DRIFT_STATUS = {
+  'in-sync': () => chalk.green('✓'),
+  missing: () => chalk.yellow('+'),
+  different: () => chalk.yellow('↻'),
+  unwanted: () => chalk.yellow('−'),
+  'not-installed': () => chalk.gray('-'),
+  failed: () => chalk.red('✗')
+};
+
+// What apply does about each kind of drift
+const DRIFT_ACTIONS = {
+  missing: 'added',
+  different: 'updated',
+  unwanted: 'removed'
+};
+
+// Apply command
+program
+  .command('apply')
+  .description('Reconcile this machine with a team manifest: add, update or remove Spectator entries without prompting')
+  .option('-f, --file <path>', 'Manifest to apply', DEFAULT_MANIFEST)
+  .option('--check', 'Only report drift from the manifest; exit with code 10 if there is any')
+  .option('--dry-run', 'Show the changes as unified diffs without writing any files')
+  .option('--gitignore', 'Add configs that would hold the API key, and that git doesn\'t ignore yet, to .gitignore')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action(async (options) => {
+    try {
+      logger.header('Spectator MCP Apply');
+
+      let manifest;
+      try {
+        manifest = loadManifest(options.file, { homeDir: detector.homeDir });
+      } catch (error) {
+        fail('apply', error.message, EXIT_CODES.USAGE);
+      }
+      logger.step(`Manifest: ${manifest.path}`);
+
+      const unknown = manifest.platforms.map(spec => spec.name).filter(name => !registry.get(name));
+      if (unknown.length > 0) {
+        fail('apply', `Unknown platform(s) in the manifest: ${unknown.join(', ')}`, EXIT_CODES.USAGE, { available: registry.names() });
+      }
+
+      let apiKey = null;
+      if (manifest.platforms.some(spec => spec.ensure === 'present')) {
+        try {
+          apiKey = readManifestKey(manifest.keySource);
+        } catch (error) {
+          fail('apply', error.message, EXIT_CODES.USAGE);
+        }
+        if (apiKey.length < MIN_API_KEY_LENGTH) {
+          fail('apply', `Invalid API key format. API keys should be at least ${MIN_API_KEY_LENGTH} characters.`, EXIT_CODES.USAGE);
+        }
+        logger.addSecret(apiKey);
+      }
+
+      const installedPlatforms = registry.getInstalledPlatforms();
+      const specs = [...manifest.platforms];
+      if (manifest.unlisted === 'remove') {
+        installedPlatforms
+          .filter(name => !specs.some(spec => spec.name === name))
+          .forEach(name => specs.push({ name, ensure: 'absent', scopes: null }));
+      }
+
+      // Compare every platform and scope with the manifest before touching any file
+      const targets = await planReconcile(specs, manifest, apiKey, installedPlatforms);
+      const drifted = targets.filter(target => target.changes && target.changes.length > 0);
+      const planFailed = targets.some(target => target.status === 'failed');
+
+      const exposure = apiKey ? checkKeyExposure(drifted.flatMap(target => target.changes), apiKey) : [];
+      const tracked = exposure.filter(file => file.status === 'tracked');
+      if (tracked.length > 0) {
+        fail('apply', tracked.map(trackedFileError).join('\n'), EXIT_CODES.CONFIG_FAILED, { exposure });
+      }
+      const exposed = exposure.filter(file => file.status === 'exposed');
+      const ignoreExposed = manifest.gitignore || options.gitignore;
+      if (exposed.length > 0 && !ignoreExposed) {
+        logger.warning(`Git doesn't ignore ${exposed.map(file => file.path).join(', ')}; the API key would be committed with the next "git add".`);
+        logger.info('Set "gitignore": true in the manifest or pass --gitignore to add them to .gitignore.');
+      }
+      const gitignoreChanges = ignoreExposed ? planIgnoreExposed(exposure) : [];
+
+      const usesSecretsFile = drifted.some(target => target.ensure === 'present' && target.platform.keyStorage === 'file');
+      const secretsChange = usesSecretsFile ? planSaveApiKey(getSecretsPath(detector.homeDir), apiKey) : null;
+      const secretsChanged = secretsChange && secretsChange.before !== secretsChange.after;
+
+      if (options.dryRun) {
+        showSecretsChange(secretsChanged && secretsChange);
+        drifted.forEach(target => {
+          logger.section(`${target.displayName} (${target.scope})`);
+          target.changes.forEach(change => logger.log(colorizeDiff(createUnifiedDiff(change))));
+        });
+        showGitignoreChanges(gitignoreChanges);
+      }
+
+      // Apply every change as one transaction, like setup
+      const writing = !options.check && !options.dryRun;
+      let rollback = null;
+      if (writing && planFailed) {
+        logger.warning('Nothing was written because not every platform could be planned.');
+      } else if (writing && drifted.length > 0) {
+        const changes = [...(secretsChanged ? [secretsChange] : []), ...gitignoreChanges];
+        const outcome = await applyInTransaction(changes, drifted, async (target, transaction) => {
+          // Planned again: scopes sharing a file see the changes written before them
+          const plan = await target.planChanges();
+          showApplyWarning(target.platform.displayName, await target.platform.applyPlan({ ...plan, changes: effectiveChanges(plan) }, transaction));
+          target.action = DRIFT_ACTIONS[target.status];
+        });
+        if (outcome.error && !outcome.failedItem) {
+          fail('apply', outcome.error.message, EXIT_CODES.CONFIG_FAILED);
+        }
+        if (outcome.failedItem) {
+          outcome.failedItem.error = outcome.error.message;
+          outcome.failedItem.status = 'failed';
+          rollback = outcome.rollback;
+          drifted.filter(target => target.action).forEach(target => {
+            target.action = 'rolled-back';
+          });
+        }
+      }
+
+      logger.section('Platforms:');
+      targets.forEach(target => {
+        const action = target.action ? ` → ${target.action}` : '';
+        const error = target.error ? `: ${target.error}` : '';
+        logger.result(`  ${DRIFT_STATUS[target.status]()}`, `${target.displayName} (${target.scope}): ${target.status}${action}${error}`);
+      });
+
+      if (rollback) {
+        showRollback(rollback);
+      }
+      const written = targets.some(target => target.action && target.action !== 'rolled-back');
+      if (written && gitignoreChanges.length > 0) {
+        logger.section('🔒 Added to .gitignore:');
+        gitignoreChanges.forEach(change => logger.code(`    ${change.path}: ${change.added.join(', ')}`));
+      }
+
+      const failed = targets.some(target => target.status === 'failed');
+      logger.log();
+      if (options.dryRun) {
+        logger.info('Dry run: no files were written.');
+      }
+      if (failed) {
+        logger.error(rollback
+          ? 'Apply failed and all changes from this run were rolled back. Please check the errors above.'
+          : 'Apply failed. Please check the errors above.');
+      } else if (drifted.length === 0) {
+        logger.success('This machine matches the manifest');
+      } else if (!writing) {
+        logger.warning(`${drifted.length} platform scope(s) differ from the manifest. Run "npx spectator-mcp apply -f ${options.file}" to reconcile them.`);
+      } else {
+        logger.success(`Reconciled ${drifted.length} platform scope(s). Restart the affected applications to pick up the changes.`);
+      }
+
+      let exitCode = EXIT_CODES.SUCCESS;
+      if (failed) {
+        exitCode = EXIT_CODES.CONFIG_FAILED;
+      } else if (options.check && drifted.length > 0) {
+        exitCode = EXIT_CODES.DRIFT_DETECTED;
+      }
+      finish('apply', {
+        manifest: manifest.path,
+        check: Boolean(options.check),
+        dryRun: Boolean(options.dryRun),
+        drift: drifted.length > 0,
+        platforms: targets.map(describeReconcileTarget),
+        secretsFile: secretsChanged && written ? secretsChange.path : undefined,
+        gitignore: written ? describeGitignore(gitignoreChanges) : [],
+        rollback: rollback || undefined
+      }, exitCode);
+
+    } catch (error) {
+      fail('apply', `Apply failed: ${error.message}`);
+    }
+  });
+
+/**
+ * Compare each platform scope in the manifest with what it wants
+ * @param {Array<Object>} specs - Platform entries of the manifest
+ * @param {Object} manifest - From loadManifest()
+ * @param {string|null} apiKey - Key for present entries
+ * @param {string[]} installedPlatforms
+ * @returns {Promise<Array<Object>>} One target per platform scope, with its
+ *   status, changes and planChanges() to plan them again
+ */
+async function planReconcile(specs, manifest, apiKey, installedPlatforms) {
+  const targets = [];
+  for (const spec of specs) {
+    const displayName = registry.getDisplayName(spec.name);
+    const scopes = spec.ensure === 'present' ? (spec.scopes || ['global']) : [spec.scopes ? spec.scopes.join(',') : 'all'];
+    const target = (scope, fields) => ({ platformName: spec.name, displayName, ensure: spec.ensure, scope, ...fields });
+
+    if (!installedPlatforms.includes(spec.name)) {
+      targets.push(target(scopes.join(','), { status: 'not-installed' }));
+      continue;
+    }
+
+    const PlatformClass = registry.get(spec.name);
+    const platform = new PlatformClass(detector, {
+      endpoint: manifest.endpoint,
+      transport: spec.transport || manifest.transport,
+      keyStorage: spec.keyStorage || manifest.keyStorage
+    });
+
+    for (const scope of scopes) {
+      const planChanges = spec.ensure === 'present'
+        ? () => platform.planConfigure(apiKey, { scope })
+        : () => platform.planRemove(spec.scopes ? { scopes: spec.scopes } : {});
+      try {
+        if (spec.ensure === 'present' && !platform.supportsScope(scope)) {
+          throw new Error(`Unknown scope "${scope}" (use one of: ${platform.scopes.join(', ')})`);
+        }
+        const plan = await planChanges();
+        const changes = effectiveChanges(plan);
+        let status = 'in-sync';
+        if (changes.length > 0 && spec.ensure === 'absent') {
+          status = 'unwanted';
+        } else if (changes.length > 0) {
+          status = plan.result.updated ? 'different' : 'missing';
+        }
+        targets.push(target(scope, { status, platform, planChanges, changes }));
+      } catch (error) {
+        targets.push(target(scope, { status: 'failed', error: error.message }));
+      }
+    }
+  }
+  return targets;
+}
+
+// The changes of a plan that would alter a file; the others aren't drift
+function effectiveChanges(plan) {
+  return plan.changes.filter(change => change.before !== change.after);
+}
+
+// Reconcile target as reported in the --json document
+function describeReconcileTarget(target) {
+  return {
+    platform: target.platformName,
+    displayName: target.displayName,
+    scope: target.scope,
+    ensure: target.ensure,
+    status: target.status,
+    action: target.action,
+    changes: target.changes && target.changes.length > 0 ? describeChanges(target.changes) : undefined,
+    error: target.error
+  };
+}
+
+// Scan command
+program
+  .command('scan')
+  .description('Search a git repository\'s tracked files and history for Spectator API keys')
+  .argument('[folder]', 'Folder inside the repository (default: the current directory)')
+  .option('--no-history', 'Only search the tracked files, not every commit')
+  .option('--json', 'Print one JSON result document instead of text (no colors, spinners or prompts)')
+  .action((folder, options) => {
+    try {
+      logger.header('Scan for Leaked API Keys');
+
+      const start = path.resolve(folder || '.');
+      const root = findWorkTree(start);
+      if (!root) {
+        fail('scan', `${start} is not inside a git repository`, EXIT_CODES.USAGE);
+      }
+
+      logger.step(`Searching ${root}${options.history ? ' and its history' : ''}...`);
+      const { files, history } = scanRepository(root, { history: options.history });
+      const keys = new Set([...files, ...history].map(found => found.key));
+      keys.forEach(key => logger.addSecret(key));
+
+      if (files.length > 0) {
+        logger.section('Tracked files:');
+        files.forEach(found => logger.result(chalk.red('  ✗'), `${found.path}:${found.line}  ${found.key}`));
+      }
+      if (history.length > 0) {
+        logger.section('History:');
+        history.forEach(found => logger.result(chalk.red('  ✗'), `${found.commit.slice(0, 10)} ${found.date.slice(0, 10)}  ${found.path}  ${found.key}`));
+      }
+
+      const document = { root, history: options.history, keys: keys.size, files, commits: history };
+      logger.log();
+      if (keys.size === 0) {
+        logger.success('No Spectator API keys found');
+        finish('scan', document);
+        return;
+      }
+
+      logger.error(`Found ${keys.size} API key(s) in ${root}`);
+      logger.step('Rotate each of them: npx spectator-mcp rotate-key --new NEW_KEY (rewriting history does not help once a key has been pushed)');
+      if (files.length > 0) {
+        logger.step('Then keep keys out of tracked files with --key-storage env or file, or untrack the files (git rm --cached) and add them to .gitignore');
+      }
+      finish('scan', document, EXIT_CODES.SECRETS_FOUND);
+
+    } catch (error) {
+      fail('scan', `Scan failed: ${error.message}`);
+    }
+  });
+
+// Proxy command: the stdio server launched by configs written with
+// --key-storage file. Nothing but mcp-remote may write to stdout here.
+program
+  .command('proxy')
+  .description('Run mcp-remote with the API key from $SPECTATOR_API_KEY or the secrets file (used by generated configs)')
+  .option('-e, --endpoint <url>', 'Spectator server base URL (default: $SPECTATOR_ENDPOINT or https://spectatorcontext.com)')
+  .action((options) => {
+    try {
+      const apiKey = resolveStoredApiKey(detector.homeDir);
+      if (!apiKey) {
+        console.error(`No API key found. Set ${API_KEY_ENV} or run "spectator-mcp setup --key-storage file".`);
+        process.exit(1);
+      }
+
+      const url = new ApiValidator(options.endpoint).formatApiUrl();
+      const child = spawn('npx', ['-y', 'mcp-remote', url, '--header', `Authorization:\${${API_KEY_ENV}}`], {
+        stdio: 'inherit',
+        env: { ...process.env, [API_KEY_ENV]: apiKey },
+        shell: process.platform === 'win32'
+      });
+
+      child.on('error', (error) => {
+        console.error(`Failed to start mcp-remote: ${error.message}`);
+        process.exit(1);
+      });
+      child.on('exit', (code) => process.exit(code === null ? 1 : code));
     } catch (error) {
-      logger.error(`Removal failed: ${error.message}`);
+      console.error(logger.mask(`Proxy failed: ${error.message}`));
       process.exit(1);
     }
   });
@@ -371,9 +2274,8 @@ if (args.length === 1 && !args[0].startsWith('-') && !KNOWN_COMMANDS.includes(ar
     apiKey: args[0],
     platforms: undefined,
     scope: 'global'
-  }).then(() => process.exit(0)).catch(error => {
-    logger.error(`Setup failed: ${error.message}`);
-    process.exit(1);
+  }).then(() => process.exit()).catch(error => {
+    fail('setup', `Setup failed: ${error.message}`);
   });
 } else {
   // Parse command line arguments normally
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const BIN = path.join(__dirname, 'spectator-mcp.js');
+const OLD_KEY = 'sk_test_cli_old_key';
+const NEW_KEY = 'sk_test_cli_new_key';
+const OTHER_KEY = 'sk_test_cli_other_key';
+
+// Variables that would point the CLI away from the temporary home folder
+const ISOLATED_ENV = ['SPECTATOR_ENDPOINT', 'SPECTATOR_API_KEY', 'SPECTATOR_CONFIG', 'SPECTATOR_CREDENTIALS', 'CLAUDE_CONFIG_DIR', 'XDG_CONFIG_HOME'];
+
+function createHome(t) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-cli-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  return home;
+}
+
+// Run the CLI with --json in `home`, as { status, result }
+function run(home, args, env = {}) {
+  const childEnv = { ...process.env, HOME: home, USERPROFILE: home, ...env };
+  ISOLATED_ENV.filter(name => !(name in env)).forEach(name => delete childEnv[name]);
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args, '--json'], {
+    cwd: home,
+    env: childEnv,
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  assert.ok(stdout, `No output from ${args.join(' ')}: ${stderr}`);
+  return { status, result: JSON.parse(stdout) };
+}
+
+function setup(home, apiKey, platforms) {
+  const { status } = run(home, ['setup', '--api-key', apiKey, '--platforms', platforms, '--force']);
+  assert.strictEqual(status, 0);
+}
+
+test('apply --check reports drift from the manifest until apply fixes it', (t) => {
+  const home = createHome(t);
+  fs.writeFileSync(path.join(home, 'spectator.team.json'), JSON.stringify({
+    version: 1,
+    platforms: { cursor: 'present', windsurf: 'absent' }
+  }));
+  const env = { SPECTATOR_API_KEY: NEW_KEY };
+  const statuses = result => result.platforms.map(({ platform, status }) => `${platform}: ${status}`);
+  // cursor and windsurf are only detected by the files setup leaves
+  setup(home, OLD_KEY, 'windsurf');
+  fs.mkdirSync(path.join(home, '.cursor'));
+
+  let { status, result } = run(home, ['apply', '--check'], env);
+  assert.strictEqual(status, 10);
+  assert.strictEqual(result.drift, true);
+  assert.deepStrictEqual(statuses(result), ['cursor: missing', 'windsurf: unwanted']);
+  assert.strictEqual(fs.existsSync(path.join(home, '.cursor', 'mcp.json')), false);
+
+  ({ status, result } = run(home, ['apply'], env));
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(result.platforms.map(target => target.action), ['added', 'removed']);
+  assert.match(fs.readFileSync(path.join(home, '.cursor', 'mcp.json'), 'utf8'), new RegExp(NEW_KEY));
+
+  ({ status, result } = run(home, ['apply', '--check'], env));
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(statuses(result), ['cursor: in-sync', 'windsurf: in-sync']);
+
+  // A key that changed is drift too
+  ({ status, result } = run(home, ['apply', '--check'], { SPECTATOR_API_KEY: OTHER_KEY }));
+  assert.strictEqual(status, 10);
+  assert.deepStrictEqual(statuses(result), ['cursor: different', 'windsurf: in-sync']);
+});
+
+test('rotate-key replaces the old key and leaves other keys alone', (t) => {
+  const home = createHome(t);
+  setup(home, OLD_KEY, 'cursor');
+  setup(home, OTHER_KEY, 'windsurf');
+  const cursorConfig = path.join(home, '.cursor', 'mcp.json');
+  const windsurfConfig = path.join(home, '.codeium', 'windsurf', 'mcp_config.json');
+  const windsurfBefore = fs.readFileSync(windsurfConfig, 'utf8');
+
+  let { status, result } = run(home, ['rotate-key', '--new', NEW_KEY, '--old', OLD_KEY, '--dry-run']);
+  assert.strictEqual(status, 0);
+  assert.strictEqual(result.changed, 1);
+  assert.match(fs.readFileSync(cursorConfig, 'utf8'), new RegExp(OLD_KEY));
+
+  ({ status, result } = run(home, ['rotate-key', '--new', NEW_KEY, '--old', OLD_KEY]));
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(result.files.map(({ platform, status: fileStatus }) => `${platform}: ${fileStatus}`), [
+    'cursor: rotated',
+    'windsurf: other-key'
+  ]);
+  assert.match(fs.readFileSync(cursorConfig, 'utf8'), new RegExp(NEW_KEY));
+  assert.strictEqual(fs.readFileSync(windsurfConfig, 'utf8'), windsurfBefore);
+
+  ({ status, result } = run(home, ['rotate-key', '--new', NEW_KEY, '--old', OLD_KEY]));
+  assert.strictEqual(status, 0);
+  assert.strictEqual(result.changed, 0);
+});
+
+test('rotate-key reports a config it can\'t read and leaves it alone', (t) => {
+  const home = createHome(t);
+  setup(home, OLD_KEY, 'cursor');
+  setup(home, OLD_KEY, 'windsurf');
+  const windsurfConfig = path.join(home, '.codeium', 'windsurf', 'mcp_config.json');
+  fs.writeFileSync(windsurfConfig, '{ "mcpServers": ');
+
+  const { status, result } = run(home, ['rotate-key', '--new', NEW_KEY]);
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(result.files.map(({ platform, status: fileStatus }) => `${platform}: ${fileStatus}`), [
+    'cursor: rotated',
+    'windsurf: error'
+  ]);
+  assert.strictEqual(fs.readFileSync(windsurfConfig, 'utf8'), '{ "mcpServers": ');
+});
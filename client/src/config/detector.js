@@ -1,145 +1,108 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { findCommand } = require('../utils/command-path');
 
+// Folders installers put commands in that aren't always on the PATH
+const COMMAND_FOLDERS = {
+  darwin: ['~/.local/bin', '/opt/homebrew/bin', '/usr/local/bin'],
+  linux: [
+    '~/.local/bin',
+    '/usr/local/bin',
+    '/snap/bin',
+    '/var/lib/flatpak/exports/bin',
+    '~/.local/share/flatpak/exports/bin',
+    '/home/linuxbrew/.linuxbrew/bin'
+  ],
+  win32: []
+};
+
+// Where each package manager installs a package, by OS; {id} is the package
+// name (snap), app ID (flatpak) or cask (Homebrew)
+const PACKAGE_LOCATIONS = {
+  snap: { linux: ['/snap/{id}'] },
+  flatpak: { linux: ['/var/lib/flatpak/app/{id}', '~/.local/share/flatpak/app/{id}'] },
+  brew: { darwin: ['/opt/homebrew/Caskroom/{id}', '/usr/local/Caskroom/{id}'] }
+};
+
+// What platform adapters need to know about the machine: the OS, the home
+// folder, per-app data folders, commands and packages
 class PlatformDetector {
   constructor() {
     this.platform = os.platform();
     this.homeDir = os.homedir();
+    // Set when the home folder was redirected with setHomeDir()
+    this.homeOverridden = false;
+    this.commands = new Map();
   }
 
-  // Get the correct config path based on the platform
-  getConfigPath(platform, type = 'global') {
-    const paths = {
-      claude: {
-        darwin: path.join(this.homeDir, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json'),
-        win32: path.join(process.env.APPDATA || '', 'Claude', 'claude_desktop_config.json'),
-        linux: path.join(this.homeDir, '.config', 'Claude', 'claude_desktop_config.json')
-      },
-      claudecode: {
-        darwin: path.join(this.homeDir, '.claudecode', 'settings.json'),
-        win32: path.join(this.homeDir, '.claudecode', 'settings.json'),
-        linux: path.join(this.homeDir, '.claudecode', 'settings.json')
-      },
-      cursor: {
-        global: path.join(this.homeDir, '.cursor', 'mcp.json'),
-        project: path.join(process.cwd(), '.cursor', 'mcp.json')
-      },
-      windsurf: {
-        global: path.join(this.homeDir, '.codeium', 'windsurf', 'mcp_config.json')
-      },
-      vscode: {
-        global: path.join(this.homeDir, '.mcp.json'),
-        project: path.join(process.cwd(), '.vscode', 'mcp.json')
-      },
-      cline: {
-        // Cline uses VSCode's global storage - path varies by OS
-        darwin: path.join(this.homeDir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'cline_mcp_settings.json'),
-        win32: path.join(process.env.APPDATA || '', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'cline_mcp_settings.json'),
-        linux: path.join(this.homeDir, '.config', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'cline_mcp_settings.json')
-      }
-    };
-
-    if (platform === 'claude' || platform === 'cline' || platform === 'claudecode') {
-      return paths[platform][this.platform] || null;
-    }
-
-    return paths[platform]?.[type] || paths[platform]?.global || null;
+  /**
+   * Point every per-user path (config files, app data, the secrets file) at
+   * another folder, e.g. the home folder inside a machine image being
+   * prepared (setup --home). Commands are still looked up on this machine.
+   * @param {string} homeDir - Absolute path
+   */
+  setHomeDir(homeDir) {
+    this.homeDir = homeDir;
+    this.homeOverridden = true;
+    this.commands.clear();
   }
 
-  // Check if a platform is installed
-  isPlatformInstalled(platform) {
-    const checks = {
-      claude: () => {
-        const configPath = this.getConfigPath('claude');
-        const appPaths = {
-          darwin: '/Applications/Claude.app',
-          win32: path.join(process.env.ProgramFiles || '', 'Claude'),
-          linux: '/usr/bin/claude'
-        };
-        return fs.existsSync(appPaths[this.platform] || '') || (configPath && fs.existsSync(path.dirname(configPath)));
-      },
-      claudecode: () => {
-        // Check if claude CLI is installed globally
-        const { execSync } = require('child_process');
-        try {
-          execSync('which claude', { stdio: 'ignore' });
-          return true;
-        } catch {
-          try {
-            execSync('where claude', { stdio: 'ignore' });
-            return true;
-          } catch {
-            // Also check if settings directory exists
-            const configDir = path.join(this.homeDir, '.claudecode');
-            return fs.existsSync(configDir);
-          }
-        }
-      },
-      cursor: () => {
-        const configDir = path.join(this.homeDir, '.cursor');
-        const appPaths = {
-          darwin: '/Applications/Cursor.app',
-          win32: path.join(process.env.LOCALAPPDATA || '', 'Programs', 'cursor'),
-          linux: '/usr/bin/cursor'
-        };
-        return fs.existsSync(configDir) || fs.existsSync(appPaths[this.platform] || '');
-      },
-      windsurf: () => {
-        const configDir = path.join(this.homeDir, '.codeium', 'windsurf');
-        return fs.existsSync(configDir);
-      },
-      vscode: () => {
-        const appPaths = {
-          darwin: '/Applications/Visual Studio Code.app',
-          win32: path.join(process.env.ProgramFiles || '', 'Microsoft VS Code'),
-          linux: '/usr/bin/code'
-        };
-        return fs.existsSync(appPaths[this.platform] || '');
-      },
-      cline: () => {
-        // Check if Cline extension is installed by looking for its storage directory
-        const configPath = this.getConfigPath('cline');
-        return configPath && fs.existsSync(path.dirname(configPath));
-      }
+  // Per-user application data folder of a desktop app (e.g. "Code" for VS Code)
+  getUserDataDir(appDir) {
+    const roots = {
+      darwin: path.join(this.homeDir, 'Library', 'Application Support'),
+      win32: this.homeOverridden ? path.join(this.homeDir, 'AppData', 'Roaming') : (process.env.APPDATA || ''),
+      linux: path.join(this.homeDir, '.config')
     };
+    return path.join(roots[this.platform] || roots.linux, appDir);
+  }
 
-    return checks[platform] ? checks[platform]() : false;
+  // Per-user folder Windows apps install into (%LOCALAPPDATA%)
+  getLocalAppDataDir() {
+    return this.homeOverridden ? path.join(this.homeDir, 'AppData', 'Local') : (process.env.LOCALAPPDATA || '');
   }
 
-  // Get all installed platforms
-  getInstalledPlatforms() {
-    const platforms = ['claude', 'claudecode', 'cursor', 'windsurf', 'vscode', 'cline'];
-    return platforms.filter(platform => this.isPlatformInstalled(platform));
+  expandHome(location) {
+    return location.replace(/^~(?=$|[/\\])/, this.homeDir);
   }
 
-  // Check if a configuration already exists
-  hasExistingConfig(platform, type = 'global') {
-    const configPath = this.getConfigPath(platform, type);
-    if (!configPath || !fs.existsSync(configPath)) {
-      return false;
+  /**
+   * Find a command on the PATH, then in the folders installers and package
+   * managers use (~/.local/bin, /snap/bin, Homebrew, ...). Results are cached.
+   * @param {string} command
+   * @returns {string|null} Absolute path of the executable, or null
+   */
+  findCommand(command) {
+    if (!this.commands.has(command)) {
+      const folders = (COMMAND_FOLDERS[this.platform] || COMMAND_FOLDERS.linux).map(folder => this.expandHome(folder));
+      const searchPath = [process.env.PATH || '', ...folders].join(path.delimiter);
+      this.commands.set(command, findCommand(command, searchPath, this.platform));
     }
+    return this.commands.get(command);
+  }
 
-    try {
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      return config.mcpServers && config.mcpServers['spectator-voice-memory'];
-    } catch (error) {
-      return false;
-    }
+  // Check whether an executable is installed (see findCommand)
+  hasCommand(command) {
+    return Boolean(this.findCommand(command));
   }
 
-  // Get platform display name
-  getPlatformDisplayName(platform) {
-    const names = {
-      claude: 'Claude Desktop',
-      claudecode: 'Claude Code',
-      cursor: 'Cursor',
-      windsurf: 'Windsurf',
-      vscode: 'VS Code',
-      cline: 'Cline (VS Code Extension)'
-    };
-    return names[platform] || platform;
+  // Folders a package manager would have installed a package in on this OS
+  // (none when it isn't used here)
+  getPackageLocations(manager, id) {
+    const locations = (PACKAGE_LOCATIONS[manager] || {})[this.platform] || [];
+    return locations.map(location => this.expandHome(location.replace('{id}', id)));
+  }
+
+  /**
+   * Find a package installed with snap, flatpak or Homebrew (casks)
+   * @param {string} manager - snap, flatpak or brew
+   * @param {string} id - Package name, flatpak app ID or cask
+   * @returns {string|null} The folder it is installed in, or null
+   */
+  findPackage(manager, id) {
+    return this.getPackageLocations(manager, id).find(location => fs.existsSync(location)) || null;
   }
 }
 
-module.exports = PlatformDetector;
\ No newline at end of file
+module.exports = PlatformDetector;
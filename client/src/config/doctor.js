@@ -0,0 +1,356 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkVersions } = require('../utils/version-check');
+const { getDesktopPath, findCommand, runWithPath } = require('../utils/command-path');
+const { SERVER_KEYS, findServerKeys, getServerEntry, getEntryUrl } = require('./server-entry');
+const { API_KEY_ENV, getSecretsPath, loadApiKey, SECRETS_FILE_MODE } = require('./secrets');
+const ApiValidator = require('../utils/api');
+
+// mcp-remote needs TransformStream (Node.js 18+)
+const MIN_NODE_MAJOR = 18;
+
+const PROXY_VARIABLES = ['HTTPS_PROXY', 'HTTP_PROXY', 'ALL_PROXY'];
+
+// A check result: status is ok, warning or error; failing checks say how to fix them
+function check(name, status, message, fix) {
+  return fix ? { name, status, message, fix } : { name, status, message };
+}
+
+function readEnv(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || null;
+}
+
+function nodeMajor(version) {
+  const match = /^v?(\d+)\./.exec(version || '');
+  return match ? Number(match[1]) : null;
+}
+
+// How to make a variable visible to apps started from the desktop
+function desktopEnvFix(platform, name) {
+  if (platform === 'darwin') {
+    return `launchctl setenv ${name} <value>, then restart the app (add it to a login item to keep it across reboots)`;
+  }
+  if (platform === 'win32') {
+    return `setx ${name} <value>, then restart the app`;
+  }
+  return `Add "export ${name}=<value>" to ~/.profile, then log out and back in`;
+}
+
+/**
+ * Diagnose a machine and its platforms' Spectator configs. Every check
+ * reports ok, warning or error, and failing ones carry a concrete fix.
+ */
+class Doctor {
+  /**
+   * @param {PlatformDetector} detector
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Key the configs should hold (default:
+   *   $SPECTATOR_API_KEY or the secrets file, if any)
+   * @param {string} [options.endpoint] - Spectator base URL
+   */
+  constructor(detector, options = {}) {
+    this.detector = detector;
+    this.platform = detector.platform;
+    this.expectedKey = options.apiKey || process.env[API_KEY_ENV] || this.readStoredKey();
+    this.validator = new ApiValidator(options.endpoint);
+    // API keys seen in configs, for the conflicting keys check
+    this.keysSeen = new Map();
+    this.desktopPath = null;
+  }
+
+  readStoredKey() {
+    try {
+      return loadApiKey(getSecretsPath(this.detector.homeDir));
+    } catch {
+      return null;
+    }
+  }
+
+  // PATH the app sees: the shell's for terminal apps, the desktop session's otherwise
+  getSearchPath(platform) {
+    if (platform.launchedFrom === 'terminal') {
+      return process.env.PATH || '';
+    }
+    if (this.desktopPath === null) {
+      this.desktopPath = getDesktopPath(this.platform, this.detector.homeDir);
+    }
+    return this.desktopPath;
+  }
+
+  /**
+   * Checks that don't depend on a platform: Node.js and npx, the secrets
+   * file, and proxy settings
+   * @returns {Array<Object>}
+   */
+  checkEnvironment() {
+    const checks = [];
+
+    const versions = checkVersions();
+    checks.push(versions.valid
+      ? check('Node.js and npx', 'ok', `Node.js ${versions.nodeVersion}, npx ${versions.npxVersion}`)
+      : check('Node.js and npx', 'error', versions.error, `Install Node.js ${MIN_NODE_MAJOR} or newer: nvm install ${MIN_NODE_MAJOR}, or https://nodejs.org/`));
+
+    checks.push(this.checkSecretsFile());
+    checks.push(...this.checkProxy());
+    return checks.filter(Boolean);
+  }
+
+  checkSecretsFile() {
+    const secretsPath = getSecretsPath(this.detector.homeDir);
+    if (!fs.existsSync(secretsPath)) {
+      return null;
+    }
+
+    let apiKey;
+    try {
+      apiKey = loadApiKey(secretsPath);
+    } catch (error) {
+      return check('Secrets file', 'error', error.message, `Fix or delete ${secretsPath}, then run: npx spectator-mcp setup --key-storage file`);
+    }
+    if (!apiKey) {
+      return check('Secrets file', 'error', `${secretsPath} holds no API key`, 'npx spectator-mcp setup --key-storage file');
+    }
+    if (this.platform !== 'win32' && (fs.statSync(secretsPath).mode & 0o077) !== 0) {
+      return check('Secrets file', 'error', `${secretsPath} can be read by other users`, `chmod ${SECRETS_FILE_MODE.toString(8)} ${secretsPath}`);
+    }
+    return check('Secrets file', 'ok', `${secretsPath} is private`);
+  }
+
+  checkProxy() {
+    const host = new URL(this.validator.formatApiUrl()).hostname;
+    const checks = [];
+
+    const variable = PROXY_VARIABLES.find(readEnv);
+    if (variable) {
+      const noProxy = (readEnv('NO_PROXY') || '').split(',').map(entry => entry.trim()).filter(Boolean);
+      const bypassed = noProxy.some(entry => entry === '*' || host === entry.replace(/^\./, '') || host.endsWith(`.${entry.replace(/^\./, '')}`));
+      checks.push(bypassed
+        ? check('Proxy', 'ok', `${variable} is set, and NO_PROXY lets ${host} through directly`)
+        : check('Proxy', 'warning',
+          `${variable} is set in this shell. Apps started from the desktop don't see it, and mcp-remote and most editors' HTTP clients don't read it`,
+          `Set the proxy in each app (e.g. VS Code's "http.proxy" setting), or make sure ${host} is reachable without it`));
+    }
+
+    const npmrc = path.join(this.detector.homeDir, '.npmrc');
+    const npmProxy = fs.existsSync(npmrc) && fs.readFileSync(npmrc, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.match(/^\s*(https-proxy|proxy)\s*=\s*(\S+)/))
+      .find(Boolean);
+    if (npmProxy) {
+      checks.push(check('npm proxy', 'ok', `npx downloads mcp-remote through ${npmProxy[2]} (${npmProxy[1]} in ~/.npmrc)`));
+    }
+
+    if (checks.length === 0) {
+      checks.push(check('Proxy', 'ok', 'No proxy configured'));
+    }
+    return checks;
+  }
+
+  /**
+   * Checks of one platform: each config file parses, has sane permissions
+   * and a single valid Spectator entry with the expected key, and the
+   * command it launches can be found by the app
+   * @param {BasePlatform} platform
+   * @returns {Promise<Array<Object>>}
+   */
+  async checkPlatform(platform) {
+    const checks = [];
+    const configPaths = platform.getConfigPaths().filter(({ path: configPath }) => fs.existsSync(configPath));
+    let entries = 0;
+
+    for (const { scope, path: configPath } of configPaths) {
+      let config;
+      try {
+        config = await platform.readConfig(configPath);
+      } catch (error) {
+        checks.push(check(`Config (${scope})`, 'error', error.message,
+          `Fix the syntax error in ${configPath}, or restore a backup: npx spectator-mcp backups list --platforms ${platform.name}`));
+        continue;
+      }
+
+      checks.push(...this.checkPermissions(configPath, scope));
+      for (const { scope: mapScope, servers } of platform.getServerMaps(config, scope)) {
+        checks.push(...this.checkServers(platform, servers, configPath, mapScope));
+        const entry = getServerEntry(servers);
+        if (entry) {
+          entries++;
+          checks.push(...this.checkEntry(platform, entry, configPath, mapScope));
+        }
+      }
+    }
+
+    if (entries === 0) {
+      checks.push(check('Spectator entry', 'error', 'Spectator MCP is not configured', `npx spectator-mcp setup --platforms ${platform.name}`));
+      return checks;
+    }
+
+    const validation = await platform.validate({ checkCli: true });
+    if (!validation.valid) {
+      checks.push(check('Spectator entry', 'error', validation.error, `npx spectator-mcp setup --platforms ${platform.name}`));
+    } else if (validation.warning) {
+      checks.push(check('Spectator entry', 'warning', validation.warning, `npx spectator-mcp setup --platforms ${platform.name}`));
+    } else {
+      checks.push(check('Spectator entry', 'ok', 'Entry matches the expected schema'));
+    }
+    return checks;
+  }
+
+  // The file must be writable by setup and, as it may hold the key, private
+  checkPermissions(configPath, scope) {
+    if (this.platform === 'win32') {
+      return [];
+    }
+
+    const checks = [];
+    const stats = fs.statSync(configPath);
+    if (typeof process.getuid === 'function' && stats.uid !== process.getuid()) {
+      checks.push(check(`Permissions (${scope})`, 'warning', `${configPath} belongs to another user (often left behind by sudo)`,
+        `sudo chown ${os.userInfo().username} ${configPath}`));
+    }
+    try {
+      fs.accessSync(configPath, fs.constants.R_OK | fs.constants.W_OK);
+    } catch {
+      checks.push(check(`Permissions (${scope})`, 'error', `${configPath} can't be read and written by you, so setup can't update it`,
+        `chmod u+rw ${configPath}`));
+    }
+
+    const content = fs.readFileSync(configPath, 'utf8');
+    const key = this.validator.extractApiKeyFromUrl((content.match(/https?:\/\/[^\s"'`]*\/mcp-server\/mcp\/[A-Za-z0-9_-]+/) || [])[0]);
+    if (key && (stats.mode & 0o044) !== 0) {
+      checks.push(check(`Permissions (${scope})`, 'warning', `${configPath} holds an API key and can be read by other users`,
+        `chmod 600 ${configPath}, or keep the key out of it: npx spectator-mcp setup --key-storage env`));
+    }
+    return checks;
+  }
+
+  // Duplicate Spectator entries: legacy copies, or servers under other names
+  // pointing at Spectator (the app would start both)
+  checkServers(platform, servers, configPath, scope) {
+    const checks = [];
+    const keys = findServerKeys(servers);
+    if (keys.length > 1) {
+      checks.push(check(`Duplicates (${scope})`, 'warning', `${configPath} has both ${keys.map(key => `"${key}"`).join(' and ')} entries`,
+        `npx spectator-mcp setup --platforms ${platform.name} (keeps one entry)`));
+    }
+
+    Object.entries(servers)
+      .filter(([name, entry]) => !SERVER_KEYS.includes(name) && entry && /\/mcp-server\/mcp(\/|$)/.test(getEntryUrl(entry) || ''))
+      .forEach(([name]) => {
+        checks.push(check(`Duplicates (${scope})`, 'warning', `Server "${name}" in ${configPath} also points at Spectator, so its tools show up twice`,
+          `Remove the "${name}" entry from ${configPath}`));
+      });
+    return checks;
+  }
+
+  checkEntry(platform, entry, configPath, scope) {
+    const checks = [];
+    const serialized = JSON.stringify(entry);
+    const urlKey = this.validator.extractApiKeyFromUrl(getEntryUrl(entry));
+
+    if (urlKey) {
+      this.keysSeen.set(urlKey, [...(this.keysSeen.get(urlKey) || []), `${platform.displayName} (${scope})`]);
+      if (this.expectedKey && urlKey !== this.expectedKey) {
+        checks.push(check(`API key (${scope})`, 'error', `${configPath} holds a different API key than ${this.expectedKeySource()}`,
+          'npx spectator-mcp rotate-key --new YOUR_API_KEY'));
+      }
+    } else if (serialized.includes(API_KEY_ENV)) {
+      if (platform.launchedFrom === 'terminal') {
+        if (!process.env[API_KEY_ENV]) {
+          checks.push(check(`API key (${scope})`, 'error', `The entry reads the key from $${API_KEY_ENV}, which isn't set in this shell`,
+            `Add "export ${API_KEY_ENV}=<your API key>" to your shell profile`));
+        }
+      } else {
+        checks.push(check(`API key (${scope})`, 'warning', `The entry reads the key from $${API_KEY_ENV}; apps started from the desktop only see it when it's set for the whole session`,
+          desktopEnvFix(this.platform, API_KEY_ENV)));
+      }
+    } else if (serialized.includes('spectator-mcp') && serialized.includes('proxy') && !this.readStoredKey()) {
+      checks.push(check(`API key (${scope})`, 'error', 'The entry launches "spectator-mcp proxy", but the secrets file holds no key',
+        'npx spectator-mcp setup --key-storage file'));
+    }
+
+    const { commandKey = 'command' } = (platform.schema && platform.schema.entry) || {};
+    const command = entry[commandKey];
+    if (typeof command === 'string') {
+      checks.push(...this.checkCommand(platform, command, entry.args, scope));
+    }
+    return checks;
+  }
+
+  expectedKeySource() {
+    return process.env[API_KEY_ENV] && this.expectedKey === process.env[API_KEY_ENV]
+      ? `$${API_KEY_ENV}`
+      : 'the expected one';
+  }
+
+  // The app can only start a local server if it finds the command (and, for
+  // npx, a recent enough Node.js) on its own PATH
+  checkCommand(platform, command, args, scope) {
+    const searchPath = this.getSearchPath(platform);
+    const where = platform.launchedFrom === 'terminal'
+      ? 'in this shell'
+      : `for ${platform.displayName} when started from the desktop (which doesn't load your shell profile)`;
+    const resolved = findCommand(command, searchPath, this.platform);
+
+    if (!resolved) {
+      const inShell = findCommand(command, process.env.PATH || '', this.platform);
+      return [check(`Command (${scope})`, 'error', `"${command}" can't be found ${where}`,
+        inShell
+          ? `Set the entry's command to the full path ${inShell}, or install Node.js ${MIN_NODE_MAJOR}+ system-wide from https://nodejs.org/`
+          : `Install Node.js ${MIN_NODE_MAJOR} or newer from https://nodejs.org/`)];
+    }
+
+    const checks = [];
+    if (/^npx(\.cmd)?$/i.test(path.basename(resolved))) {
+      const node = findCommand('node', searchPath, this.platform);
+      const version = node && runWithPath(node, ['--version'], searchPath);
+      const major = nodeMajor(version);
+      if (major !== null && major < MIN_NODE_MAJOR) {
+        checks.push(check(`Command (${scope})`, 'error', `npx runs Node.js ${version} ${where}; mcp-remote needs ${MIN_NODE_MAJOR} or newer`,
+          `Install Node.js ${MIN_NODE_MAJOR}+ system-wide from https://nodejs.org/, or make ${node} a newer version`));
+      } else {
+        checks.push(check(`Command (${scope})`, 'ok', `${resolved}${version ? ` (Node.js ${version})` : ''}`));
+      }
+    } else {
+      checks.push(check(`Command (${scope})`, 'ok', resolved));
+    }
+
+    if (Array.isArray(args) && args.includes('mcp-remote') && !this.hasMcpRemote(searchPath)) {
+      checks.push(check(`mcp-remote (${scope})`, 'warning', 'mcp-remote isn\'t installed or cached yet, so npx downloads it when the app first starts (this needs access to the npm registry)',
+        'npm cache add mcp-remote (or npm install -g mcp-remote)'));
+    }
+    return checks;
+  }
+
+  // Installed globally, or in npx's cache
+  hasMcpRemote(searchPath) {
+    if (findCommand('mcp-remote', searchPath, this.platform)) {
+      return true;
+    }
+    const npmCache = process.env.npm_config_cache || (this.platform === 'win32'
+      ? path.join(process.env.LOCALAPPDATA || '', 'npm-cache')
+      : path.join(this.detector.homeDir, '.npm'));
+    const npxCache = path.join(npmCache, '_npx');
+    try {
+      return fs.readdirSync(npxCache).some(folder =>
+        fs.existsSync(path.join(npxCache, folder, 'node_modules', 'mcp-remote', 'package.json')));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * After every platform is checked: configs holding different API keys
+   * @returns {Object|null} A check, or null when there is nothing to report
+   */
+  checkKeyConflicts() {
+    if (this.keysSeen.size <= 1) {
+      return null;
+    }
+    const groups = [...this.keysSeen.values()].map(owners => owners.join(', '));
+    return check('API keys', 'warning', `Configs hold ${this.keysSeen.size} different API keys: ${groups.join(' / ')}`,
+      'npx spectator-mcp rotate-key --new YOUR_API_KEY (puts one key everywhere)');
+  }
+}
+
+module.exports = Doctor;
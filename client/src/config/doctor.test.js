@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const PlatformDetector = require('./detector');
+const { DEFAULT_ENDPOINT } = require('./endpoint');
+const { getSecretsPath } = require('./secrets');
+const Doctor = require('./doctor');
+const Platforms = require('../platforms');
+
+const API_KEY = 'sk_test_doctor_key';
+const OTHER_KEY = 'sk_test_doctor_other';
+
+// The checks read POSIX permission bits
+const POSIX_ONLY = { skip: process.platform === 'win32' };
+
+// A Linux machine whose home folder is a fresh temporary one
+function createMachine(t) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-doctor-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const detector = new PlatformDetector();
+  detector.platform = 'linux';
+  detector.setHomeDir(home);
+  const createPlatform = name => new Platforms[name](detector, { endpoint: DEFAULT_ENDPOINT });
+  return { home, detector, createPlatform };
+}
+
+// Write a platform's global config with `servers` as its server map
+function writeServers(platform, servers, mode = 0o600) {
+  const configPath = platform.getConfigPath('global');
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, JSON.stringify({ mcpServers: servers }), { mode });
+  fs.chmodSync(configPath, mode);
+  return configPath;
+}
+
+const failing = checks => checks
+  .filter(check => check.status !== 'ok')
+  .map(({ name, status }) => `${status}: ${name}`);
+
+test('a private config setup wrote passes every check', POSIX_ONLY, async (t) => {
+  const { detector, createPlatform } = createMachine(t);
+  const cursor = createPlatform('cursor');
+  await cursor.applyPlan(await cursor.planConfigure(API_KEY));
+  fs.chmodSync(cursor.getConfigPath('global'), 0o600);
+
+  const checks = await new Doctor(detector, { apiKey: API_KEY }).checkPlatform(cursor);
+  assert.deepStrictEqual(failing(checks), []);
+});
+
+test('config problems each come with a fix', POSIX_ONLY, async (t) => {
+  const { detector, createPlatform } = createMachine(t);
+  const cursor = createPlatform('cursor');
+  const windsurf = createPlatform('windsurf');
+  const doctor = new Doctor(detector, { apiKey: API_KEY });
+
+  await t.test('a missing entry', async () => {
+    const [check] = await doctor.checkPlatform(cursor);
+    assert.deepStrictEqual(check, {
+      name: 'Spectator entry',
+      status: 'error',
+      message: 'Spectator MCP is not configured',
+      fix: 'npx spectator-mcp setup --platforms cursor'
+    });
+  });
+
+  await t.test('a config that doesn\'t parse', async () => {
+    fs.writeFileSync(writeServers(cursor, {}), '{ "mcpServers": ');
+    const [check] = await doctor.checkPlatform(cursor);
+    assert.strictEqual(check.name, 'Config (global)');
+    assert.match(check.fix, /backups list --platforms cursor/);
+  });
+
+  await t.test('a readable key, another key, and a duplicate entry', async () => {
+    const entry = cursor.getMcpServerEntry(OTHER_KEY);
+    writeServers(cursor, { 'spectator-voice-memory': entry, Spectator: entry, memory: entry }, 0o644);
+    assert.deepStrictEqual(failing(await doctor.checkPlatform(cursor)), [
+      'warning: Permissions (global)',
+      'warning: Duplicates (global)',
+      'warning: Duplicates (global)',
+      'error: API key (global)'
+    ]);
+  });
+
+  await t.test('different keys across platforms', async () => {
+    assert.strictEqual(doctor.checkKeyConflicts(), null);
+    writeServers(windsurf, { 'spectator-voice-memory': windsurf.getMcpServerEntry(API_KEY) });
+    await doctor.checkPlatform(windsurf);
+    assert.match(doctor.checkKeyConflicts().message, /^Configs hold 2 different API keys: Cursor \(global\) \/ Windsurf \(global\)$/);
+  });
+});
+
+test('the secrets file must hold a key and be private', POSIX_ONLY, (t) => {
+  const { home, detector } = createMachine(t);
+  const secretsPath = getSecretsPath(home);
+  assert.strictEqual(new Doctor(detector).checkSecretsFile(), null);
+
+  fs.mkdirSync(path.dirname(secretsPath), { recursive: true });
+  fs.writeFileSync(secretsPath, JSON.stringify({ apiKey: API_KEY }), { mode: 0o644 });
+  fs.chmodSync(secretsPath, 0o644);
+  assert.deepStrictEqual(new Doctor(detector).checkSecretsFile(), {
+    name: 'Secrets file',
+    status: 'error',
+    message: `${secretsPath} can be read by other users`,
+    fix: `chmod 600 ${secretsPath}`
+  });
+
+  fs.chmodSync(secretsPath, 0o600);
+  assert.strictEqual(new Doctor(detector).checkSecretsFile().status, 'ok');
+});
@@ -0,0 +1,50 @@
+// Spectator server used unless --endpoint or SPECTATOR_ENDPOINT says otherwise
+const DEFAULT_ENDPOINT = 'https://spectatorcontext.com';
+
+// Path of the MCP endpoint on a Spectator server; the API key is appended
+const MCP_PATH = '/mcp-server/mcp';
+
+/**
+ * Resolve the Spectator base URL: explicit option, then SPECTATOR_ENDPOINT,
+ * then the public server
+ * @param {string} [endpoint] - Explicit base URL (e.g. from --endpoint)
+ * @returns {string} Base URL without a trailing slash
+ */
+function resolveEndpoint(endpoint) {
+  const value = endpoint || process.env.SPECTATOR_ENDPOINT || DEFAULT_ENDPOINT;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid Spectator endpoint: ${value}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Invalid Spectator endpoint: ${value} (must be an http or https URL)`);
+  }
+
+  return value.replace(/\/+$/, '');
+}
+
+// Full MCP server URL for an API key on the given endpoint. Without a key,
+// the bare MCP URL used when the key is sent in an Authorization header.
+function formatServerUrl(endpoint, apiKey) {
+  return apiKey ? `${endpoint}${MCP_PATH}/${apiKey}` : `${endpoint}${MCP_PATH}`;
+}
+
+// Host (with port) of a URL, or null if it can't be parsed
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_ENDPOINT,
+  MCP_PATH,
+  resolveEndpoint,
+  formatServerUrl,
+  getHost
+};
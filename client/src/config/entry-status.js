@@ -0,0 +1,119 @@
+const { SERVER_KEY, getEntryUrl } = require('./server-entry');
+const { DEFAULT_ENDPOINT } = require('./endpoint');
+const { KEY_STORAGE_MODES } = require('./secrets');
+const ApiValidator = require('../utils/api');
+
+// Stand-in key for entries that keep the key elsewhere, when no key is known
+const PLACEHOLDER_KEY = 'YOUR_API_KEY';
+
+// Copy of a value with object keys sorted, so entries compare regardless of
+// the order a config file lists them in
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = normalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+function sameEntry(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+// Endpoint and API key an entry was written for (either may be null)
+function readEntryTarget(entry) {
+  const parsed = ApiValidator.parseServerUrl(getEntryUrl(entry));
+  if (parsed) {
+    return parsed;
+  }
+  // The proxy launcher names a non-default endpoint in its arguments
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  const endpointIndex = args.indexOf('--endpoint');
+  return { endpoint: endpointIndex >= 0 ? args[endpointIndex + 1] : DEFAULT_ENDPOINT, apiKey: null };
+}
+
+// The transport and key storage setup would have used to write this exact
+// entry for its endpoint and key, or null if setup never writes it
+function matchSetupEntry(platform, entry, target, apiKey) {
+  for (const keyStorage of KEY_STORAGE_MODES) {
+    for (const transport of platform.transports) {
+      let candidate;
+      try {
+        candidate = platform
+          .withSettings({ endpoint: target.endpoint, transport, keyStorage })
+          .getMcpServerEntry(apiKey);
+      } catch {
+        // Not a combination this platform can write
+        continue;
+      }
+      if (sameEntry(candidate, entry)) {
+        return { transport: keyStorage === 'file' ? 'stdio-proxy' : transport, keyStorage };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify a Spectator entry against the one setup would write now
+ * (getMcpServerEntry with the platform's current endpoint and transport)
+ * @param {BasePlatform} platform - Platform with the settings setup would run with
+ * @param {Object} found - The entry found: { entry, key, scope }, key being
+ *   the server name it is stored under
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Expected key (default: the entry's own)
+ * @param {string} [options.keyStorage] - Expected key storage (default: the
+ *   one the entry uses)
+ * @returns {{ status: string, reasons: string[] }} A status of up-to-date,
+ *   stale (written by setup, but for another key, endpoint, transport, key
+ *   storage or file) or hand-modified (not an entry setup writes), and what
+ *   differs
+ */
+function classifyEntry(platform, found, options = {}) {
+  const target = readEntryTarget(found.entry);
+  const entryKey = target.apiKey || options.apiKey || PLACEHOLDER_KEY;
+
+  const match = matchSetupEntry(platform, found.entry, target, entryKey);
+  if (!match) {
+    return { status: 'hand-modified', reasons: ['Does not match any entry setup writes'] };
+  }
+
+  const keyStorage = options.keyStorage || match.keyStorage;
+  const expected = platform.withSettings({ keyStorage });
+  const expectedTransport = keyStorage === 'file' ? 'stdio-proxy' : expected.getTransport();
+  const expectedEntry = expected.getMcpServerEntry(options.apiKey || entryKey);
+
+  const reasons = [];
+  if (found.scope === 'legacy') {
+    reasons.push('Left in an old config file the platform doesn\'t read');
+  }
+  if (found.key !== SERVER_KEY) {
+    reasons.push(`Stored under the old name "${found.key}"`);
+  }
+  if (target.apiKey && options.apiKey && target.apiKey !== options.apiKey) {
+    reasons.push('Holds a different API key');
+  }
+  if (target.endpoint && target.endpoint !== expected.endpoint) {
+    reasons.push(`Points at ${target.endpoint} (now ${expected.endpoint})`);
+  }
+  if (match.transport !== expectedTransport) {
+    reasons.push(`Uses the ${match.transport} transport (now ${expectedTransport})`);
+  }
+  if (match.keyStorage !== keyStorage) {
+    reasons.push(`Keeps the key ${match.keyStorage} (now ${keyStorage})`);
+  }
+
+  if (reasons.length === 0 && sameEntry(expectedEntry, found.entry)) {
+    return { status: 'up-to-date', reasons };
+  }
+  return { status: 'stale', reasons: reasons.length > 0 ? reasons : ['Written by an older version of setup'] };
+}
+
+module.exports = {
+  classifyEntry
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('node:os');
+const PlatformDetector = require('./detector');
+const { DEFAULT_ENDPOINT } = require('./endpoint');
+const { SERVER_KEY } = require('./server-entry');
+const { classifyEntry } = require('./entry-status');
+const Platforms = require('../platforms');
+
+const API_KEY = 'sk_test_entry_status';
+
+function createCursor(settings = {}) {
+  const detector = new PlatformDetector();
+  detector.platform = 'linux';
+  detector.setHomeDir(os.tmpdir());
+  return new Platforms.cursor(detector, { endpoint: DEFAULT_ENDPOINT, ...settings });
+}
+
+const classify = (platform, entry, options, found = {}) =>
+  classifyEntry(platform, { entry, key: SERVER_KEY, scope: 'global', ...found }, options);
+
+test('the entry setup writes now is up to date', () => {
+  const platform = createCursor();
+  assert.deepStrictEqual(classify(platform, platform.getMcpServerEntry(API_KEY), { apiKey: API_KEY }), { status: 'up-to-date', reasons: [] });
+  // Key order doesn't matter
+  const reordered = Object.fromEntries(Object.entries(platform.getMcpServerEntry(API_KEY)).reverse());
+  assert.strictEqual(classify(platform, reordered, { apiKey: API_KEY }).status, 'up-to-date');
+});
+
+test('entries setup wrote with other settings are stale', () => {
+  const platform = createCursor();
+  const cases = [
+    [createCursor({ transport: 'stdio-proxy' }).getMcpServerEntry(API_KEY), {}, 'Uses the stdio-proxy transport (now http)'],
+    [createCursor({ endpoint: 'https://old.example.com' }).getMcpServerEntry(API_KEY), {}, `Points at https://old.example.com (now ${DEFAULT_ENDPOINT})`],
+    [platform.getMcpServerEntry('sk_test_old_key_1'), {}, 'Holds a different API key'],
+    [platform.getMcpServerEntry(API_KEY), { key: 'Spectator' }, 'Stored under the old name "Spectator"'],
+    [createCursor({ keyStorage: 'env' }).getMcpServerEntry(API_KEY), {}, 'Keeps the key env (now inline)']
+  ];
+  for (const [entry, found, reason] of cases) {
+    const result = classify(platform, entry, { apiKey: API_KEY, keyStorage: 'inline' }, found);
+    assert.strictEqual(result.status, 'stale', reason);
+    assert.ok(result.reasons.includes(reason), `${reason}: ${result.reasons}`);
+  }
+});
+
+test('entries setup never writes are hand-modified', () => {
+  const platform = createCursor();
+  const entry = { ...platform.getMcpServerEntry(API_KEY), headers: { 'X-Team': 'a' } };
+  assert.deepStrictEqual(classify(platform, entry, { apiKey: API_KEY }), {
+    status: 'hand-modified',
+    reasons: ['Does not match any entry setup writes']
+  });
+});
@@ -0,0 +1,86 @@
+const { getFileStatus, grepTracked, searchHistory } = require('../utils/git');
+const { planGitignore } = require('../utils/gitignore');
+
+// A Spectator URL with a key in it, valid both for git (POSIX ERE) and in
+// JavaScript; variable references such as ${SPECTATOR_API_KEY} don't match
+const KEY_URL_PATTERN = '/mcp-server/mcp/[A-Za-z0-9_-]+';
+
+// Keys in example configs and docs
+const PLACEHOLDER_KEYS = ['YOUR_API_KEY', 'YOUR_KEY'];
+
+/**
+ * Check where config files that would hold the API key stand in git
+ * @param {Array<Object>} changes - Planned file changes ({ path, after })
+ * @param {string} apiKey
+ * @returns {Array<Object>} { path, root, relativePath, status } per such file
+ *   in a git work tree; status is tracked, exposed (not ignored) or ignored
+ */
+function checkKeyExposure(changes, apiKey) {
+  const files = [];
+  for (const change of changes) {
+    if (!change.after || !change.after.includes(apiKey) || files.some(file => file.path === change.path)) {
+      continue;
+    }
+    const status = getFileStatus(change.path);
+    if (status) {
+      files.push({
+        path: change.path,
+        root: status.root,
+        relativePath: status.relativePath,
+        status: status.tracked ? 'tracked' : (status.ignored ? 'ignored' : 'exposed')
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Plan adding the exposed files from checkKeyExposure() to .gitignore
+ * @param {Array<Object>} files - Entries from checkKeyExposure()
+ * @returns {Array<Object>} One .gitignore change per work tree
+ */
+function planIgnoreExposed(files) {
+  const byRoot = new Map();
+  files
+    .filter(file => file.status === 'exposed')
+    .forEach(file => byRoot.set(file.root, [...(byRoot.get(file.root) || []), file.relativePath]));
+
+  return [...byRoot].map(([root, paths]) => planGitignore(root, paths)).filter(Boolean);
+}
+
+// Keys in the Spectator URLs on a line, without placeholders
+function findKeys(text) {
+  const keys = [...text.matchAll(new RegExp(KEY_URL_PATTERN, 'g'))]
+    .map(match => match[0].split('/').pop())
+    .filter(key => !PLACEHOLDER_KEYS.includes(key));
+  return [...new Set(keys)];
+}
+
+/**
+ * Search a repository for Spectator URLs holding an API key
+ * @param {string} root - Work tree folder
+ * @param {Object} [options]
+ * @param {boolean} [options.history=true] - Also search every commit
+ * @returns {{ files: Array<Object>, history: Array<Object> }} Findings in
+ *   tracked files ({ path, line, key }) and in commits ({ commit, date, path, key })
+ */
+function scanRepository(root, options = {}) {
+  const files = grepTracked(root, KEY_URL_PATTERN)
+    .flatMap(({ path, line, text }) => findKeys(text).map(key => ({ path, line, key })));
+
+  const history = [];
+  if (options.history !== false) {
+    for (const { commit, date, path, text } of searchHistory(root, KEY_URL_PATTERN)) {
+      findKeys(text)
+        .filter(key => !history.some(found => found.commit === commit && found.path === path && found.key === key))
+        .forEach(key => history.push({ commit, date, path, key }));
+    }
+  }
+  return { files, history };
+}
+
+module.exports = {
+  checkKeyExposure,
+  planIgnoreExposed,
+  scanRepository
+};
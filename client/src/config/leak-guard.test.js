@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { checkKeyExposure, planIgnoreExposed, scanRepository } = require('./leak-guard');
+
+const API_KEY = 'sk_test_leak_guard';
+const CONFIG = `{"url":"https://spectatorcontext.com/mcp-server/mcp/${API_KEY}"}`;
+
+// A fresh git repository with `files` committed
+function createRepository(t, files) {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-leak-')));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: root, stdio: 'pipe' });
+  git('init', '-q');
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+  git('add', '-A');
+  git('commit', '-q', '-m', 'initial');
+  return { root, git };
+}
+
+test('files that would hold the key are tracked, exposed or ignored', (t) => {
+  const { root } = createRepository(t, {
+    '.gitignore': 'ignored/\n',
+    '.vscode/mcp.json': '{}'
+  });
+  const change = (name, after = CONFIG) => ({ path: path.join(root, name), after });
+
+  const exposure = checkKeyExposure([
+    change('.vscode/mcp.json'),
+    change('.cursor/mcp.json'),
+    change('ignored/mcp.json'),
+    // Without the key, or outside a repository, a file isn't reported
+    change('.roo/mcp.json', '{"url":"${SPECTATOR_API_KEY}"}'),
+    { path: path.join(os.tmpdir(), 'spectator-outside', 'mcp.json'), after: CONFIG }
+  ], API_KEY);
+
+  assert.deepStrictEqual(exposure.map(({ relativePath, status }) => ({ relativePath, status })), [
+    { relativePath: '.vscode/mcp.json', status: 'tracked' },
+    { relativePath: '.cursor/mcp.json', status: 'exposed' },
+    { relativePath: 'ignored/mcp.json', status: 'ignored' }
+  ]);
+
+  const [gitignore] = planIgnoreExposed(exposure);
+  assert.deepStrictEqual(gitignore.added, ['.cursor/mcp.json']);
+  assert.strictEqual(gitignore.after, 'ignored/\n\n# Spectator MCP configs (they hold an API key)\n.cursor/mcp.json\n');
+});
+
+test('scan finds keys in tracked files and in the history', (t) => {
+  const { root, git } = createRepository(t, {
+    'docs/setup.md': 'Use https://spectatorcontext.com/mcp-server/mcp/YOUR_API_KEY\n',
+    'mcp.json': CONFIG
+  });
+  fs.writeFileSync(path.join(root, 'mcp.json'), '{}');
+  git('commit', '-q', '-am', 'remove the key');
+  fs.writeFileSync(path.join(root, 'notes.json'), CONFIG);
+
+  const { files, history } = scanRepository(root);
+  // Untracked files and placeholders aren't findings
+  assert.deepStrictEqual(files, []);
+  assert.deepStrictEqual(history.map(({ path: file, key }) => ({ path: file, key })), [{ path: 'mcp.json', key: API_KEY }]);
+
+  git('add', 'notes.json');
+  assert.deepStrictEqual(scanRepository(root, { history: false }), {
+    files: [{ path: 'notes.json', line: 1, key: API_KEY }],
+    history: []
+  });
+});
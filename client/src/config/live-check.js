@@ -0,0 +1,87 @@
+const { getEntryUrl } = require('./server-entry');
+const { resolveEndpoint, formatServerUrl, getHost } = require('./endpoint');
+const { API_KEY_ENV } = require('./secrets');
+const { probeServer } = require('../utils/mcp-client');
+const ApiValidator = require('../utils/api');
+
+// How long a live check waits for each response
+const LIVE_TIMEOUT = 10000;
+
+// Authorization header value as configured: taken from an entry's headers or
+// an mcp-remote --header argument
+function findAuthorization(entry) {
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  const headerArg = args.find((arg, index) =>
+    args[index - 1] === '--header' && typeof arg === 'string' && /^authorization:/i.test(arg));
+  if (headerArg) {
+    return headerArg.slice(headerArg.indexOf(':') + 1).trim();
+  }
+
+  const headers = entry.headers && typeof entry.headers === 'object' ? entry.headers : {};
+  const name = Object.keys(headers).find(header => header.toLowerCase() === 'authorization');
+  return name ? String(headers[name]) : null;
+}
+
+/**
+ * How an entry reaches its server
+ * @param {Object} entry - Spectator server entry
+ * @returns {{ url: string, pathKey: string|null, authorization: string|null }|null}
+ *   null when the entry names no server
+ */
+function getEntryConnection(entry) {
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  // `spectator-mcp proxy` connects to its --endpoint and sends the stored key
+  if (args.includes('spectator-mcp') && args.includes('proxy')) {
+    const endpointIndex = args.indexOf('--endpoint');
+    return {
+      url: formatServerUrl(resolveEndpoint(endpointIndex >= 0 ? args[endpointIndex + 1] : undefined)),
+      pathKey: null,
+      authorization: `\${${API_KEY_ENV}}`
+    };
+  }
+
+  const url = getEntryUrl(entry);
+  if (!url) {
+    return null;
+  }
+  const parsed = ApiValidator.parseServerUrl(url);
+  return { url, pathKey: parsed ? parsed.apiKey : null, authorization: findAuthorization(entry) };
+}
+
+/**
+ * Run an MCP handshake against the server an entry points at, sending the
+ * key the way the entry does (in the URL or an Authorization header)
+ * @param {Object} entry - Spectator server entry
+ * @param {Object} [options]
+ * @param {string} [options.storedKey] - Key that header references stand for
+ * @param {string} [options.baseUrl] - Check this server instead (--base-url)
+ * @param {number} [options.timeout] - Milliseconds to wait for each response
+ * @returns {Promise<Object>} probeServer's result with the host checked, or
+ *   { error } when there was nothing to check
+ */
+async function checkEntryConnection(entry, options = {}) {
+  const connection = getEntryConnection(entry);
+  if (!connection) {
+    return { error: 'The entry names no server URL' };
+  }
+
+  const headers = {};
+  if (connection.authorization) {
+    const apiKey = connection.authorization.includes('${') ? options.storedKey : connection.authorization;
+    if (!apiKey) {
+      return { error: `No API key found in $${API_KEY_ENV} or the secrets file` };
+    }
+    headers.Authorization = apiKey;
+  }
+
+  const url = options.baseUrl
+    ? formatServerUrl(resolveEndpoint(options.baseUrl), connection.pathKey)
+    : connection.url;
+  const status = await probeServer(url, { timeout: options.timeout || LIVE_TIMEOUT, headers });
+  return { host: getHost(url), ...status };
+}
+
+module.exports = {
+  getEntryConnection,
+  checkEntryConnection
+};
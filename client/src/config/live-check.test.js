@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { getEntryConnection, checkEntryConnection } = require('./live-check');
+
+const API_KEY = 'sk_test_live_check';
+
+// A Spectator server stand-in: accepts API_KEY in the URL path or the
+// Authorization header, and records every request it gets
+function startStubServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      const authorized = req.url === `/mcp-server/mcp/${API_KEY}` ||
+        (req.url === '/mcp-server/mcp' && req.headers.authorization === API_KEY);
+      if (!authorized) {
+        res.writeHead(401).end();
+        return;
+      }
+
+      const message = JSON.parse(body);
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+      const result = message.method === 'initialize'
+        ? { protocolVersion: '2025-03-26', serverInfo: { name: 'stub', version: '1.0.0' }, capabilities: {} }
+        : { tools: [{ name: 'search' }] };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, endpoint: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+// An endpoint nothing listens on
+function closedEndpoint() {
+  return new Promise(resolve => {
+    const server = http.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(`http://127.0.0.1:${port}`));
+    });
+  });
+}
+
+test('live checks', async (t) => {
+  const stub = await startStubServer();
+  t.after(() => stub.server.close());
+  t.beforeEach(() => { stub.requests.length = 0; });
+
+  const cases = [
+    {
+      name: 'native entry with the key in the URL',
+      entry: { url: `${stub.endpoint}/mcp-server/mcp/${API_KEY}` },
+      sent: { url: `/mcp-server/mcp/${API_KEY}`, authorization: undefined }
+    },
+    {
+      name: 'native entry with a header referencing the key',
+      entry: { type: 'http', url: `${stub.endpoint}/mcp-server/mcp`, headers: { Authorization: '${SPECTATOR_API_KEY}' } },
+      storedKey: API_KEY,
+      sent: { url: '/mcp-server/mcp', authorization: API_KEY }
+    },
+    {
+      name: 'VS Code prompt input in the header',
+      entry: { type: 'http', url: `${stub.endpoint}/mcp-server/mcp`, headers: { Authorization: '${input:spectator-api-key}' } },
+      storedKey: API_KEY,
+      sent: { url: '/mcp-server/mcp', authorization: API_KEY }
+    },
+    {
+      name: 'mcp-remote with an Authorization header argument',
+      entry: { command: 'npx', args: ['-y', 'mcp-remote', `${stub.endpoint}/mcp-server/mcp`, '--header', 'Authorization:${SPECTATOR_API_KEY}'] },
+      storedKey: API_KEY,
+      sent: { url: '/mcp-server/mcp', authorization: API_KEY }
+    },
+    {
+      name: 'spectator-mcp proxy with its own endpoint',
+      entry: { command: 'npx', args: ['-y', 'spectator-mcp', 'proxy', '--endpoint', stub.endpoint] },
+      storedKey: API_KEY,
+      sent: { url: '/mcp-server/mcp', authorization: API_KEY }
+    }
+  ];
+
+  for (const { name, entry, storedKey, sent } of cases) {
+    await t.test(name, async () => {
+      const status = await checkEntryConnection(entry, { storedKey });
+      assert.strictEqual(status.error, undefined);
+      assert.strictEqual(status.reachable, true);
+      assert.strictEqual(status.authenticated, true);
+      assert.strictEqual(status.serverName, 'stub');
+      assert.strictEqual(status.toolCount, 1);
+      assert.strictEqual(status.host, new URL(stub.endpoint).host);
+      assert.deepStrictEqual(stub.requests[0], sent);
+    });
+  }
+
+  await t.test('a key the server rejects is not authenticated', async () => {
+    const status = await checkEntryConnection({ url: `${stub.endpoint}/mcp-server/mcp/sk_other_key` });
+    assert.strictEqual(status.reachable, true);
+    assert.strictEqual(status.authenticated, false);
+  });
+
+  await t.test('an entry pointing at another server checks that server', async () => {
+    const other = await closedEndpoint();
+    const status = await checkEntryConnection({ url: `${other}/mcp-server/mcp/${API_KEY}` }, { timeout: 2000 });
+    assert.strictEqual(status.reachable, false);
+    assert.strictEqual(status.host, new URL(other).host);
+    assert.strictEqual(stub.requests.length, 0);
+  });
+
+  await t.test('a base URL override checks that server with the entry\'s key', async () => {
+    const other = await closedEndpoint();
+    const status = await checkEntryConnection({ url: `${other}/mcp-server/mcp/${API_KEY}` }, { baseUrl: stub.endpoint });
+    assert.strictEqual(status.authenticated, true);
+    assert.strictEqual(stub.requests[0].url, `/mcp-server/mcp/${API_KEY}`);
+  });
+
+  await t.test('a header reference without a stored key is reported, not probed', async () => {
+    const status = await checkEntryConnection({ url: `${stub.endpoint}/mcp-server/mcp`, headers: { Authorization: '${SPECTATOR_API_KEY}' } });
+    assert.match(status.error, /No API key found/);
+    assert.strictEqual(status.reachable, undefined);
+    assert.strictEqual(stub.requests.length, 0);
+  });
+});
+
+test('getEntryConnection', () => {
+  assert.deepStrictEqual(
+    getEntryConnection({ url: 'https://staging.example.com/mcp-server/mcp/abc' }),
+    { url: 'https://staging.example.com/mcp-server/mcp/abc', pathKey: 'abc', authorization: null }
+  );
+  assert.deepStrictEqual(
+    getEntryConnection({ headers: { authorization: 'sk_literal' }, serverUrl: 'https://example.com/mcp-server/mcp' }),
+    { url: 'https://example.com/mcp-server/mcp', pathKey: null, authorization: 'sk_literal' }
+  );
+  assert.strictEqual(getEntryConnection({ command: 'node', args: ['server.js'] }), null);
+});
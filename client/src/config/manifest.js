@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_KEY_ENV, KEY_STORAGE_MODES } = require('./secrets');
+const { TRANSPORTS } = require('./transports');
+const { resolveEndpoint } = require('./endpoint');
+
+// Manifest versions this client understands
+const MANIFEST_VERSION = 1;
+
+// Default manifest file, looked up in the current directory
+const DEFAULT_MANIFEST = 'spectator.team.json';
+
+// Whether a listed platform should have the Spectator entry
+const ENSURE_MODES = ['present', 'absent'];
+
+// What happens to the Spectator entry of installed platforms the manifest
+// doesn't list: keep it as it is, or remove it
+const UNLISTED_MODES = ['keep', 'remove'];
+
+const MANIFEST_FIELDS = ['version', 'endpoint', 'transport', 'keyStorage', 'apiKey', 'platforms', 'unlisted', 'gitignore'];
+const PLATFORM_FIELDS = ['ensure', 'scopes', 'transport', 'keyStorage'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkFields(object, allowed, where) {
+  const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) in ${where}: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+  }
+}
+
+function checkChoice(value, choices, where) {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new Error(`Invalid ${where} "${value}". Use one of: ${choices.join(', ')}`);
+  }
+}
+
+// Where the API key comes from: { env: NAME } or { file: PATH }, the file
+// path resolved against the manifest's folder
+function parseKeySource(source, manifestDir, homeDir) {
+  if (source === undefined) {
+    return { env: API_KEY_ENV };
+  }
+  if (!isObject(source) || Object.keys(source).length !== 1 || !(source.env || source.file)) {
+    throw new Error('"apiKey" must be { "env": "VARIABLE" } or { "file": "path" }; the key itself never goes in the manifest');
+  }
+  if (source.env) {
+    return { env: String(source.env) };
+  }
+  const expanded = String(source.file).replace(/^~(?=$|[/\\])/, homeDir);
+  return { file: path.resolve(manifestDir, expanded) };
+}
+
+function parsePlatform(name, spec) {
+  const where = `platforms.${name}`;
+  if (typeof spec === 'string') {
+    spec = { ensure: spec };
+  }
+  if (!isObject(spec)) {
+    throw new Error(`${where} must be an object or "present"/"absent"`);
+  }
+  checkFields(spec, PLATFORM_FIELDS, where);
+  checkChoice(spec.ensure, ENSURE_MODES, `${where}.ensure`);
+  checkChoice(spec.transport, TRANSPORTS, `${where}.transport`);
+  checkChoice(spec.keyStorage, KEY_STORAGE_MODES, `${where}.keyStorage`);
+  if (spec.scopes !== undefined && (!Array.isArray(spec.scopes) || spec.scopes.length === 0)) {
+    throw new Error(`${where}.scopes must be a non-empty list of scopes`);
+  }
+
+  return {
+    name: name.toLowerCase(),
+    ensure: spec.ensure || 'present',
+    scopes: spec.scopes ? spec.scopes.map(String) : null,
+    transport: spec.transport,
+    keyStorage: spec.keyStorage
+  };
+}
+
+/**
+ * Read a team manifest (see README.md): the Spectator setup `apply`
+ * reconciles a machine to
+ * @param {string} manifestPath
+ * @param {Object} [options]
+ * @param {string} [options.homeDir] - Folder ~ expands to
+ * @returns {Object} The normalized manifest, platforms as a list of
+ *   { name, ensure, scopes, transport, keyStorage }
+ * @throws {Error} If the file can't be read or isn't a valid manifest
+ */
+function loadManifest(manifestPath, options = {}) {
+  const homeDir = options.homeDir || os.homedir();
+  const absolute = path.resolve(manifestPath);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(absolute, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read manifest ${absolute}: ${error.message}`);
+  }
+  if (!isObject(manifest)) {
+    throw new Error(`Manifest ${absolute} must be a JSON object`);
+  }
+
+  checkFields(manifest, MANIFEST_FIELDS, 'the manifest');
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${JSON.stringify(manifest.version)}; this client understands version ${MANIFEST_VERSION}`);
+  }
+  if (manifest.endpoint !== undefined && (typeof manifest.endpoint !== 'string' || !manifest.endpoint)) {
+    throw new Error('"endpoint" must be the Spectator server URL, e.g. "https://spectatorcontext.com"');
+  }
+  checkChoice(manifest.transport, TRANSPORTS, 'transport');
+  checkChoice(manifest.keyStorage, KEY_STORAGE_MODES, 'keyStorage');
+  checkChoice(manifest.unlisted, UNLISTED_MODES, 'unlisted');
+  if (!isObject(manifest.platforms) || Object.keys(manifest.platforms).length === 0) {
+    throw new Error('"platforms" must list at least one platform');
+  }
+
+  return {
+    path: absolute,
+    version: manifest.version,
+    endpoint: resolveEndpoint(manifest.endpoint),
+    transport: manifest.transport,
+    keyStorage: manifest.keyStorage || 'inline',
+    keySource: parseKeySource(manifest.apiKey, path.dirname(absolute), homeDir),
+    platforms: Object.entries(manifest.platforms).map(([name, spec]) => parsePlatform(name, spec)),
+    unlisted: manifest.unlisted || 'keep',
+    gitignore: manifest.gitignore === true
+  };
+}
+
+/**
+ * Read the API key a manifest points at. A key file holds the bare key, or is
+ * a secrets file ({ "apiKey": "..." }).
+ * @param {{ env: string }|{ file: string }} keySource - From loadManifest()
+ * @returns {string}
+ * @throws {Error} If the variable isn't set or the file holds no key
+ */
+function readManifestKey(keySource) {
+  if (keySource.env) {
+    const apiKey = (process.env[keySource.env] || '').trim();
+    if (!apiKey) {
+      throw new Error(`The manifest reads the API key from $${keySource.env}, which is not set`);
+    }
+    return apiKey;
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(keySource.file, 'utf8').trim();
+  } catch (error) {
+    throw new Error(`Failed to read the API key from ${keySource.file}: ${error.message}`);
+  }
+  let apiKey = content;
+  if (content.startsWith('{')) {
+    try {
+      apiKey = String(JSON.parse(content).apiKey || '').trim();
+    } catch (error) {
+      throw new Error(`Failed to read the API key from ${keySource.file}: ${error.message}`);
+    }
+  }
+  if (!apiKey) {
+    throw new Error(`${keySource.file} holds no API key`);
+  }
+  return apiKey;
+}
+
+module.exports = {
+  DEFAULT_MANIFEST,
+  loadManifest,
+  readManifestKey
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadManifest, readManifestKey } = require('./manifest');
+
+// Write a manifest into a fresh temporary folder and return its path
+function writeManifest(t, manifest) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-manifest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const manifestPath = path.join(dir, 'spectator.team.json');
+  fs.writeFileSync(manifestPath, typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  return manifestPath;
+}
+
+const load = (t, manifest) => loadManifest(writeManifest(t, manifest), { homeDir: os.tmpdir() });
+
+test('endpoint', async (t) => {
+  await t.test('is resolved while loading', () => {
+    const manifest = load(t, { version: 1, endpoint: 'https://spectator.example.com/', platforms: { cursor: 'present' } });
+    assert.strictEqual(manifest.endpoint, 'https://spectator.example.com');
+  });
+
+  await t.test('defaults to the public server', () => {
+    const saved = process.env.SPECTATOR_ENDPOINT;
+    delete process.env.SPECTATOR_ENDPOINT;
+    t.after(() => { if (saved !== undefined) process.env.SPECTATOR_ENDPOINT = saved; });
+    assert.strictEqual(load(t, { version: 1, platforms: { cursor: 'present' } }).endpoint, 'https://spectatorcontext.com');
+  });
+
+  await t.test('must be an http or https URL', () => {
+    for (const endpoint of ['spectator.example.com', 'ftp://spectator.example.com', '', 42]) {
+      assert.throws(() => load(t, { version: 1, endpoint, platforms: { cursor: 'present' } }), /endpoint/i, String(endpoint));
+    }
+  });
+});
+
+test('platforms are normalized with their defaults', (t) => {
+  const manifest = load(t, {
+    version: 1,
+    keyStorage: 'env',
+    apiKey: { file: 'team.key' },
+    platforms: { Cursor: { scopes: ['project'], transport: 'sse' }, windsurf: 'absent' },
+    unlisted: 'remove'
+  });
+
+  assert.deepStrictEqual(manifest.platforms, [
+    { name: 'cursor', ensure: 'present', scopes: ['project'], transport: 'sse', keyStorage: undefined },
+    { name: 'windsurf', ensure: 'absent', scopes: null, transport: undefined, keyStorage: undefined }
+  ]);
+  assert.strictEqual(manifest.keyStorage, 'env');
+  assert.strictEqual(manifest.unlisted, 'remove');
+  assert.strictEqual(manifest.gitignore, false);
+  assert.deepStrictEqual(manifest.keySource, { file: path.join(path.dirname(manifest.path), 'team.key') });
+});
+
+test('invalid manifests are rejected', (t) => {
+  const cases = [
+    ['{ "version": 1,', /Failed to read manifest/],
+    [{ version: 2, platforms: { cursor: 'present' } }, /Unsupported manifest version 2/],
+    [{ version: 1, platforms: {} }, /"platforms" must list at least one platform/],
+    [{ version: 1, platforms: { cursor: 'present' }, extra: true }, /Unknown field\(s\) in the manifest: extra/],
+    [{ version: 1, platforms: { cursor: 'maybe' } }, /Invalid platforms\.cursor\.ensure "maybe"/],
+    [{ version: 1, platforms: { cursor: { scopes: [] } } }, /platforms\.cursor\.scopes must be a non-empty list/],
+    [{ version: 1, apiKey: 'sk_test_inline', platforms: { cursor: 'present' } }, /the key itself never goes in the manifest/],
+    [{ version: 1, unlisted: 'delete', platforms: { cursor: 'present' } }, /Invalid unlisted "delete"/]
+  ];
+  for (const [manifest, error] of cases) {
+    assert.throws(() => load(t, manifest), error);
+  }
+});
+
+test('the API key comes from a variable or a file', (t) => {
+  const saved = process.env.SPECTATOR_TEST_KEY;
+  t.after(() => {
+    if (saved === undefined) {
+      delete process.env.SPECTATOR_TEST_KEY;
+    } else {
+      process.env.SPECTATOR_TEST_KEY = saved;
+    }
+  });
+  delete process.env.SPECTATOR_TEST_KEY;
+  assert.throws(() => readManifestKey({ env: 'SPECTATOR_TEST_KEY' }), /\$SPECTATOR_TEST_KEY, which is not set/);
+  process.env.SPECTATOR_TEST_KEY = ' sk_test_from_env \n';
+  assert.strictEqual(readManifestKey({ env: 'SPECTATOR_TEST_KEY' }), 'sk_test_from_env');
+
+  const keyFile = writeManifest(t, 'sk_test_bare_key\n');
+  assert.strictEqual(readManifestKey({ file: keyFile }), 'sk_test_bare_key');
+  const secretsFile = writeManifest(t, { apiKey: 'sk_test_secrets_file' });
+  assert.strictEqual(readManifestKey({ file: secretsFile }), 'sk_test_secrets_file');
+  assert.throws(() => readManifestKey({ file: writeManifest(t, {}) }), /holds no API key/);
+});
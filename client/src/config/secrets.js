@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+// Environment variable holding the API key for env-referencing config entries
+const API_KEY_ENV = 'SPECTATOR_API_KEY';
+
+// Environment variable pointing at a non-default secrets file
+const SECRETS_FILE_ENV = 'SPECTATOR_CREDENTIALS';
+
+// Where the API key is kept:
+//   inline - in the server URL inside every platform config (the original behavior)
+//   env    - in the SPECTATOR_API_KEY environment variable; entries reference it
+//   file   - in a private secrets file; entries launch `spectator-mcp proxy`
+//   prompt - nowhere on disk; the editor asks for it once and keeps it in its
+//            own secret storage (platforms with config inputs, e.g. VS Code)
+const KEY_STORAGE_MODES = ['inline', 'env', 'file', 'prompt'];
+
+// Owner read/write only, in an owner-only directory
+const SECRETS_FILE_MODE = 0o600;
+const SECRETS_DIR_MODE = 0o700;
+
+function getSecretsPath(homeDir) {
+  return process.env[SECRETS_FILE_ENV] || path.join(homeDir, '.spectator-mcp', 'credentials.json');
+}
+
+function readSecrets(secretsPath) {
+  if (!fs.existsSync(secretsPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(secretsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read secrets file ${secretsPath}: ${error.message}`);
+  }
+}
+
+function loadApiKey(secretsPath) {
+  return readSecrets(secretsPath).apiKey || null;
+}
+
+/**
+ * Plan storing the API key in the secrets file, in the same shape as a
+ * platform plan change so it can be diffed, applied and rolled back alike
+ * @param {string} secretsPath - Secrets file location
+ * @param {string} apiKey - Key to store
+ * @returns {{ path: string, before: string|null, after: string, mode: number, dirMode: number }}
+ */
+function planSaveApiKey(secretsPath, apiKey) {
+  const before = fs.existsSync(secretsPath) ? fs.readFileSync(secretsPath, 'utf8') : null;
+  const secrets = { ...readSecrets(secretsPath), apiKey };
+  return {
+    path: secretsPath,
+    before,
+    after: JSON.stringify(secrets, null, 2),
+    mode: SECRETS_FILE_MODE,
+    dirMode: SECRETS_DIR_MODE
+  };
+}
+
+function saveApiKey(secretsPath, apiKey) {
+  const change = planSaveApiKey(secretsPath, apiKey);
+  writeFileAtomic(change.path, change.after, { mode: change.mode, dirMode: change.dirMode });
+}
+
+// The API key available to this process: environment first, then the secrets file
+function resolveStoredApiKey(homeDir) {
+  return process.env[API_KEY_ENV] || loadApiKey(getSecretsPath(homeDir));
+}
+
+module.exports = {
+  API_KEY_ENV,
+  SECRETS_FILE_ENV,
+  KEY_STORAGE_MODES,
+  SECRETS_FILE_MODE,
+  getSecretsPath,
+  loadApiKey,
+  planSaveApiKey,
+  saveApiKey,
+  resolveStoredApiKey
+};
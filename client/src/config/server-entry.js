@@ -0,0 +1,94 @@
+// Canonical key the Spectator server is stored under in every MCP config
+const SERVER_KEY = 'spectator-voice-memory';
+
+// Keys written by earlier releases. They are recognized everywhere and
+// migrated to SERVER_KEY the next time setup runs.
+const LEGACY_SERVER_KEYS = ['Spectator'];
+
+const SERVER_KEYS = [SERVER_KEY, ...LEGACY_SERVER_KEYS];
+
+// Return every Spectator key present in a servers object, canonical first
+function findServerKeys(servers) {
+  if (!servers || typeof servers !== 'object') {
+    return [];
+  }
+  return SERVER_KEYS.filter(key => Object.prototype.hasOwnProperty.call(servers, key));
+}
+
+function hasServerEntry(servers) {
+  return findServerKeys(servers).length > 0;
+}
+
+// Get the Spectator entry, preferring the canonical key over legacy ones
+function getServerEntry(servers) {
+  const [key] = findServerKeys(servers);
+  return key ? servers[key] : null;
+}
+
+// Write the entry under the canonical key and drop any legacy copies
+function upsertServerEntry(servers, entry) {
+  const existing = findServerKeys(servers);
+  const migrated = existing.filter(key => key !== SERVER_KEY);
+
+  migrated.forEach(key => delete servers[key]);
+  servers[SERVER_KEY] = entry;
+
+  return { updated: existing.length > 0, migrated };
+}
+
+// Delete every Spectator entry and return the keys that were removed
+function removeServerEntries(servers) {
+  const removed = findServerKeys(servers);
+  removed.forEach(key => delete servers[key]);
+  return removed;
+}
+
+// Fields platforms keep a native entry's URL in (Gemini CLI's `httpUrl`,
+// Goose's `uri`)
+const URL_FIELDS = ['url', 'serverUrl', 'httpUrl', 'uri'];
+
+// Get the endpoint URL from an entry: a native URL field, or the URL
+// argument passed to mcp-remote
+function getEntryUrl(entry) {
+  if (!entry) {
+    return null;
+  }
+  const nativeUrl = entry[URL_FIELDS.find(field => typeof entry[field] === 'string')];
+  if (typeof nativeUrl === 'string') {
+    return nativeUrl;
+  }
+  const args = Array.isArray(entry.args) ? entry.args : [];
+  return args.find(arg => typeof arg === 'string' && /^https?:\/\//.test(arg)) || null;
+}
+
+// Copy of an entry with the API key in its URL (a native URL field or
+// mcp-remote argument) replaced by newKey
+function replaceEntryApiKey(entry, oldKey, newKey) {
+  const swap = value => (typeof value === 'string'
+    ? value.split(`/mcp-server/mcp/${oldKey}`).join(`/mcp-server/mcp/${newKey}`)
+    : value);
+
+  const updated = { ...entry };
+  for (const field of URL_FIELDS) {
+    if (field in updated) {
+      updated[field] = swap(updated[field]);
+    }
+  }
+  if (Array.isArray(updated.args)) {
+    updated.args = updated.args.map(swap);
+  }
+  return updated;
+}
+
+module.exports = {
+  SERVER_KEY,
+  LEGACY_SERVER_KEYS,
+  SERVER_KEYS,
+  findServerKeys,
+  hasServerEntry,
+  getServerEntry,
+  upsertServerEntry,
+  removeServerEntries,
+  getEntryUrl,
+  replaceEntryApiKey
+};
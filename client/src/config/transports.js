@@ -0,0 +1,45 @@
+// How a platform connects to the Spectator server:
+//   stdio-proxy - run `npx -y mcp-remote <url>` as a local stdio server
+//   http        - native streamable HTTP entry pointing at the URL
+//   sse         - native Server-Sent Events entry pointing at the URL
+//   auto        - native HTTP where the platform supports it, else stdio-proxy
+const TRANSPORTS = ['auto', 'stdio-proxy', 'http', 'sse'];
+
+const DEFAULT_TRANSPORT = 'auto';
+
+// Preference order used to resolve 'auto'
+const AUTO_PREFERENCE = ['http', 'stdio-proxy'];
+
+function isKnownTransport(transport) {
+  return TRANSPORTS.includes(transport);
+}
+
+/**
+ * Resolve a requested transport against what a platform supports
+ * @param {string} requested - One of TRANSPORTS
+ * @param {string[]} supported - Concrete transports the platform can write
+ * @param {string} displayName - Platform name for error messages
+ * @returns {string} A concrete transport (never 'auto')
+ */
+function resolveTransport(requested, supported, displayName) {
+  const transport = requested || DEFAULT_TRANSPORT;
+  if (!isKnownTransport(transport)) {
+    throw new Error(`Unknown transport "${transport}". Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  if (transport === 'auto') {
+    return AUTO_PREFERENCE.find(t => supported.includes(t)) || supported[0];
+  }
+
+  if (!supported.includes(transport)) {
+    throw new Error(`${displayName} does not support the ${transport} transport (supported: ${supported.join(', ')})`);
+  }
+  return transport;
+}
+
+module.exports = {
+  TRANSPORTS,
+  DEFAULT_TRANSPORT,
+  isKnownTransport,
+  resolveTransport
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const { parseJsonc } = require('../utils/jsonc');
+
+// Environment variable pointing at a non-default settings file
+const USER_CONFIG_ENV = 'SPECTATOR_CONFIG';
+
+// Settings for this tool itself, next to the secrets file, e.g.
+// { "plugins": ["./my-editor-adapter.js"] }
+function getUserConfigPath(homeDir) {
+  return process.env[USER_CONFIG_ENV] || path.join(homeDir, '.spectator-mcp', 'config.json');
+}
+
+/**
+ * Read the settings file
+ * @param {string} configPath
+ * @returns {Object} The settings, or {} when the file doesn't exist
+ */
+function readUserConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  try {
+    return parseJsonc(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Failed to read settings file ${configPath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  USER_CONFIG_ENV,
+  getUserConfigPath,
+  readUserConfig
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Folders a ** wildcard never descends into
+const SKIPPED_FOLDERS = new Set(['node_modules']);
+
+// How deep a ** wildcard searches
+const MAX_GLOB_DEPTH = 8;
+
+function isDirectory(folder) {
+  try {
+    return fs.statSync(folder).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function isRepository(folder) {
+  return fs.existsSync(path.join(folder, '.git'));
+}
+
+function hasWildcards(text) {
+  return /[*?[]/.test(text);
+}
+
+function subfolders(folder) {
+  try {
+    return fs.readdirSync(folder, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+}
+
+// Regular expression for one path segment of a glob: * and ? stay within
+// the segment and, as in shells, don't match a leading dot
+function segmentPattern(segment) {
+  let source = '';
+  for (let index = 0; index < segment.length; index++) {
+    const char = segment[index];
+    const classEnd = char === '[' ? segment.indexOf(']', index + 2) : -1;
+    if (char === '*') {
+      source += '[^/\\\\]*';
+    } else if (char === '?') {
+      source += '[^/\\\\]';
+    } else if (classEnd > 0) {
+      source += `[${segment.slice(index + 1, classEnd).replace(/^!/, '^')}]`;
+      index = classEnd;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^(?!\\.)${source}$`);
+}
+
+// Every folder below `folder` (not itself), skipping hidden folders and
+// node_modules
+function descendants(folder, depth = 0) {
+  if (depth >= MAX_GLOB_DEPTH) {
+    return [];
+  }
+  return subfolders(folder)
+    .filter(name => !name.startsWith('.') && !SKIPPED_FOLDERS.has(name))
+    .flatMap(name => {
+      const child = path.join(folder, name);
+      return [child, ...descendants(child, depth + 1)];
+    });
+}
+
+// Folders matching an absolute glob
+function expandGlob(pattern) {
+  const { root } = path.parse(pattern);
+  const segments = pattern.slice(root.length).split(/[/\\]+/).filter(Boolean);
+
+  let folders = [root];
+  for (const segment of segments) {
+    if (segment === '**') {
+      folders = folders.flatMap(folder => [folder, ...descendants(folder)]);
+    } else if (hasWildcards(segment)) {
+      const matcher = segmentPattern(segment);
+      folders = folders.flatMap(folder => subfolders(folder)
+        .filter(name => matcher.test(name))
+        .map(name => path.join(folder, name)));
+    } else {
+      folders = folders.map(folder => path.join(folder, segment)).filter(isDirectory);
+    }
+  }
+  return [...new Set(folders)];
+}
+
+// Folders one item of a selection stands for
+function resolveItem(item, baseDir, homeDir, listFiles) {
+  const expanded = item.replace(/^~(?=$|[/\\])/, homeDir);
+  const absolute = path.resolve(baseDir, expanded);
+
+  if (hasWildcards(expanded)) {
+    return expandGlob(absolute).filter(isRepository);
+  }
+  if (isDirectory(absolute)) {
+    return [absolute];
+  }
+  if (listFiles && isFile(absolute)) {
+    return readWorkspaceList(absolute, homeDir);
+  }
+  throw new Error(`Workspace not found: ${item}`);
+}
+
+// Folders listed in a file: one folder or glob per line, relative to the
+// file; blank lines and # comments are ignored
+function readWorkspaceList(listPath, homeDir) {
+  return fs.readFileSync(listPath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .flatMap(line => resolveItem(line, path.dirname(listPath), homeDir, false));
+}
+
+/**
+ * Resolve a --workspaces selection to project folders. Each comma-separated
+ * item is a folder, a glob (matching git repositories only, e.g.
+ * "~/code/*" or "~/work/**"), or a file listing folders and globs one per
+ * line.
+ * @param {string} selection
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Folder relative items are resolved against
+ * @param {string} [options.homeDir] - Folder ~ expands to
+ * @returns {string[]} Absolute folder paths, sorted and without duplicates
+ * @throws {Error} If an item names a folder or file that doesn't exist
+ */
+function resolveWorkspaces(selection, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const homeDir = options.homeDir || os.homedir();
+
+  const folders = selection
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .flatMap(item => resolveItem(item, cwd, homeDir, true));
+
+  return [...new Set(folders)].sort();
+}
+
+module.exports = {
+  resolveWorkspaces
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { resolveWorkspaces } = require('./workspaces');
+
+// A home folder holding code/<name> for each name; names ending in "/" are
+// plain folders, the others git repositories
+function createHome(t, names) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-workspaces-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  for (const name of names) {
+    const folder = path.join(home, 'code', name);
+    fs.mkdirSync(name.endsWith('/') ? folder : path.join(folder, '.git'), { recursive: true });
+  }
+  return home;
+}
+
+test('folders, globs of repositories and list files', (t) => {
+  const home = createHome(t, ['api', 'web', 'notes/', 'group/deep', 'node_modules/dep', '.hidden']);
+  const code = path.join(home, 'code');
+  const resolve = selection => resolveWorkspaces(selection, { cwd: code, homeDir: home });
+
+  assert.deepStrictEqual(resolve('~/code/*'), ['api', 'web'].map(name => path.join(code, name)));
+  assert.deepStrictEqual(resolve('~/code/**'), ['api', 'group/deep', 'web'].map(name => path.join(code, name)));
+  assert.deepStrictEqual(resolve('notes, api ,notes'), [path.join(code, 'api'), path.join(code, 'notes')]);
+
+  fs.writeFileSync(path.join(code, 'list.txt'), '# team repositories\nweb\n\ngroup/*\n');
+  assert.deepStrictEqual(resolve('list.txt'), [path.join(code, 'group', 'deep'), path.join(code, 'web')]);
+});
+
+test('an item that names nothing is an error', (t) => {
+  const home = createHome(t, ['api']);
+  assert.throws(() => resolveWorkspaces('~/code/missing', { homeDir: home }), /Workspace not found: ~\/code\/missing/);
+  assert.deepStrictEqual(resolveWorkspaces('~/code/x*', { homeDir: home }), []);
+});
@@ -0,0 +1,19 @@
+// Public API, for platform adapter plugins (see platforms/registry.js) and
+// programmatic use
+const BasePlatform = require('./platforms/base');
+const SchemaPlatform = require('./platforms/schema-platform');
+const PlatformDetector = require('./config/detector');
+const { PlatformRegistry, createRegistry } = require('./platforms/registry');
+const serverEntry = require('./config/server-entry');
+const { registerFormat, getFormat } = require('./utils/formats');
+
+module.exports = {
+  BasePlatform,
+  SchemaPlatform,
+  PlatformDetector,
+  PlatformRegistry,
+  createRegistry,
+  serverEntry,
+  registerFormat,
+  getFormat
+};
@@ -1,25 +1,222 @@
 const fs = require('fs');
 const path = require('path');
-const chalk = require('chalk');
+const {
+  SERVER_KEY,
+  upsertServerEntry,
+  findServerKeys,
+  getEntryUrl,
+  replaceEntryApiKey
+} = require('../config/server-entry');
+const { DEFAULT_ENDPOINT, resolveEndpoint, formatServerUrl, getHost } = require('../config/endpoint');
+const { API_KEY_ENV, SECRETS_FILE_ENV, getSecretsPath } = require('../config/secrets');
+const { resolveTransport } = require('../config/transports');
+const ApiValidator = require('../utils/api');
+const { writeFileAtomic } = require('../utils/atomic-write');
+const { createBackup } = require('../utils/backups');
+const { resolveFormat, serializeWith } = require('../utils/formats');
+const { summarizeDetection } = require('./detection');
 
+// Platform adapter contract. Every MCP client, built in or loaded as a plugin
+// (see registry.js), is a subclass constructed as new Adapter(detector, options)
+// that declares:
+//   name, displayName     - id used with --platforms, and the name shown
+//   scopes                - config scopes setup can write, default first
+//                           (supportsScope() for the --scope values accepted)
+//   getConfigPath(scope)  - where each scope's config file lives
+//   isInstalled()         - detection, and detect() for why (optional)
+//   format, serversKey, transports, getNativeServerEntry(), envReference(),
+//   inputReference()      - the config schema
+//   launchedFrom          - 'desktop' or 'terminal', for doctor's checks
+//   planConfigure(), planRemove(), validate(), getManualInstructions()
 class BasePlatform {
-  constructor(detector) {
+  constructor(detector, options = {}) {
     this.detector = detector;
     this.name = '';
     this.displayName = '';
+    // Spectator base URL (--endpoint / SPECTATOR_ENDPOINT / public server)
+    this.endpoint = resolveEndpoint(options.endpoint);
+    this.apiValidator = new ApiValidator(this.endpoint);
+    // Requested transport (--transport); resolved per platform by getTransport()
+    this.requestedTransport = options.transport;
+    // Concrete transports this platform can write. Subclasses that accept
+    // remote servers natively add 'http' and/or 'sse'.
+    this.transports = ['stdio-proxy'];
+    // Where the API key lives (--key-storage): inline, env, file or prompt
+    this.keyStorage = options.keyStorage || 'inline';
+    // Config file format (json, yaml, toml or a registered one; see
+    // utils/formats.js). When null, it follows each file's extension.
+    this.format = null;
+    // Config key holding the server map
+    this.serversKey = 'mcpServers';
+    // Scopes setup can write (--scope); the first one is the default
+    this.scopes = ['global'];
+    // How the app is usually started: 'desktop' (from the Dock, Start menu
+    // or a launcher, without the shell's PATH and variables) or 'terminal'
+    // (a CLI that inherits them). Used by doctor.
+    this.launchedFrom = 'desktop';
+    this.secretsPath = options.secretsPath || getSecretsPath(detector.homeDir);
+    // Folder project-scoped configs belong to (--workspaces; default: the
+    // current directory)
+    this.projectRoot = options.projectRoot || process.cwd();
+  }
+
+  // Transports usable with the current key storage. A secrets file can only
+  // be read by the local proxy; env references need platform support.
+  getSupportedTransports() {
+    if (this.keyStorage === 'file') {
+      return ['stdio-proxy'];
+    }
+    if (this.keyStorage === 'env' && !this.envReference(API_KEY_ENV)) {
+      return this.transports.filter(t => t === 'stdio-proxy');
+    }
+    return this.transports;
+  }
+
+  // The transport this platform will write, resolved from the requested one
+  getTransport() {
+    return resolveTransport(this.requestedTransport, this.getSupportedTransports(), this.displayName);
+  }
+
+  // How this platform's native entries reference an environment variable,
+  // or null if they can't
+  envReference(name) {
+    return null;
+  }
+
+  // How this platform's entries reference a value the editor prompts for,
+  // or null if it can't (needed for --key-storage prompt)
+  inputReference() {
+    return null;
+  }
+
+  // Reference written in place of the API key with env or prompt key storage
+  getKeyReference() {
+    if (this.keyStorage === 'prompt') {
+      const reference = this.inputReference();
+      if (!reference) {
+        throw new Error(`${this.displayName} cannot prompt for the API key. Use --key-storage inline, env or file.`);
+      }
+      return reference;
+    }
+    return this.envReference(API_KEY_ENV);
+  }
+
+  // Full MCP server URL for an API key on the configured endpoint (without a
+  // key when it is sent in a header instead)
+  getServerUrl(apiKey) {
+    return formatServerUrl(this.endpoint, apiKey);
+  }
+
+  // Warning for an entry pointing at a different host than the configured
+  // endpoint, or null if it matches
+  checkEntryEndpoint(entry) {
+    const url = getEntryUrl(entry);
+    const expectedHost = getHost(this.endpoint);
+    const actualHost = getHost(url);
+    if (!actualHost || actualHost === expectedHost) {
+      return null;
+    }
+    return `Points at unexpected host ${actualHost} (expected ${expectedHost})`;
+  }
+
+  // Validation result for a config that has a Spectator entry
+  validResult(entry, fields = {}) {
+    const warning = this.checkEntryEndpoint(entry);
+    return warning ? { ...fields, valid: true, warning } : { ...fields, valid: true };
+  }
+
+  // Get the Spectator server entry (the value stored under the server key)
+  getMcpServerEntry(apiKey) {
+    if (this.keyStorage === 'file') {
+      return this.getProxyLauncherEntry();
+    }
+
+    const transport = this.getTransport();
+    const keyInConfig = this.keyStorage === 'inline';
+    const url = this.getServerUrl(keyInConfig ? apiKey : null);
+
+    if (transport !== 'stdio-proxy') {
+      const headers = keyInConfig ? undefined : { Authorization: this.getKeyReference() };
+      return this.getNativeServerEntry(url, transport, headers);
+    }
+
+    const args = ["-y", "mcp-remote", url];
+    if (this.keyStorage === 'env') {
+      // mcp-remote expands ${VAR} in header values from its environment
+      args.push("--header", `Authorization:\${${API_KEY_ENV}}`);
+    } else if (this.keyStorage === 'prompt') {
+      // The editor substitutes the prompted value before launching the command
+      args.push("--header", `Authorization:${this.getKeyReference()}`);
+    }
+
+    return {
+      "command": "npx",
+      "args": args
+    };
+  }
+
+  // Entry that runs `spectator-mcp proxy`, which reads the key from the secrets file
+  getProxyLauncherEntry() {
+    const args = ["-y", "spectator-mcp", "proxy"];
+    if (this.endpoint !== DEFAULT_ENDPOINT) {
+      args.push("--endpoint", this.endpoint);
+    }
+
+    return {
+      "command": "npx",
+      "args": args,
+      "env": {
+        [SECRETS_FILE_ENV]: this.secretsPath
+      }
+    };
+  }
+
+  // Get the platform's native entry for a remote server ('http' or 'sse'),
+  // with optional request headers
+  getNativeServerEntry(url, transport, headers) {
+    throw new Error(`${this.displayName} does not support the ${transport} transport`);
+  }
+
+  // Copy of this platform with other setup settings ({ endpoint, transport,
+  // keyStorage }; unset ones are kept), e.g. to rebuild entries an earlier
+  // setup run wrote
+  withSettings(settings) {
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    if (settings.endpoint) {
+      copy.endpoint = resolveEndpoint(settings.endpoint);
+    }
+    if (settings.transport) {
+      copy.requestedTransport = settings.transport;
+    }
+    if (settings.keyStorage) {
+      copy.keyStorage = settings.keyStorage;
+    }
+    return copy;
   }
 
   // Get the MCP server configuration
   getMcpServerConfig(apiKey) {
     return {
-      "Spectator": {
-        "command": "npx",
-        "args": [
-          "-y",
-          "mcp-remote",
-          `https://spectatorcontext.com/mcp-server/mcp/${apiKey}`
-        ]
-      }
+      [SERVER_KEY]: this.getMcpServerEntry(apiKey)
+    };
+  }
+
+  // Add/update the Spectator entry in the config's server map, migrating legacy keys
+  // and preserving every other server
+  mergeServerEntry(config, apiKey) {
+    if (!config[this.serversKey]) {
+      config[this.serversKey] = {};
+    }
+
+    const servers = config[this.serversKey];
+    const { updated, migrated } = upsertServerEntry(servers, this.getMcpServerEntry(apiKey));
+
+    return {
+      updated,
+      migrated,
+      transport: this.getTransport(),
+      hasOtherServers: Object.keys(servers).length > 1,
+      preservedServers: Object.keys(servers).filter(key => key !== SERVER_KEY)
     };
   }
 
@@ -31,21 +228,38 @@ class BasePlatform {
 
     try {
       const content = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(content);
+      return this.getConfigFormat(configPath).parse(content);
     } catch (error) {
       throw new Error(`Failed to read config from ${configPath}: ${error.message}`);
     }
   }
 
+  // Format handler for a config file: the declared format, else by extension
+  getConfigFormat(configPath) {
+    return resolveFormat(this.format, configPath);
+  }
+
+  // Serialize a configuration object to the text written to `configPath`.
+  // When the file already has content, only the values that changed are
+  // edited in place, so comments and formatting elsewhere survive.
+  serializeConfig(config, original = null, configPath = null) {
+    try {
+      return serializeWith(this.getConfigFormat(configPath), config, original);
+    } catch (error) {
+      throw new Error(configPath ? `Failed to update ${configPath}: ${error.message}` : error.message);
+    }
+  }
+
   // Write configuration
   async writeConfig(configPath, config) {
-    try {
-      const dir = path.dirname(configPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+    const original = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null;
+    await this.writeConfigContent(configPath, this.serializeConfig(config, original, configPath));
+  }
 
-      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  // Write already-serialized configuration text (atomically, via temp file + rename)
+  async writeConfigContent(configPath, content, options = {}) {
+    try {
+      writeFileAtomic(configPath, content, options);
     } catch (error) {
       throw new Error(`Failed to write config to ${configPath}: ${error.message}`);
     }
@@ -53,28 +267,220 @@ class BasePlatform {
 
   // Backup existing configuration
   async backupConfig(configPath) {
-    if (!fs.existsSync(configPath)) {
-      return null;
+    return createBackup(configPath);
+  }
+
+  // Config file for a scope. Project-scoped paths are resolved against
+  // projectRoot (default: this.projectRoot).
+  getConfigPath(scope = 'global', projectRoot = this.projectRoot) {
+    throw new Error('getConfigPath method must be implemented by subclass');
+  }
+
+  // Whether the platform is installed. By default, whether the folder of its
+  // global config file exists.
+  isInstalled() {
+    const configPath = this.getConfigPath();
+    return Boolean(configPath) && fs.existsSync(path.dirname(configPath));
+  }
+
+  // How the platform was or wasn't detected, with a reason and confidence
+  // (see detection.js). Adapters that only implement isInstalled() get a
+  // generic reason.
+  detect() {
+    const installed = Boolean(this.isInstalled());
+    return summarizeDetection(
+      installed ? [{ confidence: 'medium', reason: 'Detected by the platform adapter' }] : [],
+      ['the platform adapter\'s own check']
+    );
+  }
+
+  // Every config file this platform may own, as [{ scope, path }]: one per
+  // scope, plus the project config of each folder in options.workspaces.
+  // options.scopes limits them to some scopes.
+  getConfigPaths(options = {}) {
+    const entries = this.scopes.map(scope => ({ scope, path: this.getConfigPath(scope) }));
+    if (this.scopes.includes('project')) {
+      for (const workspace of options.workspaces || []) {
+        entries.push({ scope: 'project', path: this.getConfigPath('project', workspace) });
+      }
     }
 
-    const backupPath = `${configPath}.backup.${Date.now()}`;
-    fs.copyFileSync(configPath, backupPath);
-    return backupPath;
+    return entries.filter((entry, index) =>
+      entry.path &&
+      this.coversScope(options, entry.scope) &&
+      entries.findIndex(other => other.path === entry.path) === index);
+  }
+
+  // Whether setup can write a --scope value. 'global', the default, means
+  // the platform's user-wide config and is always accepted.
+  supportsScope(scope) {
+    return scope === 'global' || this.scopes.includes(scope);
+  }
+
+  // Whether an operation limited to options.scopes (default: every scope)
+  // covers a scope
+  coversScope(options, scope) {
+    return !options.scopes || options.scopes.includes(scope);
+  }
+
+  // The MCP server maps inside a config file, as [{ scope, servers }]. Most
+  // platforms keep a single top-level mcpServers object per file.
+  getServerMaps(config, scope) {
+    return config && config[this.serversKey] ? [{ scope, servers: config[this.serversKey] }] : [];
+  }
+
+  // Find the Spectator entry in each of this platform's config files (see
+  // getConfigPaths for options), as [{ scope, path, key, entry }], key being
+  // the server name it is stored under. Missing or unreadable files are
+  // skipped.
+  async findServerEntries(options = {}) {
+    const found = [];
+    for (const { scope, path: configPath } of this.getConfigPaths(options)) {
+      try {
+        const config = await this.readConfig(configPath);
+        for (const { scope: mapScope, servers } of this.getServerMaps(config, scope)) {
+          const [key] = findServerKeys(servers);
+          if (key) {
+            found.push({ scope: mapScope, path: configPath, key, entry: servers[key] });
+          }
+        }
+      } catch {
+        // validate() reports unreadable files
+      }
+    }
+    return found;
+  }
+
+  // Describe writing `config` to `configPath` without touching the disk.
+  // `before` is the current file content (null if the file doesn't exist).
+  planWrite(configPath, config, options = {}) {
+    const before = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null;
+    return {
+      path: configPath,
+      scope: options.scope,
+      before,
+      after: this.serializeConfig(config, before, configPath)
+    };
+  }
+
+  // Build a plan: the file changes to make and the result to report once applied
+  createPlan(result = {}, changes = []) {
+    return { platform: this.name, result, changes };
+  }
+
+  // Plan the configuration changes for this platform
+  async planConfigure(apiKey, options = {}) {
+    throw new Error('planConfigure method must be implemented by subclass');
+  }
+
+  // Plan the removal of Spectator from this platform (options.scopes limits
+  // it to some scopes)
+  async planRemove(options = {}) {
+    throw new Error('planRemove method must be implemented by subclass');
+  }
+
+  // Write every change in a plan to disk, backing up each existing file first.
+  // When a transaction is given, each file's original content is recorded so
+  // the run can be rolled back.
+  async applyPlan(plan, transaction = null) {
+    for (const change of plan.changes) {
+      if (transaction) {
+        transaction.record(change.path);
+      }
+      const backupPath = await this.backupConfig(change.path);
+      if (transaction) {
+        transaction.recordBackup(change.path, backupPath);
+      }
+      await this.writeConfigContent(change.path, change.after, { mode: change.mode, dirMode: change.dirMode });
+    }
+    return plan.result;
   }
 
   // Configure the platform
   async configure(apiKey, options = {}) {
-    throw new Error('configure method must be implemented by subclass');
+    const plan = await this.planConfigure(apiKey, options);
+    return this.applyPlan(plan);
+  }
+
+  /**
+   * Plan replacing the API key in every Spectator entry this platform has.
+   * @param {string} newKey - Key to write
+   * @param {Object} [options]
+   * @param {string} [options.oldKey] - Only replace this key (default: any key)
+   * @param {string[]} [options.workspaces] - Extra project folders to scan
+   * @returns {Promise<Object>} Plan whose result.files reports each scanned file
+   *   with a status of rotated, missing, not-configured, other-key, up-to-date or error
+   */
+  async planRotateKey(newKey, options = {}) {
+    const files = [];
+    const changes = [];
+
+    for (const { scope, path: configPath } of this.getConfigPaths(options)) {
+      const file = { scope, path: configPath };
+      files.push(file);
+
+      if (!fs.existsSync(configPath)) {
+        file.status = 'missing';
+        continue;
+      }
+
+      let config;
+      try {
+        config = await this.readConfig(configPath);
+      } catch (error) {
+        file.status = 'error';
+        file.error = error.message;
+        continue;
+      }
+
+      const maps = this.getServerMaps(config, scope).filter(({ servers }) => findServerKeys(servers).length > 0);
+      if (maps.length === 0) {
+        file.status = 'not-configured';
+        continue;
+      }
+
+      let rotated = false;
+      let sawNewKey = false;
+      for (const { servers } of maps) {
+        for (const key of findServerKeys(servers)) {
+          const currentKey = this.extractApiKey(servers[key]);
+          if (currentKey === newKey) {
+            sawNewKey = true;
+          } else if (currentKey && (!options.oldKey || currentKey === options.oldKey)) {
+            servers[key] = replaceEntryApiKey(servers[key], currentKey, newKey);
+            rotated = true;
+          }
+        }
+      }
+
+      if (rotated) {
+        file.status = 'rotated';
+        changes.push(this.planWrite(configPath, config, { scope }));
+      } else {
+        file.status = sawNewKey ? 'up-to-date' : 'other-key';
+      }
+    }
+
+    return this.createPlan({ files }, changes);
   }
 
-  // Validate configuration
-  async validate() {
+  // API key embedded in an entry's URL, or null (e.g. env or file key storage)
+  extractApiKey(entry) {
+    return this.apiValidator.extractApiKeyFromUrl(getEntryUrl(entry));
+  }
+
+  // Validate configuration (options.scopes limits it to some scopes)
+  async validate(options = {}) {
     throw new Error('validate method must be implemented by subclass');
   }
 
   // Remove configuration
-  async remove() {
-    throw new Error('remove method must be implemented by subclass');
+  async remove(options = {}) {
+    const plan = await this.planRemove(options);
+    await this.applyPlan(plan);
+
+    // One entry per config file the Spectator entry was removed from
+    return plan.changes.map(({ path, scope }) => ({ path, scope }));
   }
 
   // Get manual configuration instructions
@@ -1,114 +1,379 @@
-const BasePlatform = require('./base');
+const SchemaPlatform = require('./schema-platform');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { spawnSync } = require('child_process');
+const {
+  SERVER_KEY,
+  findServerKeys,
+  getServerEntry,
+  removeServerEntries
+} = require('../config/server-entry');
+const { summarizeDetection } = require('./detection');
 
-class ClaudeCode extends BasePlatform {
-  getConfigPath(options = {}) {
-    // Claude Code uses ~/.claudecode/settings.json
-    return path.join(os.homedir(), '.claudecode', 'settings.json');
+// Setup scopes and the `claude mcp --scope` names they map to
+const CLI_SCOPES = {
+  global: 'user',
+  local: 'local',
+  project: 'project'
+};
+
+// How long a single `claude mcp` call may take
+const CLI_TIMEOUT = 30000;
+
+// `claude mcp list` connects to every server to report its health; validate
+// only needs the names, so it gives up on it sooner
+const LIST_TIMEOUT = 5000;
+
+// Characters cmd.exe treats specially, escaped with ^ (see cliInvocation)
+const CMD_SPECIAL = /([()\][%!^"`<>&|;, *?])/g;
+
+const SCHEMA = {
+  name: 'claudecode',
+  displayName: 'Claude Code',
+  scopes: ['global', 'local', 'project'],
+  paths: {
+    // User and local scopes share ~/.claude.json (local entries live under projects[path])
+    global: '~/.claude.json',
+    local: '~/.claude.json',
+    project: '<project>/.mcp.json',
+    // Written by older versions of this tool; Claude Code never read it
+    legacy: '~/.claudecode/settings.json'
+  },
+  detect: {
+    // The native installer links ~/.local/bin/claude (found as a command);
+    // the older local install lives in ~/.claude/local
+    commands: ['claude'],
+    apps: ['~/.claude/local/claude'],
+    paths: ['~/.claude'],
+    leftovers: ['~/.claudecode']
+  },
+  transports: ['http', 'sse', 'stdio-proxy'],
+  launchedFrom: 'terminal',
+  entry: { urlKey: 'url', type: true },
+  // Claude Code expands ${VAR} in url and headers
+  envReference: '${{name}}'
+};
+
+class ClaudeCode extends SchemaPlatform {
+  constructor(detector, options = {}) {
+    super(detector, options, SCHEMA);
+    this.cliPath = undefined;
   }
 
-  async configure(apiKey, options = {}) {
-    const configPath = this.getConfigPath(options);
-    const configDir = path.dirname(configPath);
+  // Map a --scope value to global (user), local or project. "user" is
+  // accepted as Claude Code's own name for the global scope.
+  normalizeScope(scope = 'global') {
+    const normalized = scope === 'user' ? 'global' : scope;
+    if (!CLI_SCOPES[normalized]) {
+      throw new Error(`Unknown scope "${scope}" for Claude Code. Use global (user), local or project.`);
+    }
+    return normalized;
+  }
+
+  supportsScope(scope) {
+    return Boolean(CLI_SCOPES[scope === 'user' ? 'global' : scope]);
+  }
 
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
+  // $CLAUDE_CONFIG_DIR moves ~/.claude.json, except under another home
+  // folder (setup --home), where it names a folder on this machine
+  getConfigPath(scope = 'global', projectRoot = this.projectRoot) {
+    if ((scope === 'global' || scope === 'local') && process.env.CLAUDE_CONFIG_DIR && !this.detector.homeOverridden) {
+      return path.join(process.env.CLAUDE_CONFIG_DIR, '.claude.json');
     }
+    return super.getConfigPath(scope, projectRoot);
+  }
 
-    // Read existing config or create new one
-    let config = {};
+  // The claude CLI, its config file, or an entry left by older versions of
+  // this tool. The config file moves with $CLAUDE_CONFIG_DIR.
+  detect() {
+    const { evidence, checked } = this.collectEvidence(SCHEMA.detect);
+    const configPath = this.getConfigPath('global');
+    checked.push(configPath);
     if (fs.existsSync(configPath)) {
-      const content = fs.readFileSync(configPath, 'utf8');
-      if (content.trim()) {
-        config = JSON.parse(content);
-      }
+      evidence.push({ confidence: 'medium', reason: `Found ${configPath} (config or data)` });
     }
+    return summarizeDetection(evidence, checked);
+  }
+
+  // ~/.claude.json holds user servers at the top level and local-scope
+  // servers per project under projects[<path>].mcpServers
+  getServerMaps(config, scope) {
+    const maps = super.getServerMaps(config, scope);
+    if (config && scope === 'global') {
+      Object.entries(config.projects || {}).forEach(([projectPath, project]) => {
+        if (project && project.mcpServers) {
+          maps.push({ scope: `local: ${projectPath}`, servers: project.mcpServers });
+        }
+      });
+    }
+    return maps;
+  }
 
-    // Initialize mcpServers if not present
-    if (!config.mcpServers) {
-      config.mcpServers = {};
+  // Local-scope servers live under the current project's entry in ~/.claude.json
+  getSection(config, scope, create = false) {
+    if (scope !== 'local') {
+      return super.getSection(config, scope, create);
     }
+    if (create) {
+      config.projects = config.projects || {};
+      config.projects[this.projectRoot] = config.projects[this.projectRoot] || {};
+    }
+    return config.projects && config.projects[this.projectRoot];
+  }
 
-    // Check if already configured
-    const hasOtherServers = Object.keys(config.mcpServers).filter(k => k !== 'spectator-voice-memory').length > 0;
-    const isUpdated = !!config.mcpServers['spectator-voice-memory'];
+  // Claude Code can leave ~/.claude.json empty; treat that like a missing file
+  async readConfig(configPath) {
+    if (fs.existsSync(configPath) && !fs.readFileSync(configPath, 'utf8').trim()) {
+      return null;
+    }
+    return super.readConfig(configPath);
+  }
 
-    // Add Spectator MCP configuration
-    config.mcpServers['spectator-voice-memory'] = {
-      command: 'npx',
-      args: [
-        '-y',
-        'mcp-remote',
-        `https://spectatorcontext.com/mcp-server/mcp/${apiKey}`
-      ]
-    };
+  // Whether the claude CLI is installed (looked up once, see
+  // PlatformDetector#findCommand). It isn't used with another home folder
+  // (setup --home): it would edit this machine's own config.
+  hasCli() {
+    if (this.cliPath === undefined) {
+      this.cliPath = this.detector.homeOverridden ? null : this.detector.findCommand('claude');
+    }
+    return Boolean(this.cliPath);
+  }
 
-    // Write updated config
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  /**
+   * How to spawn `claude <args>` without a shell. Node quotes the arguments
+   * of a program; npm installs claude on Windows as a .cmd shim, which only
+   * cmd.exe runs and which hands its arguments to cmd.exe a second time, so
+   * there each one is quoted and then escaped twice.
+   * @param {string} command - Path of the claude executable
+   * @param {string[]} args
+   * @param {string} [platform] - os.platform() value
+   * @returns {{ file: string, args: string[], options: Object }}
+   */
+  static cliInvocation(command, args, platform = process.platform) {
+    if (platform !== 'win32' || !/\.(cmd|bat)$/i.test(command)) {
+      return { file: command, args, options: {} };
+    }
 
-    return { 
-      updated: isUpdated, 
-      hasOtherServers,
-      configPath 
+    const quote = arg => `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`;
+    const escape = arg => arg.replace(CMD_SPECIAL, '^$1');
+    const line = [escape(command), ...args.map(arg => escape(escape(quote(arg))))].join(' ');
+    return {
+      file: process.env.comspec || 'cmd.exe',
+      args: ['/d', '/s', '/c', `"${line}"`],
+      options: { windowsVerbatimArguments: true }
     };
   }
 
-  async validate() {
-    const configPath = this.getConfigPath();
-    
-    if (!fs.existsSync(configPath)) {
-      return { valid: false, error: 'Configuration file not found' };
+  // Run `claude <args>` in the project folder and return its stdout
+  runCli(args, timeout = CLI_TIMEOUT) {
+    const invocation = ClaudeCode.cliInvocation(this.cliPath || 'claude', args);
+    const result = spawnSync(invocation.file, invocation.args, {
+      ...invocation.options,
+      cwd: this.projectRoot,
+      encoding: 'utf8',
+      timeout
+    });
+
+    if (result.error && result.error.code === 'ETIMEDOUT') {
+      throw new Error(`claude ${args.slice(0, 2).join(' ')} timed out after ${timeout / 1000}s`);
+    }
+    if (result.error) {
+      throw result.error;
     }
+    if (result.status !== 0) {
+      throw new Error(`claude ${args.slice(0, 2).join(' ')} failed: ${(result.stderr || result.stdout || '').trim()}`);
+    }
+    return result.stdout;
+  }
 
+  // Names of the servers `claude mcp list` reports, as { servers }. servers
+  // is null when the CLI is missing, or when the call failed or timed out,
+  // with the reason in skipped.
+  listCliServers() {
+    if (!this.hasCli()) {
+      return { servers: null };
+    }
     try {
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      
-      if (!config.mcpServers || !config.mcpServers['spectator-voice-memory']) {
-        return { valid: false, error: 'Spectator MCP not configured' };
+      const servers = this.runCli(['mcp', 'list'], LIST_TIMEOUT)
+        .split('\n')
+        .map(line => line.split(':')[0].trim())
+        .filter(Boolean);
+      return { servers };
+    } catch (error) {
+      return { servers: null, skipped: error.message };
+    }
+  }
+
+  async planConfigure(apiKey, options = {}) {
+    const scope = this.normalizeScope(options.scope);
+    const configPath = this.getConfigPath(scope);
+    const cliScope = CLI_SCOPES[scope];
+
+    const config = await this.readConfig(configPath) || {};
+    const container = this.getSection(config, scope, true);
+    const existingKeys = findServerKeys(container.mcpServers);
+
+    // Add Spectator MCP configuration (migrates legacy keys)
+    const { updated, migrated, transport, hasOtherServers, preservedServers } = this.mergeServerEntry(container, apiKey);
+
+    // The same edit through the CLI: drop any existing entry, then add ours
+    const change = this.planWrite(configPath, config, { scope });
+    change.commands = [
+      ...existingKeys.map(key => ['mcp', 'remove', key, '--scope', cliScope]),
+      ['mcp', 'add-json', SERVER_KEY, JSON.stringify(container.mcpServers[SERVER_KEY]), '--scope', cliScope]
+    ];
+
+    const legacyChange = await this.planLegacyRemoval();
+
+    return this.createPlan({
+      updated,
+      migrated,
+      migratedFrom: legacyChange ? legacyChange.path : undefined,
+      transport,
+      hasOtherServers,
+      preservedServers,
+      configPath
+    }, legacyChange ? [change, legacyChange] : [change]);
+  }
+
+  // Prefer `claude mcp` for changes that have CLI commands, falling back to
+  // writing the planned file content when the CLI is missing or fails (a
+  // failure is reported as the result's warning). Every file is recorded and
+  // backed up first either way.
+  async applyPlan(plan, transaction = null) {
+    const methods = [];
+    const warnings = [];
+
+    for (const change of plan.changes) {
+      if (transaction) {
+        transaction.record(change.path);
+      }
+      const backupPath = await this.backupConfig(change.path);
+      if (transaction) {
+        transaction.recordBackup(change.path, backupPath);
       }
 
-      const spectatorConfig = config.mcpServers['spectator-voice-memory'];
-      if (!spectatorConfig.command || !spectatorConfig.args) {
-        return { valid: false, error: 'Invalid Spectator MCP configuration' };
+      if (change.commands && this.hasCli()) {
+        try {
+          change.commands.forEach(args => this.runCli(args));
+          methods.push('claude-cli');
+          continue;
+        } catch (error) {
+          warnings.push(`${error.message}; edited ${change.path} directly instead`);
+        }
       }
 
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, error: `Configuration error: ${error.message}` };
+      await this.writeConfigContent(change.path, change.after, { mode: change.mode, dirMode: change.dirMode });
+      methods.push('file');
     }
+
+    return {
+      ...plan.result,
+      method: methods.includes('claude-cli') ? 'claude-cli' : 'file',
+      ...(warnings.length > 0 ? { warning: warnings.join('; ') } : {})
+    };
   }
 
-  async remove(options = {}) {
-    const configPath = this.getConfigPath(options);
-    
-    if (!fs.existsSync(configPath)) {
-      return;
+  // options.checkCli also asks `claude mcp list` whether it sees the entry
+  async validate(options = {}) {
+    const results = [];
+
+    for (const scope of ['global', 'local', 'project'].filter(s => this.coversScope(options, s))) {
+      const configPath = this.getConfigPath(scope);
+      try {
+        const config = await this.readConfig(configPath);
+        const container = config && this.getSection(config, scope);
+        const entry = container && getServerEntry(container.mcpServers);
+        if (!entry) {
+          continue;
+        }
+
+        if (!(entry.command && entry.args) && !entry.url) {
+          results.push({ scope, valid: false, error: 'Invalid Spectator MCP configuration' });
+        } else {
+          results.push(this.validResult(entry, { scope }));
+        }
+      } catch (error) {
+        results.push({ scope, valid: false, error: `Configuration error: ${error.message}` });
+      }
     }
 
+    const legacyPath = this.getConfigPath('legacy');
+    let hasLegacyEntry = false;
     try {
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      
-      if (config.mcpServers && config.mcpServers['spectator-voice-memory']) {
-        delete config.mcpServers['spectator-voice-memory'];
-        
-        // If no other servers, remove the mcpServers object
-        if (Object.keys(config.mcpServers).length === 0) {
-          delete config.mcpServers;
-        }
-        
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+      const legacyConfig = this.coversScope(options, 'legacy') && await this.readConfig(legacyPath);
+      hasLegacyEntry = Boolean(legacyConfig && getServerEntry(legacyConfig.mcpServers));
+    } catch {
+      // Claude Code doesn't read this file, so a broken one is not an error
+    }
+
+    if (results.length === 0) {
+      return hasLegacyEntry
+        ? { valid: false, error: `Only configured in ${legacyPath}, which Claude Code does not read. Run "spectator-mcp setup" to migrate it.` }
+        : { valid: false, error: 'Spectator MCP not configured' };
+    }
+
+    const result = results.find(r => r.valid) || results[0];
+    if (!result.valid) {
+      return result;
+    }
+
+    const warnings = result.warning ? [result.warning] : [];
+    if (hasLegacyEntry) {
+      warnings.push(`Old entry left in ${legacyPath}; run "spectator-mcp setup" to clean it up`);
+    }
+    // `claude mcp list` starts every server, so it only runs when asked to
+    const listed = options.checkCli ? this.listCliServers() : { servers: null };
+    if (listed.servers && !listed.servers.includes(SERVER_KEY)) {
+      warnings.push(`"${SERVER_KEY}" is not listed by "claude mcp list" in ${this.projectRoot}`);
+    } else if (listed.skipped) {
+      warnings.push(`CLI check skipped: ${listed.skipped}`);
+    }
+
+    return warnings.length > 0 ? { ...result, warning: warnings.join('; ') } : result;
+  }
+
+  async planRemove(options = {}) {
+    const changes = [];
+
+    // User and local entries share ~/.claude.json, so they are removed in one write
+    const userPath = this.getConfigPath('global');
+    const userScopes = ['global', 'local'].filter(scope => this.coversScope(options, scope));
+    const userConfig = userScopes.length > 0 && await this.readConfig(userPath);
+    if (userConfig) {
+      const commands = [];
+      for (const scope of userScopes) {
+        const container = this.getSection(userConfig, scope);
+        const removed = container ? removeServerEntries(container.mcpServers) : [];
+        removed.forEach(key => commands.push(['mcp', 'remove', key, '--scope', CLI_SCOPES[scope]]));
+      }
+      if (commands.length > 0) {
+        const change = this.planWrite(userPath, userConfig, { scope: 'global' });
+        change.commands = commands;
+        changes.push(change);
       }
-    } catch (error) {
-      throw new Error(`Failed to remove configuration: ${error.message}`);
     }
+
+    const projectPath = this.getConfigPath('project');
+    const projectConfig = this.coversScope(options, 'project') && await this.readConfig(projectPath);
+    const removed = projectConfig ? removeServerEntries(projectConfig.mcpServers) : [];
+    if (removed.length > 0) {
+      const change = this.planWrite(projectPath, projectConfig, { scope: 'project' });
+      change.commands = removed.map(key => ['mcp', 'remove', key, '--scope', 'project']);
+      changes.push(change);
+    }
+
+    const legacyChange = this.coversScope(options, 'legacy') && await this.planLegacyRemoval();
+    if (legacyChange) {
+      changes.push(legacyChange);
+    }
+
+    return this.createPlan({ removed: changes.length > 0 }, changes);
   }
 
   getManualInstructions(apiKey) {
-    const configPath = this.getConfigPath();
-    
+    const entry = JSON.stringify(this.getMcpServerEntry(apiKey));
+
     return `
 ## Claude Code Configuration
 
@@ -121,50 +386,40 @@ npx spectator-mcp ${apiKey}
 
 ### Manual Setup
 
-1. Open Claude Code settings:
-   - Run: \`claude-code --settings\`
-   - Or manually edit: \`${configPath}\`
+1. Add the server with the Claude Code CLI (use \`--scope project\` to share it
+   through the project's .mcp.json, or \`--scope local\` for this project only):
 
-2. Add the following to your settings:
+\`\`\`bash
+claude mcp add-json ${SERVER_KEY} '${entry}' --scope user
+\`\`\`
+
+   Or add the following to the "mcpServers" section of \`${this.getConfigPath('global')}\`:
 
 \`\`\`json
-{
-  "mcpServers": {
-    "spectator-voice-memory": {
-      "command": "npx",
-      "args": [
-        "-y",
-        "mcp-remote",
-        "https://spectatorcontext.com/mcp-server/mcp/${apiKey}"
-      ]
-    }
-  }
-}
+${JSON.stringify({ mcpServers: this.getMcpServerConfig(apiKey) }, null, 2)}
 \`\`\`
 
+2. Check it with: \`claude mcp list\`
+
 3. Restart Claude Code for changes to take effect
 
 ### Platform Installation
 
 If Claude Code is not installed, you can install it:
 
-**macOS/Linux:**
 \`\`\`bash
-npm install -g claude-code
-\`\`\`
-
-**Windows:**
-\`\`\`powershell
-npm install -g claude-code
+npm install -g @anthropic-ai/claude-code
 \`\`\`
 
-Or download from: https://github.com/anthropics/claude-code
+Or see: https://github.com/anthropics/claude-code
 
-### Configuration File Location
+### Configuration File Locations
 
-- All platforms: \`~/.claudecode/settings.json\`
+- User scope: \`~/.claude.json\` (top-level "mcpServers")
+- Local scope: \`~/.claude.json\` (under "projects" → project path → "mcpServers")
+- Project scope: \`.mcp.json\` in the project root
 `;
   }
 }
 
-module.exports = ClaudeCode;
\ No newline at end of file
+module.exports = ClaudeCode;
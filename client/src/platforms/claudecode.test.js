@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const PlatformDetector = require('../config/detector');
+const { DEFAULT_ENDPOINT } = require('../config/endpoint');
+const ClaudeCode = require('./claudecode');
+
+const API_KEY = 'sk_test_claudecode';
+
+// A Linux machine whose home folder is a fresh temporary one
+function createPlatform(t) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-claudecode-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const detector = new PlatformDetector();
+  detector.platform = 'linux';
+  detector.setHomeDir(home);
+  return { home, platform: new ClaudeCode(detector, { endpoint: DEFAULT_ENDPOINT, projectRoot: path.join(home, 'project') }) };
+}
+
+test('claude runs without a shell, through cmd.exe only for the npm shim', () => {
+  const args = ['mcp', 'add-json', 'spectator-voice-memory', '{"a":"b c"}'];
+  assert.deepStrictEqual(ClaudeCode.cliInvocation('/usr/bin/claude', args, 'linux'), { file: '/usr/bin/claude', args, options: {} });
+  assert.deepStrictEqual(ClaudeCode.cliInvocation('C:\\bin\\claude.exe', args, 'win32').args, args);
+
+  const { args: cmdArgs, options } = ClaudeCode.cliInvocation('C:\\npm\\claude.cmd', args, 'win32');
+  assert.deepStrictEqual(cmdArgs.slice(0, 3), ['/d', '/s', '/c']);
+  assert.strictEqual(cmdArgs[3], '"C:\\npm\\claude.cmd ^^^"mcp^^^" ^^^"add-json^^^" ^^^"spectator-voice-memory^^^" ^^^"{\\^^^"a\\^^^":\\^^^"b^^^ c\\^^^"}^^^""');
+  assert.deepStrictEqual(options, { windowsVerbatimArguments: true });
+});
+
+test('a failing claude CLI falls back to the file with a warning', async (t) => {
+  const { home, platform } = createPlatform(t);
+  fs.mkdirSync(path.join(home, 'project'));
+  // node exits with an error for `node mcp add-json ...`
+  platform.cliPath = process.execPath;
+
+  const plan = await platform.planConfigure(API_KEY);
+  const result = await platform.applyPlan(plan);
+  assert.strictEqual(result.method, 'file');
+  assert.match(result.warning, /^claude mcp add-json failed: [\s\S]*; edited .*\.claude\.json directly instead$/);
+  assert.strictEqual(fs.readFileSync(path.join(home, '.claude.json'), 'utf8'), plan.changes[0].after);
+});
+
+test('validate only asks claude mcp list when told to', async (t) => {
+  const { platform } = createPlatform(t);
+  await platform.applyPlan(await platform.planConfigure(API_KEY));
+  platform.cliPath = null;
+  let listed = 0;
+  platform.listCliServers = () => {
+    listed += 1;
+    return { servers: [] };
+  };
+
+  assert.deepStrictEqual(await platform.validate(), { scope: 'global', valid: true });
+  assert.strictEqual(listed, 0);
+  assert.match((await platform.validate({ checkCli: true })).warning, /is not listed by "claude mcp list"/);
+  assert.strictEqual(listed, 1);
+});
@@ -0,0 +1,40 @@
+// How sure detection is that a platform is installed, strongest first:
+//   high   - the app itself was found (app folder, command or package)
+//   medium - only its config or data folder, which may outlive the app
+//   low    - only files an older version of this tool left behind
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Detection result from the evidence found for a platform
+ * @param {Array<{ confidence: string, reason: string }>} evidence - What was found
+ * @param {string[]} checked - Everything that was looked for
+ * @returns {{ installed: boolean, confidence: string, reason: string, evidence: string[], checked: string[] }}
+ *   confidence is one of CONFIDENCE_LEVELS, or none when nothing was found;
+ *   reason is the strongest evidence
+ */
+function summarizeDetection(evidence, checked) {
+  const sorted = [...evidence].sort((a, b) =>
+    CONFIDENCE_LEVELS.indexOf(a.confidence) - CONFIDENCE_LEVELS.indexOf(b.confidence));
+
+  if (sorted.length === 0) {
+    return {
+      installed: false,
+      confidence: 'none',
+      reason: checked.length > 0 ? `Found none of: ${checked.join(', ')}` : 'Nothing to look for on this OS',
+      evidence: [],
+      checked
+    };
+  }
+  return {
+    installed: true,
+    confidence: sorted[0].confidence,
+    reason: sorted[0].reason,
+    evidence: sorted.map(found => found.reason),
+    checked
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  summarizeDetection
+};
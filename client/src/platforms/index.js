@@ -1,15 +1,27 @@
-const ClaudePlatform = require('./claude');
+const SchemaPlatform = require('./schema-platform');
 const ClaudeCodePlatform = require('./claudecode');
-const CursorPlatform = require('./cursor');
-const WindsurfPlatform = require('./windsurf');
 const VSCodePlatform = require('./vscode');
-const ClinePlatform = require('./cline');
+const JetBrainsPlatform = require('./jetbrains');
 
-module.exports = {
-  claude: ClaudePlatform,
-  claudecode: ClaudeCodePlatform,
-  cursor: CursorPlatform,
-  windsurf: WindsurfPlatform,
-  vscode: VSCodePlatform,
-  cline: ClinePlatform
-};
\ No newline at end of file
+// Built-in platforms. Most are plain schemas (see schema-platform.js); Claude
+// Code, VS Code and JetBrains AI Assistant extend the engine with behavior a
+// schema can't describe.
+const fromSchema = schema => [schema.name, SchemaPlatform.fromSchema(schema)];
+
+module.exports = Object.fromEntries([
+  fromSchema(require('./schemas/claude')),
+  ['claudecode', ClaudeCodePlatform],
+  fromSchema(require('./schemas/cursor')),
+  fromSchema(require('./schemas/windsurf')),
+  ['vscode', VSCodePlatform],
+  fromSchema(require('./schemas/zed')),
+  fromSchema(require('./schemas/continue')),
+  fromSchema(require('./schemas/goose')),
+  ['jetbrains', JetBrainsPlatform],
+  fromSchema(require('./schemas/junie')),
+  fromSchema(require('./schemas/codex')),
+  fromSchema(require('./schemas/gemini')),
+  // One platform per Cline-family extension and host editor: cline,
+  // cline-cursor, roo, roo-windsurf, ...
+  ...require('./schemas/cline').map(fromSchema)
+]);
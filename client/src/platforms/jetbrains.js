@@ -0,0 +1,146 @@
+const SchemaPlatform = require('./schema-platform');
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { summarizeDetection } = require('./detection');
+
+// IDE settings folders under <userData>/JetBrains are named after the
+// product and its version, e.g. PyCharm2025.2 or IntelliJIdea2025.1
+const IDE_FOLDER = /^([A-Za-z]+)(\d{4})\.(\d+)$/;
+
+// AI Assistant can start MCP servers from 2025.1 on
+const FIRST_MCP_VERSION = [2025, 1];
+
+// Launchers the IDEs and JetBrains Toolbox put on the PATH
+const IDE_COMMANDS = ['idea', 'pycharm', 'webstorm', 'phpstorm', 'goland', 'clion', 'rider', 'rubymine', 'rustrover', 'datagrip'];
+
+// Folders there that belong to JetBrains tools rather than IDEs
+const NOT_IDES = ['JetBrainsClient', 'JetBrainsGateway'];
+
+// AI Assistant keeps its servers in the settings of each IDE (see
+// utils/jetbrains-xml.js); Junie is a platform of its own (schemas/junie.js)
+const SCHEMA = {
+  name: 'jetbrains',
+  displayName: 'JetBrains AI Assistant',
+  scopes: ['global'],
+  paths: {
+    global: '<userData>/JetBrains'
+  },
+  format: 'jetbrains-xml'
+};
+
+class JetBrainsPlatform extends SchemaPlatform {
+  constructor(detector, options = {}) {
+    super(detector, options, SCHEMA);
+  }
+
+  // The latest version of each IDE with MCP support, newest first
+  getIdes() {
+    const root = this.resolveLocation(SCHEMA.paths.global);
+    let folders;
+    try {
+      folders = fs.readdirSync(root, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const latest = new Map();
+    for (const folder of folders) {
+      const match = folder.isDirectory() && folder.name.match(IDE_FOLDER);
+      if (!match || NOT_IDES.includes(match[1])) {
+        continue;
+      }
+      const version = [Number(match[2]), Number(match[3])];
+      const current = latest.get(match[1]);
+      if (compareVersions(version, FIRST_MCP_VERSION) >= 0 && (!current || compareVersions(version, current.version) > 0)) {
+        latest.set(match[1], { product: match[1], version, folder: folder.name });
+      }
+    }
+
+    return [...latest.values()]
+      .sort((a, b) => compareVersions(b.version, a.version) || a.product.localeCompare(b.product))
+      .map(({ product, version, folder }) => ({
+        name: `${product} ${version.join('.')}`,
+        version: version.join('.'),
+        configDir: path.join(root, folder),
+        configPath: path.join(root, folder, 'options', 'llm.mcpServers.xml')
+      }));
+  }
+
+  // A launcher only counts alongside the settings of an IDE recent enough
+  detect() {
+    const ides = this.getIdes();
+    const { evidence, checked } = this.collectEvidence(ides.length > 0
+      ? { commands: IDE_COMMANDS, paths: ides.map(ide => ide.configDir) }
+      : {});
+    return summarizeDetection(evidence, checked.length > 0 ? checked : [this.resolveLocation(SCHEMA.paths.global)]);
+  }
+
+  // The newest IDE's settings file; null when no IDE supports MCP
+  getConfigPath(scope = 'global') {
+    if (scope !== 'global') {
+      return null;
+    }
+    const [ide] = this.getIdes();
+    return ide ? ide.configPath : null;
+  }
+
+  // The settings file of every IDE, all in the global scope
+  getConfigPaths(options = {}) {
+    if (!this.coversScope(options, 'global')) {
+      return [];
+    }
+    return this.getIdes().map(ide => ({ scope: 'global', path: ide.configPath }));
+  }
+
+  async planConfigure(apiKey, options = {}) {
+    const scope = this.resolveScope(options.scope);
+    const ides = this.getIdes();
+    if (ides.length === 0) {
+      throw new Error(`No JetBrains IDE ${FIRST_MCP_VERSION.join('.')} or later found; AI Assistant runs MCP servers from that version on`);
+    }
+
+    const changes = [];
+    let result;
+    for (const ide of ides) {
+      const config = await this.readConfig(ide.configPath) || this.newConfig(scope);
+      const merged = this.mergeServerEntry(config, apiKey);
+      result = result
+        ? { ...result, updated: result.updated || merged.updated, migrated: [...result.migrated, ...merged.migrated] }
+        : merged;
+      changes.push(this.planWrite(ide.configPath, config, { scope }));
+    }
+
+    return this.createPlan(result, changes);
+  }
+
+  getManualInstructions(apiKey) {
+    const ides = this.getIdes();
+    const serverConfig = { mcpServers: this.getMcpServerConfig(apiKey) };
+    const files = ides.length > 0
+      ? ides.map(ide => `   ${chalk.cyan(ide.configPath)}`).join('\n')
+      : `   ${chalk.cyan(path.join(this.resolveLocation(SCHEMA.paths.global), '<IDE><version>', 'options', 'llm.mcpServers.xml'))}`;
+
+    return `
+${chalk.bold('Manual Configuration for JetBrains AI Assistant:')}
+
+1. Open Settings > Tools > AI Assistant > Model Context Protocol (MCP)
+2. Click "Add", then choose "As JSON"
+3. Paste:
+
+${chalk.gray(JSON.stringify(serverConfig, null, 2))}
+
+Setup writes the same server into each IDE's settings:
+${files}
+
+Restart the IDE for changes to take effect. AI Assistant runs MCP servers
+from version ${FIRST_MCP_VERSION.join('.')} on; for Junie, see --platform junie.
+`;
+  }
+}
+
+function compareVersions(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+module.exports = JetBrainsPlatform;
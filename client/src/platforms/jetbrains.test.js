@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const PlatformDetector = require('../config/detector');
+const { DEFAULT_ENDPOINT } = require('../config/endpoint');
+const JetBrainsPlatform = require('./jetbrains');
+
+const API_KEY = 'sk_test_jetbrains';
+
+// A Linux machine whose home folder is a fresh temporary one, with settings
+// folders for the given IDE folder names
+function createPlatform(t, folders) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-jetbrains-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const detector = new PlatformDetector();
+  detector.platform = 'linux';
+  detector.setHomeDir(home);
+  const root = path.join(home, '.config', 'JetBrains');
+  folders.forEach(folder => fs.mkdirSync(path.join(root, folder), { recursive: true }));
+  return { root, platform: new JetBrainsPlatform(detector, { endpoint: DEFAULT_ENDPOINT }) };
+}
+
+test('finds the latest version of each IDE with MCP support', (t) => {
+  const { root, platform } = createPlatform(t, [
+    'PyCharm2025.1', 'PyCharm2025.2', 'IntelliJIdea2024.3', 'WebStorm2025.1', 'JetBrainsClient2025.2', 'consentOptions'
+  ]);
+
+  assert.deepStrictEqual(platform.getIdes().map(ide => ide.name), ['PyCharm 2025.2', 'WebStorm 2025.1']);
+  assert.strictEqual(platform.getConfigPath('global'), path.join(root, 'PyCharm2025.2', 'options', 'llm.mcpServers.xml'));
+  assert.strictEqual(platform.detect().installed, true);
+});
+
+test('setup and remove edit every IDE', async (t) => {
+  const { root, platform } = createPlatform(t, ['GoLand2025.2', 'Rider2025.1']);
+  const goland = path.join(root, 'GoLand2025.2', 'options', 'llm.mcpServers.xml');
+  const other = `<application>
+  <component name="McpApplicationServerCommands">
+    <commands>
+      <McpServerCommand>
+        <option name="command" value="uvx" />
+        <option name="name" value="other" />
+      </McpServerCommand>
+    </commands>
+  </component>
+</application>
+`;
+  fs.mkdirSync(path.dirname(goland), { recursive: true });
+  fs.writeFileSync(goland, other);
+
+  const plan = await platform.planConfigure(API_KEY);
+  assert.deepStrictEqual(plan.changes.map(change => path.relative(root, change.path)), [
+    path.join('GoLand2025.2', 'options', 'llm.mcpServers.xml'),
+    path.join('Rider2025.1', 'options', 'llm.mcpServers.xml')
+  ]);
+  assert.strictEqual(plan.changes[1].before, null);
+  await platform.applyPlan(plan);
+
+  assert.deepStrictEqual(platform.getConfigFormat(goland).parse(fs.readFileSync(goland, 'utf8')).mcpServers.other, { command: 'uvx' });
+  assert.deepStrictEqual(await platform.validate(), { scope: 'global', valid: true });
+
+  const removal = await platform.planRemove();
+  assert.strictEqual(removal.changes.length, 2);
+  await platform.applyPlan(removal);
+  assert.strictEqual(fs.readFileSync(goland, 'utf8'), other);
+  assert.deepStrictEqual(await platform.validate(), { valid: false, error: 'Spectator MCP server not configured' });
+});
+
+test('without an IDE that supports MCP, setup fails', async (t) => {
+  const { platform } = createPlatform(t, ['IntelliJIdea2024.3']);
+
+  assert.strictEqual(platform.detect().installed, false);
+  await assert.rejects(platform.planConfigure(API_KEY), /No JetBrains IDE 2025\.1 or later found/);
+  await assert.rejects(platform.planConfigure(API_KEY, { scope: 'project' }), /has no project config/);
+  assert.deepStrictEqual(await platform.validate(), { valid: false, error: 'Configuration file not found' });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const BasePlatform = require('./base');
+const SchemaPlatform = require('./schema-platform');
+const builtInPlatforms = require('./index');
+const { getUserConfigPath, readUserConfig } = require('../config/user-config');
+const { registerFormat } = require('../utils/formats');
+const { DEFAULT_ENDPOINT } = require('../config/endpoint');
+
+// npm packages named like this (optionally scoped, e.g.
+// @acme/spectator-mcp-platform-zed) are loaded as platform adapters
+const PLUGIN_PREFIX = 'spectator-mcp-platform-';
+
+// Methods every adapter must implement (BasePlatform's versions only throw)
+const REQUIRED_METHODS = ['getConfigPath', 'planConfigure', 'planRemove', 'validate', 'getManualInstructions'];
+
+// Platform names are used with --platforms and in JSON output
+const PLATFORM_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+// node_modules folders searched for plugin packages: this package's and the
+// global one, never the current directory's (it may be an untrusted checkout)
+function getPluginSearchDirs() {
+  const prefix = path.dirname(process.execPath);
+  const globalDir = process.platform === 'win32'
+    ? path.join(prefix, 'node_modules')
+    : path.join(prefix, '..', 'lib', 'node_modules');
+
+  return [...new Set([
+    ...module.paths,
+    path.resolve(globalDir)
+  ])];
+}
+
+/**
+ * Find installed plugin packages
+ * @param {string[]} searchDirs - node_modules folders to look in
+ * @returns {Array<Object>} Entries of { source, path }, first match per package name
+ */
+function findPluginPackages(searchDirs) {
+  const found = new Map();
+  const addPackages = (dir, scope = '') => {
+    for (const entry of fs.readdirSync(dir)) {
+      const name = scope ? `${scope}/${entry}` : entry;
+      if (!scope && entry.startsWith('@')) {
+        addPackages(path.join(dir, entry), entry);
+      } else if (entry.startsWith(PLUGIN_PREFIX) && !found.has(name)) {
+        found.set(name, { source: name, path: path.join(dir, entry) });
+      }
+    }
+  };
+
+  for (const dir of searchDirs) {
+    try {
+      addPackages(dir);
+    } catch {
+      // Missing or unreadable folder
+    }
+  }
+  return [...found.values()];
+}
+
+// Adapters listed under "plugins" in the settings file, relative to its folder
+function getConfiguredPlugins(homeDir) {
+  const configPath = getUserConfigPath(homeDir);
+  const plugins = readUserConfig(configPath).plugins || [];
+  if (!Array.isArray(plugins)) {
+    throw new Error(`"plugins" in ${configPath} must be a list of paths`);
+  }
+  return plugins.map(plugin => {
+    const pluginPath = path.resolve(path.dirname(configPath), plugin);
+    return { source: pluginPath, path: pluginPath };
+  });
+}
+
+// Every platform adapter, built in or loaded from a plugin, by name
+class PlatformRegistry {
+  constructor(detector) {
+    this.detector = detector;
+    this.adapters = new Map();
+    // Plugins that could not be loaded, as [{ source, error }]
+    this.errors = [];
+  }
+
+  /**
+   * Add an adapter after checking it against the contract in base.js
+   * @param {Function} Adapter - Class extending BasePlatform
+   * @param {string} [source] - Where it came from (package name or path)
+   * @returns {string} The platform name
+   */
+  register(Adapter, source = 'built-in') {
+    if (typeof Adapter !== 'function') {
+      throw new Error('A platform adapter must be a class extending BasePlatform');
+    }
+
+    // Built only to read its name, so a bad $SPECTATOR_ENDPOINT can't fail here
+    const adapter = new Adapter(this.detector, { endpoint: DEFAULT_ENDPOINT });
+    if (!adapter.name) {
+      throw new Error('Platform adapter has no name');
+    }
+    if (!PLATFORM_NAME.test(adapter.name)) {
+      throw new Error(`Invalid platform name "${adapter.name}" (use lowercase letters, digits and dashes)`);
+    }
+    if (!adapter.displayName) {
+      throw new Error(`Platform "${adapter.name}" has no displayName`);
+    }
+    const missing = REQUIRED_METHODS.filter(method =>
+      typeof adapter[method] !== 'function' || adapter[method] === BasePlatform.prototype[method]);
+    if (missing.length > 0) {
+      throw new Error(`Platform "${adapter.name}" does not implement ${missing.join(', ')}`);
+    }
+
+    const existing = this.adapters.get(adapter.name);
+    if (existing) {
+      throw new Error(`Platform "${adapter.name}" is already provided by ${existing.source}`);
+    }
+
+    this.adapters.set(adapter.name, { Adapter, source, displayName: adapter.displayName });
+    return adapter.name;
+  }
+
+  /**
+   * Load a plugin module: adapter classes or schemas, a function of the public
+   * API (src/index.js) returning them, or { platforms, formats }
+   * @param {string} modulePath - File or package folder
+   * @param {string} [source] - Name reported in errors
+   * @returns {string[]} Names of the platforms it added
+   */
+  loadPlugin(modulePath, source = modulePath) {
+    let exported = require(modulePath);
+    const isClass = typeof exported === 'function' && exported.prototype && typeof exported.prototype.planConfigure === 'function';
+    if (typeof exported === 'function' && !isClass) {
+      exported = exported(require('../index'));
+    }
+
+    const isBundle = Boolean(exported && (exported.platforms || exported.formats));
+    for (const { name, extensions, ...handler } of (isBundle && exported.formats) || []) {
+      registerFormat(name, handler, extensions);
+    }
+
+    const adapters = [].concat(isBundle ? exported.platforms || [] : exported);
+    return adapters.map(adapter => this.register(
+      adapter && typeof adapter === 'object' ? SchemaPlatform.fromSchema(adapter) : adapter,
+      source
+    ));
+  }
+
+  // Load installed spectator-mcp-platform-* packages and the adapters listed
+  // in the settings file. Failures are collected in this.errors.
+  loadPlugins(options = {}) {
+    let sources = findPluginPackages(options.searchDirs || getPluginSearchDirs());
+    try {
+      sources = sources.concat(getConfiguredPlugins(this.detector.homeDir));
+    } catch (error) {
+      this.errors.push({ source: getUserConfigPath(this.detector.homeDir), error: error.message });
+    }
+
+    for (const { source, path: pluginPath } of sources) {
+      try {
+        this.loadPlugin(pluginPath, source);
+      } catch (error) {
+        // Node's "Cannot find module" errors continue with the require stack
+        this.errors.push({ source, error: error.message.split('\n')[0] });
+      }
+    }
+  }
+
+  // Adapter class for a platform name, or undefined
+  get(name) {
+    const entry = this.adapters.get(name);
+    return entry ? entry.Adapter : undefined;
+  }
+
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  getDisplayName(name) {
+    const entry = this.adapters.get(name);
+    return entry ? entry.displayName : name;
+  }
+
+  // Where a platform's adapter came from: 'built-in', a package name or a path
+  getSource(name) {
+    const entry = this.adapters.get(name);
+    return entry ? entry.source : null;
+  }
+
+  // How a platform was or wasn't detected on this machine: { installed,
+  // confidence, reason, evidence, checked } (see detection.js)
+  detect(name) {
+    try {
+      return new (this.get(name))(this.detector, { endpoint: DEFAULT_ENDPOINT }).detect();
+    } catch (error) {
+      return {
+        installed: false,
+        confidence: 'none',
+        reason: `Detection failed: ${error.message}`,
+        evidence: [],
+        checked: []
+      };
+    }
+  }
+
+  // Names of the platforms whose adapter detects them on this machine
+  getInstalledPlatforms() {
+    return this.names().filter(name => this.detect(name).installed);
+  }
+}
+
+/**
+ * Registry with the built-in platforms and every plugin found
+ * @param {PlatformDetector} detector
+ * @param {Object} [options]
+ * @param {boolean} [options.plugins=true] - Load plugins
+ * @param {string[]} [options.searchDirs] - node_modules folders to search for plugin packages
+ * @returns {PlatformRegistry}
+ */
+function createRegistry(detector, options = {}) {
+  const registry = new PlatformRegistry(detector);
+  Object.values(builtInPlatforms).forEach(Adapter => registry.register(Adapter));
+  if (options.plugins !== false) {
+    registry.loadPlugins(options);
+  }
+  return registry;
+}
+
+module.exports = {
+  PLUGIN_PREFIX,
+  PlatformRegistry,
+  createRegistry,
+  findPluginPackages
+};
@@ -0,0 +1,499 @@
+const BasePlatform = require('./base');
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { getServerEntry, getEntryUrl, removeServerEntries } = require('../config/server-entry');
+const { summarizeDetection } = require('./detection');
+
+// A platform described as data (see schemas/). The engine below plans
+// configure and remove, validates and prints instructions from:
+//   name, displayName - as in base.js
+//   scopes            - config scopes setup can write, default first
+//   paths             - config file location per scope, plus `legacy` for a
+//                       file older versions of this tool wrote to (entries
+//                       there are moved by setup)
+//   format            - json, yaml, toml or a registered format (default:
+//                       by file extension, see utils/formats.js)
+//   templates         - per scope, content a new config file starts with
+//   detect            - where to look for the app (see detection.js for
+//                       the confidence each gives):
+//                         apps      - app folders or executables (high)
+//                         commands  - found on the PATH or in installer
+//                                     folders such as ~/.local/bin (high)
+//                         packages  - { snap, flatpak, brew }: package
+//                                     name(s) per manager (high)
+//                         paths     - config or data files and folders
+//                                     (medium)
+//                         leftovers - files older versions of this tool
+//                                     wrote (low)
+//                       (default: the folder of the global config, medium)
+//   sections          - per scope, keys leading from the top of the file to
+//                       the object holding the server map (e.g. ['mcp'])
+//   serversKey        - key of the server map (default: mcpServers)
+//   serverNameKey     - set when servers are a list of entries naming
+//                       themselves in this key instead of a map
+//   transports        - transports it can write (default: stdio-proxy only)
+//   entry             - entry shape: { urlKey, type, stdioType, commandKey,
+//                       envKey, extra } (URL key, the "type" written for
+//                       remote entries - true for the transport name - and
+//                       for local commands, the command and env keys, and
+//                       fields every entry gets). urlKey and type can be
+//                       objects with a value per transport.
+//   envReference      - how entries reference an env var; {name} is replaced
+//   inputReference    - how entries reference a value the editor prompts for
+//   instructions      - { app, scopeLabels, sections: [{ title, text }] };
+//                       {url} in a text is replaced by the server URL
+//   launchedFrom      - 'terminal' for CLIs started from a shell (default:
+//                       'desktop', see base.js)
+//
+// Locations are strings, or objects with one string per OS (darwin, win32,
+// linux), starting with one of the roots below or an absolute path.
+const LOCATION_ROOTS = {
+  '~': ({ detector }) => detector.homeDir,
+  // Application Support, %APPDATA% or ~/.config
+  '<userData>': ({ detector }) => detector.getUserDataDir(''),
+  '<project>': ({ projectRoot }) => projectRoot,
+  '<programFiles>': () => process.env.ProgramFiles || '',
+  '<localAppData>': ({ detector }) => detector.getLocalAppDataDir()
+};
+
+/**
+ * Resolve a schema location to a path on this machine
+ * @param {string|Object} location
+ * @param {Object} context - { detector, projectRoot }
+ * @returns {string|null} null when the location has no value for this OS
+ */
+function resolveLocation(location, context) {
+  const value = typeof location === 'string' ? location : location[context.detector.platform];
+  if (!value) {
+    return null;
+  }
+
+  const [root, ...rest] = value.split('/');
+  if (!LOCATION_ROOTS[root]) {
+    return value;
+  }
+  return path.join(LOCATION_ROOTS[root](context), ...rest);
+}
+
+// An entry option that is either one value or one per transport
+function forTransport(option, transport) {
+  if (option === true) {
+    return transport;
+  }
+  return option && typeof option === 'object' ? option[transport] : option;
+}
+
+// Original list a server map was read from (see listToMap)
+const SERVER_LIST = Symbol('serverList');
+
+// Map servers kept as a list by name. Items without a name, and repeats of
+// a name, stay out of the map and are written back untouched.
+function listToMap(list, nameKey) {
+  const servers = {};
+  for (const item of list) {
+    const name = item && item[nameKey];
+    if (typeof name === 'string' && !(name in servers)) {
+      const { [nameKey]: omitted, ...entry } = item;
+      servers[name] = entry;
+    }
+  }
+  servers[SERVER_LIST] = list;
+  return servers;
+}
+
+// The list a server map is written back as: the original items in order,
+// with mapped ones replaced or dropped, then the new servers
+function mapToList(servers, nameKey) {
+  const list = [];
+  const seen = new Set();
+  for (const item of servers[SERVER_LIST] || []) {
+    const name = item && item[nameKey];
+    if (typeof name !== 'string' || seen.has(name)) {
+      list.push(item);
+      continue;
+    }
+    seen.add(name);
+    if (name in servers) {
+      list.push({ [nameKey]: name, ...servers[name] });
+    }
+  }
+
+  Object.keys(servers)
+    .filter(name => !seen.has(name))
+    .forEach(name => list.push({ [nameKey]: name, ...servers[name] }));
+  return list;
+}
+
+class SchemaPlatform extends BasePlatform {
+  constructor(detector, options = {}, schema = options.schema) {
+    super(detector, options);
+    this.schema = schema;
+    this.name = schema.name;
+    this.displayName = schema.displayName;
+    this.scopes = schema.scopes || ['global'];
+    this.format = schema.format || null;
+    this.serversKey = schema.serversKey || 'mcpServers';
+    this.transports = schema.transports || ['stdio-proxy'];
+    this.launchedFrom = schema.launchedFrom || 'desktop';
+  }
+
+  /**
+   * A platform class for a schema, constructed like any other platform
+   * @param {Object} schema
+   * @returns {Function}
+   */
+  static fromSchema(schema) {
+    return class extends SchemaPlatform {
+      constructor(detector, options = {}) {
+        super(detector, options, schema);
+      }
+    };
+  }
+
+  resolveLocation(location, projectRoot = this.projectRoot) {
+    return resolveLocation(location, { detector: this.detector, projectRoot });
+  }
+
+  getConfigPath(scope = 'global', projectRoot = this.projectRoot) {
+    const location = this.schema.paths[scope] || this.schema.paths[this.scopes[0]];
+    return location ? this.resolveLocation(location, projectRoot) : null;
+  }
+
+  // Every scope's config file plus the legacy one
+  getConfigPaths(options = {}) {
+    const entries = super.getConfigPaths(options);
+    const legacyPath = this.schema.paths.legacy && this.coversScope(options, 'legacy') && this.getConfigPath('legacy');
+    return legacyPath ? [...entries, { scope: 'legacy', path: legacyPath }] : entries;
+  }
+
+  isInstalled() {
+    return this.detect().installed;
+  }
+
+  detect() {
+    const globalPath = this.getConfigPath('global');
+    const spec = this.schema.detect || { paths: globalPath ? [path.dirname(globalPath)] : [] };
+    const { evidence, checked } = this.collectEvidence(spec);
+    return summarizeDetection(evidence, checked);
+  }
+
+  /**
+   * Look for an app as a detect spec describes it (see the schema fields above)
+   * @param {Object} spec - { apps, commands, packages, paths, leftovers }
+   * @returns {{ evidence: Array<Object>, checked: string[] }} What was found,
+   *   as { confidence, reason }, and everything looked for
+   */
+  collectEvidence(spec) {
+    const evidence = [];
+    const checked = [];
+
+    const lookFor = (locations, confidence, describe) => {
+      for (const location of locations || []) {
+        const resolved = this.resolveLocation(location);
+        if (!resolved) {
+          continue;
+        }
+        checked.push(resolved);
+        if (fs.existsSync(resolved)) {
+          evidence.push({ confidence, reason: describe(resolved) });
+        }
+      }
+    };
+
+    lookFor(spec.apps, 'high', found => `Found ${found}`);
+    for (const command of spec.commands || []) {
+      checked.push(`command ${command}`);
+      const commandPath = this.detector.findCommand(command);
+      if (commandPath) {
+        evidence.push({ confidence: 'high', reason: `Command ${command} at ${commandPath}` });
+      }
+    }
+    for (const [manager, ids] of Object.entries(spec.packages || {})) {
+      for (const id of [].concat(ids)) {
+        if (this.detector.getPackageLocations(manager, id).length === 0) {
+          continue;
+        }
+        checked.push(`${manager} package ${id}`);
+        const packagePath = this.detector.findPackage(manager, id);
+        if (packagePath) {
+          evidence.push({ confidence: 'high', reason: `${manager} package ${id} in ${packagePath}` });
+        }
+      }
+    }
+    lookFor(spec.paths, 'medium', found => `Found ${found} (config or data)`);
+    lookFor(spec.leftovers, 'low', found => `${found} exists (left by an older version of this tool)`);
+
+    return { evidence, checked };
+  }
+
+  getNativeServerEntry(url, transport, headers) {
+    const { urlKey = 'url', type = false, extra = {} } = this.schema.entry || {};
+    return {
+      ...(type ? { type: forTransport(type, transport) } : {}),
+      [forTransport(urlKey, transport)]: url,
+      ...(headers ? { headers } : {}),
+      ...extra
+    };
+  }
+
+  getMcpServerEntry(apiKey) {
+    const entry = super.getMcpServerEntry(apiKey);
+    if (!entry.command) {
+      return entry;
+    }
+
+    const { stdioType = false, commandKey = 'command', envKey = 'env', extra = {} } = this.schema.entry || {};
+    const { command, env, ...rest } = entry;
+    return {
+      ...(stdioType ? { type: forTransport(stdioType, 'stdio') } : {}),
+      [commandKey]: command,
+      ...rest,
+      ...(env ? { [envKey]: env } : {}),
+      ...extra
+    };
+  }
+
+  envReference(name) {
+    return this.schema.envReference ? this.schema.envReference.replace('{name}', name) : null;
+  }
+
+  inputReference() {
+    return this.schema.inputReference || null;
+  }
+
+  // The object holding the server map for a scope: the whole file, unless the
+  // schema nests it (e.g. under "mcp" in VS Code's settings.json)
+  getSection(config, scope, create = false) {
+    let section = config;
+    for (const key of (this.schema.sections || {})[scope] || []) {
+      if (create && !section[key]) {
+        section[key] = {};
+      }
+      section = section[key];
+      if (!section) {
+        return undefined;
+      }
+    }
+    return section;
+  }
+
+  getServerMaps(config, scope) {
+    const section = config && this.getSection(config, scope);
+    return super.getServerMaps(section, scope);
+  }
+
+  // Server lists (see serverNameKey) are read as maps by name, so the rest
+  // of the engine handles every platform alike, and written back as lists
+  async readConfig(configPath) {
+    const config = await super.readConfig(configPath);
+    const { serverNameKey } = this.schema;
+    if (!config || !serverNameKey) {
+      return config;
+    }
+
+    for (const scope of [...this.scopes, 'legacy']) {
+      const section = this.getSection(config, scope);
+      if (section && Array.isArray(section[this.serversKey])) {
+        section[this.serversKey] = listToMap(section[this.serversKey], serverNameKey);
+      }
+    }
+    return config;
+  }
+
+  serializeConfig(config, original = null, configPath = null) {
+    const { serverNameKey } = this.schema;
+    if (!config || !serverNameKey) {
+      return super.serializeConfig(config, original, configPath);
+    }
+
+    const fileConfig = JSON.parse(JSON.stringify(config));
+    for (const scope of [...this.scopes, 'legacy']) {
+      const section = this.getSection(config, scope);
+      const servers = section && section[this.serversKey];
+      if (servers && !Array.isArray(servers)) {
+        this.getSection(fileConfig, scope)[this.serversKey] = mapToList(servers, serverNameKey);
+      }
+    }
+    return super.serializeConfig(fileConfig, original, configPath);
+  }
+
+  // Content of a new config file for a scope
+  newConfig(scope) {
+    return { ...((this.schema.templates || {})[scope] || {}) };
+  }
+
+  // Plan taking our entry out of the legacy file, which the platform never
+  // read, or null when there is nothing to move
+  async planLegacyRemoval() {
+    if (!this.schema.paths.legacy) {
+      return null;
+    }
+
+    const legacyPath = this.getConfigPath('legacy');
+    let config;
+    try {
+      config = await this.readConfig(legacyPath);
+    } catch {
+      // An unreadable legacy file is left alone
+      return null;
+    }
+
+    const removed = this.getServerMaps(config, 'legacy')
+      .reduce((keys, { servers }) => keys.concat(removeServerEntries(servers)), []);
+    return removed.length > 0 ? this.planWrite(legacyPath, config, { scope: 'legacy' }) : null;
+  }
+
+  // Scope to write: the requested one, or the default for none or 'global'.
+  // Another scope the schema doesn't have is an error, never a write to a
+  // different file than asked for.
+  resolveScope(scope) {
+    if (!scope || (scope === 'global' && !this.scopes.includes(scope))) {
+      return this.scopes[0];
+    }
+    if (!this.scopes.includes(scope)) {
+      throw new Error(`${this.displayName} has no ${scope} config. Use ${this.scopes.join(' or ')}.`);
+    }
+    return scope;
+  }
+
+  async planConfigure(apiKey, options = {}) {
+    const scope = this.resolveScope(options.scope);
+    const configPath = this.getConfigPath(scope);
+    if (!configPath) {
+      throw new Error(`Could not determine ${this.displayName} configuration path on this platform`);
+    }
+
+    // Read existing config or create new
+    const config = await this.readConfig(configPath) || this.newConfig(scope);
+
+    // Add/Update Spectator MCP server (preserves other servers, migrates legacy keys)
+    const result = this.mergeServerEntry(this.getSection(config, scope, true), apiKey);
+
+    const changes = [this.planWrite(configPath, config, { scope })];
+    const legacyChange = await this.planLegacyRemoval();
+    if (legacyChange) {
+      changes.push(legacyChange);
+    }
+
+    return this.createPlan({ ...result, migratedFrom: legacyChange ? legacyChange.path : undefined }, changes);
+  }
+
+  // Validation result for one entry
+  checkEntry(entry, scope) {
+    const { commandKey = 'command' } = this.schema.entry || {};
+    if (!entry[commandKey] && !getEntryUrl(entry)) {
+      return { scope, valid: false, error: 'Invalid Spectator MCP configuration' };
+    }
+    return this.validResult(entry, { scope });
+  }
+
+  async validate(options = {}) {
+    const results = [];
+    let foundConfig = false;
+    let legacyPath = null;
+
+    for (const { scope, path: configPath } of this.getConfigPaths(options)) {
+      let config;
+      try {
+        config = await this.readConfig(configPath);
+      } catch (error) {
+        if (scope !== 'legacy') {
+          results.push({ scope, valid: false, error: error.message });
+        }
+        continue;
+      }
+
+      const entries = this.getServerMaps(config, scope)
+        .map(({ servers }) => getServerEntry(servers))
+        .filter(Boolean);
+      if (scope === 'legacy') {
+        legacyPath = entries.length > 0 ? configPath : null;
+        continue;
+      }
+
+      foundConfig = foundConfig || Boolean(config);
+      entries.forEach(entry => results.push(this.checkEntry(entry, scope)));
+    }
+
+    if (results.length === 0) {
+      if (legacyPath) {
+        return { valid: false, error: `Only configured in ${legacyPath}, which ${this.displayName} does not read. Run "spectator-mcp setup" to migrate it.` };
+      }
+      return { valid: false, error: foundConfig ? 'Spectator MCP server not configured' : 'Configuration file not found' };
+    }
+
+    const result = results.find(r => r.valid) || results[0];
+    if (result.valid && legacyPath) {
+      const warning = `Old entry left in ${legacyPath}; run "spectator-mcp setup" to clean it up`;
+      return { ...result, warning: [result.warning, warning].filter(Boolean).join('; ') };
+    }
+    return result;
+  }
+
+  async planRemove(options = {}) {
+    const changes = [];
+
+    for (const { scope, path: configPath } of this.getConfigPaths(options)) {
+      if (scope === 'legacy') {
+        continue;
+      }
+
+      const config = await this.readConfig(configPath);
+      const removed = this.getServerMaps(config, scope)
+        .reduce((keys, { servers }) => keys.concat(removeServerEntries(servers)), []);
+      if (removed.length > 0) {
+        changes.push(this.planWrite(configPath, config, { scope }));
+      }
+    }
+
+    const legacyChange = this.coversScope(options, 'legacy') && await this.planLegacyRemoval();
+    if (legacyChange) {
+      changes.push(legacyChange);
+    }
+
+    return this.createPlan({ removed: changes.length > 0 }, changes);
+  }
+
+  getManualInstructions(apiKey) {
+    const { app = this.displayName, scopeLabels = {}, sections = [] } = this.schema.instructions || {};
+    const fillIn = text => text.split('{url}').join(this.getServerUrl(apiKey));
+    const serverConfig = this.getMcpServerConfig(apiKey);
+
+    const fileSteps = this.scopes.map((scope, index) => {
+      const configPath = this.getConfigPath(scope);
+      const file = this.newConfig(scope);
+      this.getSection(file, scope, true)[this.serversKey] = serverConfig;
+      const title = this.scopes.length > 1
+        ? `${chalk.underline(`Option ${index + 1}: ${scopeLabels[scope] || scope}:`)}\n`
+        : '';
+
+      // JSON shows the entry to add to the server map; other formats, where
+      // the entry can't be shown on its own, the server map holding it
+      const entryStep = this.getConfigFormat(configPath).name === 'json'
+        ? `Add the following to the "${this.serversKey}" section:\n\n${chalk.gray(JSON.stringify(serverConfig, null, 2))}`
+        : `Add the following:\n\n${chalk.gray(this.serializeConfig({ [this.serversKey]: serverConfig }, null, configPath).trim())}`;
+
+      return `${title}1. Create/edit the file:
+   ${chalk.cyan(configPath)}
+
+2. ${entryStep}
+
+3. If the file doesn't exist, create it with:
+
+${chalk.gray(this.serializeConfig(file, null, configPath).trim())}
+`;
+    });
+
+    const extraSections = sections.map(({ title, text }) => `\n${chalk.bold(title)}\n${fillIn(text)}\n`);
+
+    return `
+${chalk.bold(`Manual Configuration for ${this.displayName}:`)}
+
+${fileSteps.join('\n')}
+Restart ${app} for changes to take effect.
+${extraSections.join('')}`;
+  }
+}
+
+module.exports = SchemaPlatform;
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const PlatformDetector = require('../config/detector');
+const { DEFAULT_ENDPOINT } = require('../config/endpoint');
+const Platforms = require('./index');
+
+// Golden files: fixtures/<platform>/existing.<ext> is a config the user
+// already has; created, configured and removed.<ext> are what setup writes
+// without a config, setup writes into existing, and remove leaves of
+// configured; emptied.<ext> is what remove leaves of created. After an intended change in output, UPDATE_GOLDEN=1 npm test
+// rewrites them; review their diff before committing.
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const API_KEY = 'sk_test_schema_engine';
+
+// One platform per schema (cline stands for the whole Cline family)
+const SCHEMAS = ['claude', 'cursor', 'windsurf', 'zed', 'continue', 'goose', 'junie', 'codex', 'gemini', 'cline'];
+
+// A Linux machine whose home folder is a fresh temporary one
+function createPlatform(name) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-schema-'));
+  const detector = new PlatformDetector();
+  detector.platform = 'linux';
+  detector.setHomeDir(home);
+  const platform = new Platforms[name](detector, { endpoint: DEFAULT_ENDPOINT, projectRoot: path.join(home, 'project') });
+  return { home, platform };
+}
+
+function fixturePath(name, file) {
+  return path.join(FIXTURES, name, file);
+}
+
+function assertGolden(name, file, actual) {
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(fixturePath(name, file), actual);
+    return;
+  }
+  assert.strictEqual(actual, fs.readFileSync(fixturePath(name, file), 'utf8'));
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+for (const name of SCHEMAS) {
+  test(`${name} schema`, async (t) => {
+    const { home, platform } = createPlatform(name);
+    t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+    const configPath = platform.getConfigPath('global');
+    const ext = path.extname(configPath);
+    t.beforeEach(() => fs.rmSync(path.dirname(configPath), { recursive: true, force: true }));
+
+    await t.test('config path is inside the home folder', () => {
+      assert.ok(configPath.startsWith(home + path.sep), configPath);
+    });
+
+    await t.test('without a config, setup creates one', async () => {
+      const plan = await platform.planConfigure(API_KEY);
+      assert.strictEqual(plan.changes.length, 1);
+      assert.strictEqual(plan.changes[0].path, configPath);
+      assert.strictEqual(plan.changes[0].before, null);
+      assertGolden(name, `created${ext}`, plan.changes[0].after);
+    });
+
+    await t.test('validate reports a missing config', async () => {
+      assert.deepStrictEqual(await platform.validate(), { valid: false, error: 'Configuration file not found' });
+    });
+
+    await t.test('setup adds its entry to an existing config', async () => {
+      const existing = fs.readFileSync(fixturePath(name, `existing${ext}`), 'utf8');
+      writeFile(configPath, existing);
+      assert.deepStrictEqual(await platform.validate(), { valid: false, error: 'Spectator MCP server not configured' });
+
+      const plan = await platform.planConfigure(API_KEY);
+      assert.strictEqual(plan.changes.length, 1);
+      assert.strictEqual(plan.changes[0].before, existing);
+      assertGolden(name, `configured${ext}`, plan.changes[0].after);
+
+      await platform.applyPlan(plan);
+      assert.strictEqual(fs.readFileSync(configPath, 'utf8'), plan.changes[0].after);
+      assert.deepStrictEqual(await platform.validate(), { scope: 'global', valid: true });
+
+      // Running setup again changes nothing
+      const again = await platform.planConfigure(API_KEY);
+      assert.strictEqual(again.changes[0].after, again.changes[0].before);
+    });
+
+    await t.test('remove takes out only its entry', async () => {
+      writeFile(configPath, fs.readFileSync(fixturePath(name, `configured${ext}`), 'utf8'));
+
+      const plan = await platform.planRemove();
+      assert.deepStrictEqual(plan.result, { removed: true });
+      assert.strictEqual(plan.changes.length, 1);
+      assertGolden(name, `removed${ext}`, plan.changes[0].after);
+
+      await platform.applyPlan(plan);
+      assert.deepStrictEqual(await platform.validate(), { valid: false, error: 'Spectator MCP server not configured' });
+      const again = await platform.planRemove();
+      assert.deepStrictEqual(again, { platform: name, result: { removed: false }, changes: [] });
+    });
+
+    await t.test('remove empties a config holding only its entry', async () => {
+      writeFile(configPath, fs.readFileSync(fixturePath(name, `created${ext}`), 'utf8'));
+
+      const plan = await platform.planRemove();
+      assert.strictEqual(plan.changes.length, 1);
+      assertGolden(name, `emptied${ext}`, plan.changes[0].after);
+
+      await platform.applyPlan(plan);
+      assert.deepStrictEqual(await platform.validate(), { valid: false, error: 'Spectator MCP server not configured' });
+    });
+
+    await t.test('scopes', async () => {
+      if (platform.scopes.includes('project')) {
+        const plan = await platform.planConfigure(API_KEY, { scope: 'project' });
+        assert.strictEqual(plan.changes[0].scope, 'project');
+        assert.ok(plan.changes[0].path.startsWith(path.join(home, 'project') + path.sep), plan.changes[0].path);
+      } else {
+        await assert.rejects(platform.planConfigure(API_KEY, { scope: 'project' }), /has no project config/);
+      }
+    });
+  });
+}
+
+test('cline moves an entry out of the legacy settings file', async (t) => {
+  const { home, platform } = createPlatform('cline');
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const legacyPath = platform.getConfigPath('legacy');
+  const configured = fs.readFileSync(fixturePath('cline', 'configured.json'), 'utf8');
+  writeFile(legacyPath, configured);
+
+  assert.match((await platform.validate()).error, /Only configured in .* does not read/);
+
+  const plan = await platform.planConfigure(API_KEY);
+  assert.deepStrictEqual(plan.changes.map(change => change.scope), ['global', 'legacy']);
+  assert.strictEqual(plan.result.migratedFrom, legacyPath);
+  assert.strictEqual(plan.changes[1].after, fs.readFileSync(fixturePath('cline', 'removed.json'), 'utf8'));
+
+  await platform.applyPlan(plan);
+  assert.deepStrictEqual(await platform.validate(), { scope: 'global', valid: true });
+});
@@ -0,0 +1,38 @@
+// Claude Desktop: stdio servers only, in claude_desktop_config.json
+module.exports = {
+  name: 'claude',
+  displayName: 'Claude Desktop',
+  paths: {
+    global: '<userData>/Claude/claude_desktop_config.json'
+  },
+  // There is no official Linux build; community packages install
+  // claude-desktop (`claude` on Linux is Claude Code's CLI)
+  detect: {
+    apps: [
+      {
+        darwin: '/Applications/Claude.app',
+        win32: '<localAppData>/AnthropicClaude',
+        linux: '/usr/lib/claude-desktop'
+      },
+      {
+        darwin: '~/Applications/Claude.app',
+        win32: '<programFiles>/Claude'
+      }
+    ],
+    commands: ['claude-desktop'],
+    packages: { brew: 'claude', flatpak: 'com.anthropic.claude-desktop' },
+    paths: ['<userData>/Claude']
+  },
+  instructions: {
+    sections: [
+      {
+        title: 'Alternative: Custom Connector (Pro/Team/Enterprise only):',
+        text: `1. In Claude, go to Settings > Connectors
+2. Click "Add custom connector"
+3. Enter:
+   - Name: Spectator Voice Memory
+   - URL: {url}`
+      }
+    ]
+  }
+};
@@ -0,0 +1,49 @@
+// Cline-family extensions, by the globalStorage folder VS Code-based editors
+// give them and the MCP settings file they keep in its settings/ subfolder
+const CLINE_EXTENSIONS = [
+  { id: 'cline', name: 'Cline', storageId: 'saoudrizwan.claude-dev', settingsFile: 'cline_mcp_settings.json' },
+  { id: 'roo', name: 'Roo Code', storageId: 'rooveterinaryinc.roo-cline', settingsFile: 'mcp_settings.json' }
+];
+
+// Editors that can host them, by their per-user data folder
+const CLINE_HOSTS = [
+  { id: 'vscode', name: 'VS Code', dataDir: 'Code' },
+  { id: 'insiders', name: 'VS Code Insiders', dataDir: 'Code - Insiders' },
+  { id: 'vscodium', name: 'VSCodium', dataDir: 'VSCodium' },
+  { id: 'cursor', name: 'Cursor', dataDir: 'Cursor' },
+  { id: 'windsurf', name: 'Windsurf', dataDir: 'Windsurf' }
+];
+
+// One platform per extension and host: "cline" in VS Code, "cline-cursor" in
+// Cursor, and so on
+module.exports = CLINE_EXTENSIONS.flatMap(extension => CLINE_HOSTS.map(host => {
+  const storageDir = `<userData>/${host.dataDir}/User/globalStorage/${extension.storageId}`;
+
+  return {
+    name: host.id === 'vscode' ? extension.id : `${extension.id}-${host.id}`,
+    displayName: `${extension.name} (${host.name})`,
+    paths: {
+      global: `${storageDir}/settings/${extension.settingsFile}`,
+      // Written by older versions of this tool, outside the settings/ folder
+      legacy: `${storageDir}/${extension.settingsFile}`
+    },
+    // The storage folder exists once the extension has run in the host
+    detect: {
+      paths: [storageDir]
+    },
+    instructions: {
+      app: host.name,
+      sections: [
+        {
+          title: `Alternative: Through the ${extension.name} UI:`,
+          text: `1. Open ${host.name}
+2. Click the "MCP Servers" icon in the ${extension.name} panel
+3. Add a new server with these details:
+   - Name: spectator-voice-memory
+   - Command: npx
+   - Args: -y, mcp-remote, {url}`
+        }
+      ]
+    }
+  };
+}));
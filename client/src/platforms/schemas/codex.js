@@ -0,0 +1,24 @@
+// OpenAI Codex CLI: [mcp_servers.<name>] tables in ~/.codex/config.toml.
+// Only stdio servers; remote ones need an opt-in in older releases.
+module.exports = {
+  name: 'codex',
+  displayName: 'Codex CLI',
+  paths: {
+    global: '~/.codex/config.toml'
+  },
+  detect: {
+    paths: ['~/.codex'],
+    commands: ['codex']
+  },
+  serversKey: 'mcp_servers',
+  launchedFrom: 'terminal',
+  instructions: {
+    app: 'Codex',
+    sections: [
+      {
+        title: 'Alternative: Through the Codex CLI:',
+        text: 'codex mcp add spectator-voice-memory -- npx -y mcp-remote {url}'
+      }
+    ]
+  }
+};
@@ -0,0 +1,29 @@
+// Continue lists MCP servers as blocks in config.yaml, each naming itself.
+// Project servers go in a block file of their own under .continue/mcpServers.
+module.exports = {
+  name: 'continue',
+  displayName: 'Continue',
+  scopes: ['global', 'project'],
+  paths: {
+    global: '~/.continue/config.yaml',
+    project: '<project>/.continue/mcpServers/spectator.yaml'
+  },
+  // Continue rejects config files without a name, version and schema
+  templates: {
+    global: { name: 'Local Config', version: '1.0.0', schema: 'v1' },
+    project: { name: 'Spectator', version: '1.0.0', schema: 'v1' }
+  },
+  serverNameKey: 'name',
+  transports: ['http', 'sse', 'stdio-proxy'],
+  entry: {
+    urlKey: 'url',
+    type: { http: 'streamable-http', sse: 'sse' }
+  },
+  instructions: {
+    app: 'the Continue extension',
+    scopeLabels: {
+      global: 'Global Configuration (all workspaces)',
+      project: 'Workspace Block (current workspace only)'
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// Cursor infers streamable HTTP vs SSE from the server, so remote entries
+// only carry a url
+module.exports = {
+  name: 'cursor',
+  displayName: 'Cursor',
+  scopes: ['global', 'project'],
+  paths: {
+    global: '~/.cursor/mcp.json',
+    project: '<project>/.cursor/mcp.json'
+  },
+  detect: {
+    apps: [
+      {
+        darwin: '/Applications/Cursor.app',
+        win32: '<localAppData>/Programs/cursor',
+        linux: '/usr/share/cursor'
+      },
+      { linux: '/opt/Cursor' }
+    ],
+    // The AppImage is usually linked as `cursor` in ~/.local/bin
+    commands: ['cursor'],
+    packages: { brew: 'cursor' },
+    paths: ['~/.cursor', '<userData>/Cursor']
+  },
+  transports: ['http', 'sse', 'stdio-proxy'],
+  entry: { urlKey: 'url' },
+  envReference: '${env:{name}}',
+  instructions: {
+    scopeLabels: {
+      global: 'Global Configuration (all projects)',
+      project: 'Project Configuration (current project only)'
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// Gemini CLI: "httpUrl" for streamable HTTP servers, "url" for SSE ones.
+// $VAR and ${VAR} in settings.json are expanded from the environment.
+module.exports = {
+  name: 'gemini',
+  displayName: 'Gemini CLI',
+  scopes: ['global', 'project'],
+  paths: {
+    global: '~/.gemini/settings.json',
+    project: '<project>/.gemini/settings.json'
+  },
+  detect: {
+    paths: ['~/.gemini'],
+    commands: ['gemini']
+  },
+  transports: ['http', 'sse', 'stdio-proxy'],
+  launchedFrom: 'terminal',
+  entry: {
+    urlKey: { http: 'httpUrl', sse: 'url' }
+  },
+  envReference: '${{name}}',
+  instructions: {
+    app: 'Gemini CLI',
+    scopeLabels: {
+      global: 'User Settings (all projects)',
+      project: 'Project Settings (current project only)'
+    },
+    sections: [
+      {
+        title: 'Alternative: Through the Gemini CLI:',
+        text: 'gemini mcp add --transport http spectator-voice-memory {url}'
+      }
+    ]
+  }
+};
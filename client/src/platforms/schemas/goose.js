@@ -0,0 +1,56 @@
+const { SERVER_KEY } = require('../../config/server-entry');
+
+// Goose calls MCP servers extensions: a map in config.yaml whose entries
+// repeat their own name and use cmd/envs/uri instead of command/env/url
+module.exports = {
+  name: 'goose',
+  displayName: 'Goose',
+  paths: {
+    global: {
+      darwin: '~/.config/goose/config.yaml',
+      win32: '<userData>/Block/goose/config/config.yaml',
+      linux: '<userData>/goose/config.yaml'
+    }
+  },
+  detect: {
+    apps: [
+      { darwin: '/Applications/Goose.app' }
+    ],
+    commands: ['goose'],
+    packages: { brew: 'block-goose' },
+    paths: [
+      {
+        darwin: '~/.config/goose',
+        win32: '<userData>/Block/goose',
+        linux: '<userData>/goose'
+      }
+    ]
+  },
+  serversKey: 'extensions',
+  transports: ['http', 'sse', 'stdio-proxy'],
+  entry: {
+    urlKey: 'uri',
+    type: { http: 'streamable_http', sse: 'sse' },
+    stdioType: 'stdio',
+    commandKey: 'cmd',
+    envKey: 'envs',
+    extra: {
+      name: SERVER_KEY,
+      description: 'Spectator voice memory',
+      enabled: true,
+      timeout: 300
+    }
+  },
+  instructions: {
+    sections: [
+      {
+        title: 'Alternative: Through the Goose CLI:',
+        text: `1. Run: goose configure
+2. Choose "Add Extension", then "Command-line Extension"
+3. Enter:
+   - Name: spectator-voice-memory
+   - Command: npx -y mcp-remote {url}`
+      }
+    ]
+  }
+};
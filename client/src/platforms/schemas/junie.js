@@ -0,0 +1,23 @@
+// Junie, JetBrains' coding agent (AI Assistant is ../jetbrains.js)
+module.exports = {
+  name: 'junie',
+  displayName: 'Junie',
+  scopes: ['global', 'project'],
+  paths: {
+    global: '~/.junie/mcp/mcp.json',
+    project: '<project>/.junie/mcp/mcp.json'
+  },
+  detect: {
+    // ~/.junie is created the first time Junie runs, in an IDE or as the CLI.
+    // A JetBrains IDE alone doesn't mean Junie is installed.
+    commands: ['junie'],
+    paths: ['~/.junie']
+  },
+  instructions: {
+    app: 'your JetBrains IDE or the Junie CLI',
+    scopeLabels: {
+      global: 'all projects',
+      project: 'current project only'
+    }
+  }
+};
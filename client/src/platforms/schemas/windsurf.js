@@ -0,0 +1,33 @@
+// Windsurf uses `serverUrl` for both streamable HTTP and SSE servers
+module.exports = {
+  name: 'windsurf',
+  displayName: 'Windsurf',
+  paths: {
+    global: '~/.codeium/windsurf/mcp_config.json'
+  },
+  detect: {
+    apps: [
+      {
+        darwin: '/Applications/Windsurf.app',
+        win32: '<localAppData>/Programs/Windsurf',
+        linux: '/usr/share/windsurf'
+      }
+    ],
+    commands: ['windsurf'],
+    packages: { brew: 'windsurf' },
+    paths: ['~/.codeium/windsurf', '<userData>/Windsurf']
+  },
+  transports: ['http', 'sse', 'stdio-proxy'],
+  entry: { urlKey: 'serverUrl' },
+  envReference: '${env:{name}}',
+  instructions: {
+    sections: [
+      {
+        title: 'Alternative: Configure through Windsurf:',
+        text: `1. Go to Settings > Cascade > Plugins
+2. Click on the Hammer Icon on the Cascade Tool bar
+3. Select "Configure" to open the configuration file`
+      }
+    ]
+  }
+};
@@ -0,0 +1,53 @@
+// Zed keeps MCP servers under "context_servers" in its settings.json, in
+// ~/.config/zed on macOS and Linux
+module.exports = {
+  name: 'zed',
+  displayName: 'Zed',
+  scopes: ['global', 'project'],
+  paths: {
+    global: {
+      darwin: '~/.config/zed/settings.json',
+      win32: '<userData>/Zed/settings.json',
+      linux: '<userData>/zed/settings.json'
+    },
+    project: '<project>/.zed/settings.json'
+  },
+  detect: {
+    apps: [
+      {
+        darwin: '/Applications/Zed.app',
+        win32: '<localAppData>/Programs/Zed',
+        // Zed's install script
+        linux: '~/.local/zed.app'
+      }
+    ],
+    commands: ['zed', 'zeditor'],
+    packages: { brew: 'zed', flatpak: 'dev.zed.Zed' },
+    paths: [
+      {
+        darwin: '~/.config/zed',
+        win32: '<userData>/Zed',
+        linux: '<userData>/zed'
+      }
+    ]
+  },
+  serversKey: 'context_servers',
+  transports: ['http', 'stdio-proxy'],
+  entry: { urlKey: 'url' },
+  instructions: {
+    scopeLabels: {
+      global: 'User Settings (all projects)',
+      project: 'Project Settings (current project only)'
+    },
+    sections: [
+      {
+        title: 'Alternative: Through the Agent Panel:',
+        text: `1. Open the Agent Panel settings (agent: open settings)
+2. Click "Add Custom Server" in the Model Context Protocol section
+3. Enter:
+   - Name: spectator-voice-memory
+   - Command: npx -y mcp-remote {url}`
+      }
+    ]
+  }
+};
@@ -1,138 +1,357 @@
-const BasePlatform = require('./base');
+const SchemaPlatform = require('./schema-platform');
 const chalk = require('chalk');
 const fs = require('fs');
+const path = require('path');
+const { SERVER_KEY, getServerEntry, removeServerEntries } = require('../config/server-entry');
+const { summarizeDetection } = require('./detection');
 
-class VSCodePlatform extends BasePlatform {
-  constructor(detector) {
-    super(detector);
-    this.name = 'vscode';
-    this.displayName = 'VS Code';
+// Input VS Code prompts for with --key-storage prompt, referenced as ${input:<id>}
+const API_KEY_INPUT_ID = 'spectator-api-key';
+
+// Editions sharing the MCP schema, by the setup scope for their user
+// settings, and how to detect each (see the detect field in
+// schema-platform.js; their user-data folder is checked too). On Linux the
+// deb/rpm packages install to /usr/share, the tarball usually to /opt.
+const EDITIONS = [
+  {
+    scope: 'global',
+    name: 'VS Code',
+    detect: {
+      apps: [
+        {
+          darwin: '/Applications/Visual Studio Code.app',
+          win32: '<localAppData>/Programs/Microsoft VS Code',
+          linux: '/usr/share/code'
+        },
+        {
+          win32: '<programFiles>/Microsoft VS Code',
+          linux: '/opt/VSCode-linux-x64'
+        }
+      ],
+      commands: ['code'],
+      packages: { snap: 'code', flatpak: 'com.visualstudio.code', brew: 'visual-studio-code' }
+    }
+  },
+  {
+    scope: 'insiders',
+    name: 'VS Code Insiders',
+    detect: {
+      apps: [
+        {
+          darwin: '/Applications/Visual Studio Code - Insiders.app',
+          win32: '<localAppData>/Programs/Microsoft VS Code Insiders',
+          linux: '/usr/share/code-insiders'
+        }
+      ],
+      commands: ['code-insiders'],
+      packages: { snap: 'code-insiders', brew: 'visual-studio-code@insiders' }
+    }
+  },
+  {
+    scope: 'vscodium',
+    name: 'VSCodium',
+    detect: {
+      apps: [
+        {
+          darwin: '/Applications/VSCodium.app',
+          win32: '<localAppData>/Programs/VSCodium',
+          linux: '/usr/share/codium'
+        }
+      ],
+      commands: ['codium'],
+      packages: { snap: 'codium', flatpak: 'com.vscodium.codium', brew: 'vscodium' }
+    }
+  }
+];
+
+// User-level servers live under "mcp" in each edition's settings.json,
+// workspace servers in .vscode/mcp.json; both under "servers", and every
+// entry needs a type, including local commands
+const SCHEMA = {
+  name: 'vscode',
+  displayName: 'VS Code',
+  scopes: ['project', ...EDITIONS.map(edition => edition.scope)],
+  paths: {
+    project: '<project>/.vscode/mcp.json',
+    global: '<userData>/Code/User/settings.json',
+    insiders: '<userData>/Code - Insiders/User/settings.json',
+    vscodium: '<userData>/VSCodium/User/settings.json',
+    // Written by older versions of this tool; VS Code never read it
+    legacy: '~/.mcp.json'
+  },
+  sections: Object.fromEntries(EDITIONS.map(edition => [edition.scope, ['mcp']])),
+  serversKey: 'servers',
+  transports: ['http', 'sse', 'stdio-proxy'],
+  entry: { urlKey: 'url', type: true, stdioType: true },
+  envReference: '${env:{name}}',
+  inputReference: `\${input:${API_KEY_INPUT_ID}}`
+};
+
+class VSCodePlatform extends SchemaPlatform {
+  constructor(detector, options = {}) {
+    super(detector, options, SCHEMA);
+  }
+
+  // Editions as [{ scope, name, userDir, settingsPath, installed, detection,
+  // evidence }].
+  // An edition counts as installed when its app or its user-data folder exists.
+  getEditions() {
+    return EDITIONS.map(({ scope, name, detect }) => {
+      const settingsPath = this.getConfigPath(scope);
+      const userDir = path.dirname(settingsPath);
+      const { evidence, checked } = this.collectEvidence({ ...detect, paths: [userDir] });
+      const detection = summarizeDetection(evidence, checked);
+      return {
+        scope,
+        name,
+        userDir,
+        settingsPath,
+        installed: detection.installed,
+        detection,
+        evidence: evidence.map(found => ({ ...found, reason: `${name}: ${found.reason}` }))
+      };
+    });
   }
 
-  async configure(apiKey, options = {}) {
-    const scope = options.scope || 'project'; // 'global' or 'project'
-    const configPath = this.detector.getConfigPath('vscode', scope);
-    
-    if (!configPath) {
-      throw new Error('Could not determine VS Code configuration path');
+  // The best detection among the editions
+  detect() {
+    const editions = this.getEditions();
+    return summarizeDetection(
+      editions.flatMap(edition => edition.evidence),
+      editions.flatMap(edition => edition.detection.checked)
+    );
+  }
+
+  // Inputs VS Code prompts for when it first starts the server
+  getInputs() {
+    if (this.keyStorage !== 'prompt') {
+      return [];
     }
+    return [{
+      type: 'promptString',
+      id: API_KEY_INPUT_ID,
+      description: 'Spectator API key',
+      password: true
+    }];
+  }
 
+  // Settings scopes of the installed editions (VS Code, Insiders, VSCodium);
+  // plain VS Code when none is found
+  getUserScopes() {
+    const editions = this.getEditions();
+    const installed = editions.filter(edition => edition.installed);
+    return (installed.length > 0 ? installed : editions.slice(0, 1)).map(edition => edition.scope);
+  }
 
+  isUserScope(scope) {
+    return this.getEditions().some(edition => edition.scope === scope);
+  }
+
+  // Replace our prompt input, keeping any other inputs
+  mergeInputs(section) {
+    const inputs = (section.inputs || []).filter(input => input.id !== API_KEY_INPUT_ID);
+    inputs.push(...this.getInputs());
+    if (inputs.length > 0 || section.inputs) {
+      section.inputs = inputs;
+    }
+  }
 
-    // Read existing config or create new
-    let config = await this.readConfig(configPath) || {};
-    
-    // Ensure mcpServers object exists
-    if (!config.mcpServers) {
-      config.mcpServers = {};
+  // Current-schema servers, plus entries older versions of this tool left
+  // under "mcpServers" in .vscode/mcp.json or ~/.mcp.json
+  getServerMaps(config, scope) {
+    if (!config) {
+      return [];
     }
+    if (scope === 'legacy') {
+      return config.mcpServers ? [{ scope, servers: config.mcpServers }] : [];
+    }
+
+    const maps = super.getServerMaps(config, scope);
+    if (scope === 'project' && config.mcpServers) {
+      maps.push({ scope: 'project (mcpServers)', servers: config.mcpServers });
+    }
+    return maps;
+  }
 
-    // Check if Spectator is already configured
-    const isAlreadyConfigured = config.mcpServers['spectator-voice-memory'];
-    
-    // Backup existing config if it exists
-    if (isAlreadyConfigured) {
-      const backupPath = await this.backupConfig(configPath);
+  // Remove Spectator entries from an old-schema "mcpServers" map, dropping the
+  // map once it is empty. Returns the removed keys.
+  removeLegacyEntries(config) {
+    const removed = config ? removeServerEntries(config.mcpServers) : [];
+    if (removed.length > 0 && Object.keys(config.mcpServers).length === 0) {
+      delete config.mcpServers;
     }
+    return removed;
+  }
+
+  // 'local' means the workspace (see planConfigure)
+  supportsScope(scope) {
+    return scope === 'local' || super.supportsScope(scope);
+  }
+
+  async planConfigure(apiKey, options = {}) {
+    // 'global' (every installed edition), 'project' or a single edition; VS
+    // Code has no per-user-per-project scope, so 'local' means the workspace
+    const scope = !options.scope || options.scope === 'local' ? 'project' : options.scope;
+    if (scope !== 'global' && scope !== 'project' && !this.isUserScope(scope)) {
+      throw new Error(`Unknown scope "${scope}" for VS Code. Use global, project, insiders or vscodium.`);
+    }
+
+    const scopes = scope === 'global' ? this.getUserScopes() : [scope];
+    const changes = [];
+    const migratedFrom = [];
+    let result;
 
-    // Add Spectator MCP server
-    const mcpConfig = this.getMcpServerConfig(apiKey);
-    Object.assign(config.mcpServers, mcpConfig);
+    for (const targetScope of scopes) {
+      const configPath = this.getConfigPath(targetScope);
+      const config = await this.readConfig(configPath) || {};
 
-    // Write config
-    await this.writeConfig(configPath, config);
+      // Entries an older version wrote under "mcpServers" move to "servers"
+      if (targetScope === 'project' && this.removeLegacyEntries(config).length > 0) {
+        migratedFrom.push(`"mcpServers" in ${configPath}`);
+      }
+
+      const section = this.getSection(config, targetScope, true);
+      const merged = this.mergeServerEntry(section, apiKey);
+      this.mergeInputs(section);
+
+      result = result
+        ? { ...result, updated: result.updated || merged.updated, migrated: [...result.migrated, ...merged.migrated] }
+        : merged;
+      changes.push(this.planWrite(configPath, config, { scope: targetScope }));
+    }
 
-    return { updated: isAlreadyConfigured, hasOtherServers: Object.keys(config.mcpServers).length > 1 };
+    // ~/.mcp.json was never read by VS Code; take our entry out of it
+    const legacyPath = this.getConfigPath('legacy');
+    try {
+      const legacyConfig = await this.readConfig(legacyPath);
+      if (this.removeLegacyEntries(legacyConfig).length > 0) {
+        changes.push(this.planWrite(legacyPath, legacyConfig, { scope: 'legacy' }));
+        migratedFrom.push(legacyPath);
+      }
+    } catch {
+      // An unreadable legacy file is left alone
+    }
+
+    return this.createPlan({
+      ...result,
+      migratedFrom: migratedFrom.length > 0 ? migratedFrom.join(' and ') : undefined
+    }, changes);
   }
 
-  async validate() {
-    // Check both global and project configs
-    const globalPath = this.detector.getConfigPath('vscode', 'global');
-    const projectPath = this.detector.getConfigPath('vscode', 'project');
-    
+  async validate(options = {}) {
     const results = [];
+    const wrongSchema = [];
 
-    if (globalPath && fs.existsSync(globalPath)) {
+    for (const { scope, path: configPath } of this.getConfigPaths(options)) {
+      let config;
       try {
-        const config = await this.readConfig(globalPath);
-        if (config.mcpServers && config.mcpServers['spectator-voice-memory']) {
-          results.push({ scope: 'global', valid: true });
-        }
+        config = await this.readConfig(configPath);
       } catch (error) {
-        results.push({ scope: 'global', valid: false, error: error.message });
+        results.push({ scope, valid: false, error: error.message });
+        continue;
+      }
+      if (!config) {
+        continue;
       }
-    }
 
-    if (projectPath && fs.existsSync(projectPath)) {
-      try {
-        const config = await this.readConfig(projectPath);
-        if (config.mcpServers && config.mcpServers['spectator-voice-memory']) {
-          results.push({ scope: 'project', valid: true });
+      if (scope === 'legacy') {
+        if (getServerEntry(config.mcpServers)) {
+          wrongSchema.push(`${configPath} (not read by VS Code)`);
         }
-      } catch (error) {
-        results.push({ scope: 'project', valid: false, error: error.message });
+        continue;
+      }
+      if (scope === 'project' && getServerEntry(config.mcpServers)) {
+        wrongSchema.push(`"mcpServers" in ${configPath} (VS Code reads "servers")`);
+      }
+
+      const section = this.getSection(config, scope);
+      const entry = section && getServerEntry(section.servers);
+      if (!entry) {
+        continue;
+      }
+      if (!entry.type) {
+        results.push({ scope, valid: false, error: `Entry in ${configPath} has no "type" field` });
+      } else {
+        results.push(this.validResult(entry, { scope }));
       }
     }
 
+    const schemaMessage = wrongSchema.length > 0
+      ? `Entries in the old schema: ${wrongSchema.join(', ')}. Run "spectator-mcp setup" to migrate them.`
+      : null;
+
     if (results.length === 0) {
-      return { valid: false, error: 'No configuration found' };
+      return { valid: false, error: schemaMessage || 'No configuration found' };
     }
 
-    const validConfig = results.find(r => r.valid);
-    return validConfig || results[0];
+    const result = results.find(r => r.valid) || results[0];
+    if (result.valid && schemaMessage) {
+      return { ...result, warning: [result.warning, schemaMessage].filter(Boolean).join('; ') };
+    }
+    return result;
   }
 
-  async remove() {
-    let removed = false;
-    
-    // Remove from both global and project configs
-    for (const scope of ['global', 'project']) {
-      const configPath = this.detector.getConfigPath('vscode', scope);
-      if (!configPath || !fs.existsSync(configPath)) {
+  async planRemove(options = {}) {
+    const changes = [];
+
+    for (const { scope, path: configPath } of this.getConfigPaths(options)) {
+      if (!fs.existsSync(configPath)) {
         continue;
       }
 
       const config = await this.readConfig(configPath);
-      if (config && config.mcpServers && config.mcpServers['spectator-voice-memory']) {
-        delete config.mcpServers['spectator-voice-memory'];
-        await this.writeConfig(configPath, config);
-        console.log(chalk.green(`✓ Removed Spectator from ${this.displayName} (${scope})`));
+      if (!config) {
+        continue;
+      }
+
+      let removed = this.removeLegacyEntries(config).length > 0;
+      const section = scope === 'legacy' ? null : this.getSection(config, scope);
+      if (section && removeServerEntries(section.servers).length > 0) {
         removed = true;
+        if (section.inputs) {
+          section.inputs = section.inputs.filter(input => input.id !== API_KEY_INPUT_ID);
+          if (section.inputs.length === 0) {
+            delete section.inputs;
+          }
+        }
       }
-    }
 
-    if (!removed) {
-      console.log(chalk.yellow('Spectator was not configured in VS Code'));
+      if (removed) {
+        changes.push(this.planWrite(configPath, config, { scope }));
+      }
     }
 
-    return removed;
+    return this.createPlan({ removed: changes.length > 0 }, changes);
   }
 
   getManualInstructions(apiKey) {
-    const globalPath = this.detector.getConfigPath('vscode', 'global');
-    const projectPath = this.detector.getConfigPath('vscode', 'project');
-    const config = JSON.stringify(this.getMcpServerConfig(apiKey), null, 2);
+    const settingsPath = this.getConfigPath('global');
+    const projectPath = this.getConfigPath('project');
+    const inputs = this.getInputs();
+    const workspaceConfig = {
+      ...(inputs.length > 0 ? { inputs } : {}),
+      servers: this.getMcpServerConfig(apiKey)
+    };
 
     return `
 ${chalk.bold('Manual Configuration for VS Code:')}
 
-${chalk.underline('Option 1: Project Configuration (recommended):')}
+${chalk.underline('Option 1: Workspace Configuration (recommended):')}
 1. Create/edit the file in your project:
    ${chalk.cyan(projectPath)}
 
-2. Add the following to the "mcpServers" section:
-
-${chalk.gray(config)}
+2. Add the "${SERVER_KEY}" server to the "servers" section${inputs.length > 0 ? ' and the input to "inputs"' : ''}:
 
-${chalk.underline('Option 2: Global Configuration (all projects):')}
-1. Create/edit the file:
-   ${chalk.cyan(globalPath)}
+${chalk.gray(JSON.stringify(workspaceConfig, null, 2))}
 
-2. Add the same configuration as above.
+${chalk.underline('Option 2: User Settings (all workspaces):')}
+1. Open your user settings.json (Command Palette → "Preferences: Open User Settings (JSON)"):
+   ${chalk.cyan(settingsPath)}
+   (Insiders and VSCodium keep theirs under "Code - Insiders" and "VSCodium")
 
-3. If the file doesn't exist, create it with:
+2. Add the same configuration under "mcp":
 
-${chalk.gray(JSON.stringify({ mcpServers: this.getMcpServerConfig(apiKey) }, null, 2))}
+${chalk.gray(JSON.stringify({ mcp: workspaceConfig }, null, 2))}
 
 ${chalk.underline('Alternative: Using Command Palette:')}
 1. Open Command Palette (Cmd/Ctrl + Shift + P)
@@ -145,4 +364,4 @@ Note: VS Code MCP support requires GitHub Copilot to be installed and active.
   }
 }
 
-module.exports = VSCodePlatform;
\ No newline at end of file
+module.exports = VSCodePlatform;
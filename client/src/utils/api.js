@@ -1,9 +1,14 @@
-const axios = require('axios');
 const chalk = require('chalk');
+const { probeServer } = require('./mcp-client');
+const { MCP_PATH, resolveEndpoint, formatServerUrl } = require('../config/endpoint');
+
+// A Spectator MCP URL: https://<endpoint>/mcp-server/mcp, then the key if
+// it holds one
+const SERVER_URL_PATTERN = new RegExp(`^(https?://.+?)${MCP_PATH}(?:/([^/?#\\s]+))?/?$`);
 
 class ApiValidator {
-  constructor() {
-    this.baseUrl = 'https://spectatorcontext.com';
+  constructor(baseUrl) {
+    this.baseUrl = resolveEndpoint(baseUrl);
   }
 
   async validateApiKey(apiKey) {
@@ -11,36 +16,39 @@ class ApiValidator {
       return { valid: false, error: 'API key is required' };
     }
 
-    try {
-      // Attempt to validate the API key by making a request to the MCP endpoint
-      const response = await axios.get(`${this.baseUrl}/mcp-server/mcp/${apiKey}`, {
-        timeout: 10000,
-        validateStatus: (status) => status < 500 // Don't throw on 4xx errors
-      });
-
-      if (response.status === 200) {
-        return { valid: true };
-      } else if (response.status === 401 || response.status === 403) {
-        return { valid: false, error: 'Invalid API key, please get a new one at spectatorcontext.com' };
-      } else {
-        return { valid: false, error: `Unexpected response: ${response.status}` };
-      }
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        return { valid: false, error: 'Cannot connect to Spectator API. Please check your internet connection.' };
-      }
-      return { valid: false, error: error.message };
-    }
+    const status = await this.checkConnection(apiKey);
+    return status.authenticated && !status.error
+      ? { valid: true }
+      : { valid: false, error: status.error };
+  }
+
+  /**
+   * Check an API key end to end with a real MCP handshake (initialize + tools/list)
+   * @param {string} apiKey - Spectator API key
+   * @returns {Promise<Object>} { reachable, authenticated, serverName, serverVersion, protocolVersion, toolCount, error }
+   */
+  async checkConnection(apiKey) {
+    return probeServer(this.formatApiUrl(apiKey), { timeout: 10000 });
+  }
+
+  /**
+   * Split a Spectator MCP URL into the endpoint it was written for and its key
+   * @param {string|null} url
+   * @returns {{ endpoint: string, apiKey: string|null }|null} null for any
+   *   other URL
+   */
+  static parseServerUrl(url) {
+    const match = typeof url === 'string' && url.match(SERVER_URL_PATTERN);
+    return match ? { endpoint: match[1], apiKey: match[2] || null } : null;
   }
 
   extractApiKeyFromUrl(url) {
-    // Extract API key from URL format: https://api.spectatorcontext.com/mcp-server/mcp/YOUR_API_KEY
-    const match = url.match(/\/mcp-server\/mcp\/([^\/\s]+)$/);
-    return match ? match[1] : null;
+    const parsed = ApiValidator.parseServerUrl(url);
+    return parsed ? parsed.apiKey : null;
   }
 
   formatApiUrl(apiKey) {
-    return `${this.baseUrl}/mcp-server/mcp/${apiKey}`;
+    return formatServerUrl(this.baseUrl, apiKey);
   }
 }
 
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const ApiValidator = require('./api');
+
+const API_KEY = 'sk_test_api_validator';
+
+// A Spectator server stand-in that accepts API_KEY in the URL path. It
+// answers initialize with JSON and tools/list as an SSE stream, as
+// streamable HTTP servers may.
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url !== `/mcp-server/mcp/${API_KEY}`) {
+        res.writeHead(401).end();
+        return;
+      }
+
+      const message = JSON.parse(body);
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+      } else if (message.method === 'initialize') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+        res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          id: message.id,
+          result: { protocolVersion: '2025-03-26', serverInfo: { name: 'stub', version: '1.2.3' }, capabilities: {} }
+        }));
+      } else {
+        const result = { tools: [{ name: 'search' }, { name: 'remember' }] };
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result })}\n\n`);
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, endpoint: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+test('checkConnection against a stub MCP server', async (t) => {
+  const stub = await startStubServer();
+  t.after(() => stub.server.close());
+  const validator = new ApiValidator(stub.endpoint);
+
+  await t.test('a valid key completes the handshake', async () => {
+    const status = await validator.checkConnection(API_KEY);
+    assert.strictEqual(status.error, undefined);
+    assert.strictEqual(status.reachable, true);
+    assert.strictEqual(status.authenticated, true);
+    assert.strictEqual(status.serverName, 'stub');
+    assert.strictEqual(status.serverVersion, '1.2.3');
+    assert.strictEqual(status.protocolVersion, '2025-03-26');
+    assert.strictEqual(status.toolCount, 2);
+  });
+
+  await t.test('a key the server rejects is reachable but not authenticated', async () => {
+    const status = await validator.checkConnection('sk_other_key');
+    assert.strictEqual(status.reachable, true);
+    assert.strictEqual(status.authenticated, false);
+    assert.strictEqual(status.error, `Invalid API key: ${new URL(stub.endpoint).host} rejected it (HTTP 401)`);
+  });
+
+  await t.test('validateApiKey reports the handshake result', async () => {
+    assert.deepStrictEqual(await validator.validateApiKey(API_KEY), { valid: true });
+    assert.strictEqual((await validator.validateApiKey('sk_other_key')).valid, false);
+    assert.deepStrictEqual(await validator.validateApiKey(''), { valid: false, error: 'API key is required' });
+  });
+});
+
+test('checkConnection to a server that is not running', async () => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const status = await new ApiValidator(`http://127.0.0.1:${port}`).checkConnection(API_KEY);
+  assert.strictEqual(status.reachable, false);
+  assert.strictEqual(status.authenticated, false);
+  assert.match(status.error, new RegExp(`^Cannot connect to 127\\.0\\.0\\.1:${port}: the connection was refused`));
+});
+
+test('extractApiKeyFromUrl', () => {
+  const validator = new ApiValidator();
+  assert.strictEqual(validator.extractApiKeyFromUrl('https://spectatorcontext.com/mcp-server/mcp/sk_abc'), 'sk_abc');
+  assert.strictEqual(validator.extractApiKeyFromUrl('http://localhost:8080/mcp-server/mcp/sk_abc'), 'sk_abc');
+  assert.strictEqual(validator.extractApiKeyFromUrl('https://spectatorcontext.com/mcp-server/mcp'), null);
+  assert.strictEqual(validator.extractApiKeyFromUrl('https://example.com/other'), null);
+  assert.strictEqual(validator.extractApiKeyFromUrl(null), null);
+});
+
+test('parseServerUrl', () => {
+  assert.deepStrictEqual(ApiValidator.parseServerUrl('https://spectatorcontext.com/mcp-server/mcp/sk_abc/'), { endpoint: 'https://spectatorcontext.com', apiKey: 'sk_abc' });
+  assert.deepStrictEqual(ApiValidator.parseServerUrl('http://localhost:8080/base/mcp-server/mcp'), { endpoint: 'http://localhost:8080/base', apiKey: null });
+  assert.strictEqual(ApiValidator.parseServerUrl('https://example.com/mcp-server/mcp/sk_abc?x=1'), null);
+  assert.strictEqual(ApiValidator.parseServerUrl(undefined), null);
+});
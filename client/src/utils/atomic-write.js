@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a file atomically: the content goes to a temp file in the same
+ * directory, is fsynced, then renamed over the target. Readers see either the
+ * old file or the new one, never a truncated mix.
+ * @param {string} filePath - Destination file
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {number} [options.mode] - Permission bits; defaults to the existing file's mode
+ * @param {number} [options.dirMode] - Permission bits for a newly created parent directory
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: options.dirMode });
+  }
+
+  let mode = options.mode;
+  if (mode === undefined && fs.existsSync(filePath)) {
+    mode = fs.statSync(filePath).mode & 0o777;
+  }
+
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  try {
+    const fd = fs.openSync(tempPath, 'w', mode === undefined ? 0o666 : mode);
+    try {
+      if (mode !== undefined) {
+        fs.fchmodSync(fd, mode);
+      }
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    // Cleanup can fail too (e.g. ENOTDIR when a parent is a file); the write's
+    // own error is the one to report
+    try {
+      fs.rmSync(tempPath, { force: true });
+    } catch {
+      // Nothing was left behind to remove
+    }
+    throw error;
+  }
+
+  syncDirectory(dir);
+}
+
+// Persist the rename itself. Directories can't be opened for fsync on
+// Windows, where rename durability is handled by the filesystem.
+function syncDirectory(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch {
+    // Best effort
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+module.exports = { writeFileAtomic };
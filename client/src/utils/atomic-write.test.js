@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { writeFileAtomic } = require('./atomic-write');
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-atomic-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('writes the file and its missing folders', (t) => {
+  const filePath = path.join(createDir(t), 'a', 'b', 'config.json');
+  writeFileAtomic(filePath, '{}');
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{}');
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['config.json']);
+});
+
+test('permissions', { skip: process.platform === 'win32' }, async (t) => {
+  const dir = createDir(t);
+
+  await t.test('an existing file keeps its mode', () => {
+    const filePath = path.join(dir, 'kept.json');
+    fs.writeFileSync(filePath, 'old', { mode: 0o640 });
+    fs.chmodSync(filePath, 0o640);
+    writeFileAtomic(filePath, 'new');
+    assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o640);
+  });
+
+  await t.test('mode and dirMode apply to what is created', () => {
+    const filePath = path.join(dir, 'private', 'secrets.json');
+    writeFileAtomic(filePath, 'key', { mode: 0o600, dirMode: 0o700 });
+    assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.strictEqual(fs.statSync(path.dirname(filePath)).mode & 0o777, 0o700);
+  });
+});
+
+test('a failed write leaves the file and no temp file behind', (t) => {
+  const dir = createDir(t);
+  const filePath = path.join(dir, 'config.json');
+  // Renaming over a folder fails
+  fs.mkdirSync(filePath);
+
+  assert.throws(() => writeFileAtomic(filePath, '{}'));
+  assert.deepStrictEqual(fs.readdirSync(dir), ['config.json']);
+  assert.strictEqual(fs.statSync(filePath).isDirectory(), true);
+});
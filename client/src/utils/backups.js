@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-write');
+
+const BACKUP_INFIX = '.backup.';
+
+// Backups live next to the config as <config>.backup.<Date.now()>
+function getBackupPath(configPath, timestamp = Date.now()) {
+  return `${configPath}${BACKUP_INFIX}${timestamp}`;
+}
+
+/**
+ * Copy a config file to a new timestamped backup
+ * @param {string} configPath - Config file to back up
+ * @returns {string|null} The backup path, or null if the config doesn't exist
+ */
+function createBackup(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  let timestamp = Date.now();
+  // Two writes in the same millisecond must not overwrite each other's backup
+  while (fs.existsSync(getBackupPath(configPath, timestamp))) {
+    timestamp++;
+  }
+
+  const backupPath = getBackupPath(configPath, timestamp);
+  fs.copyFileSync(configPath, backupPath);
+  return backupPath;
+}
+
+/**
+ * List the backups of a config file, newest first
+ * @param {string} configPath - Config file whose backups to list
+ * @returns {Array<{ path: string, configPath: string, timestamp: number, date: Date, size: number }>}
+ */
+function listBackups(configPath) {
+  const dir = path.dirname(configPath);
+  const prefix = `${path.basename(configPath)}${BACKUP_INFIX}`;
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+    .map(name => {
+      const backupPath = path.join(dir, name);
+      const timestamp = parseInt(name.slice(prefix.length), 10);
+      return {
+        path: backupPath,
+        configPath,
+        timestamp,
+        date: new Date(timestamp),
+        size: fs.statSync(backupPath).size
+      };
+    })
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Replace a config file with the content of one of its backups. The current
+ * config is backed up first so the restore itself can be undone.
+ * @param {Object} backup - An entry from listBackups
+ * @returns {string|null} Backup path of the config as it was before the restore
+ */
+function restoreBackup(backup) {
+  const previous = createBackup(backup.configPath);
+  writeFileAtomic(backup.configPath, fs.readFileSync(backup.path, 'utf8'));
+  return previous;
+}
+
+/**
+ * Pick the backups to delete. A backup is pruned if it is older than
+ * `olderThan` milliseconds or falls outside the newest `keep` backups.
+ * @param {Array<Object>} backups - Entries from listBackups (newest first)
+ * @param {Object} options
+ * @param {number} [options.olderThan] - Maximum age in milliseconds
+ * @param {number} [options.keep] - Number of newest backups to keep
+ * @param {number} [options.now=Date.now()] - Reference time for ages
+ * @returns {Array<Object>} The backups to delete
+ */
+function selectBackupsToPrune(backups, options = {}) {
+  const now = options.now || Date.now();
+  return backups.filter((backup, index) => {
+    if (options.keep !== undefined && index >= options.keep) {
+      return true;
+    }
+    return options.olderThan !== undefined && now - backup.timestamp > options.olderThan;
+  });
+}
+
+function deleteBackup(backup) {
+  fs.rmSync(backup.path, { force: true });
+}
+
+module.exports = {
+  getBackupPath,
+  createBackup,
+  listBackups,
+  restoreBackup,
+  selectBackupsToPrune,
+  deleteBackup
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const backups = require('./backups');
+
+function createConfig(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'mcp.json');
+  fs.writeFileSync(configPath, content);
+  return configPath;
+}
+
+test('backups are listed newest first, even when made in the same millisecond', (t) => {
+  const configPath = createConfig(t, 'first');
+  const older = backups.createBackup(configPath);
+  fs.writeFileSync(configPath, 'second');
+  const newer = backups.createBackup(configPath);
+  // Not a backup: the suffix isn't a timestamp
+  fs.writeFileSync(`${configPath}.backup.old`, '');
+
+  assert.notStrictEqual(older, newer);
+  assert.deepStrictEqual(backups.listBackups(configPath).map(backup => backup.path), [newer, older]);
+  assert.strictEqual(backups.createBackup(path.join(path.dirname(configPath), 'missing.json')), null);
+});
+
+test('restoring a backup backs up the current config first', (t) => {
+  const configPath = createConfig(t, 'good');
+  backups.createBackup(configPath);
+  const [backup] = backups.listBackups(configPath);
+  fs.writeFileSync(configPath, 'broken');
+
+  const previous = backups.restoreBackup(backup);
+  assert.strictEqual(fs.readFileSync(configPath, 'utf8'), 'good');
+  assert.strictEqual(fs.readFileSync(previous, 'utf8'), 'broken');
+});
+
+test('pruning by count and by age', () => {
+  const now = 10000;
+  const list = [9000, 5000, 1000].map(timestamp => ({ timestamp }));
+
+  assert.deepStrictEqual(backups.selectBackupsToPrune(list, { keep: 1, now }), list.slice(1));
+  assert.deepStrictEqual(backups.selectBackupsToPrune(list, { olderThan: 6000, now }), [list[2]]);
+  assert.deepStrictEqual(backups.selectBackupsToPrune(list, { keep: 2, olderThan: 2000, now }), list.slice(1));
+  assert.deepStrictEqual(backups.selectBackupsToPrune(list, { now }), []);
+});
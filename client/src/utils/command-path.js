@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// PATH of apps started by launchd on macOS, unless `launchctl setenv` changed it
+const MACOS_DESKTOP_PATH = '/usr/bin:/bin:/usr/sbin:/sbin';
+
+// Fallback for a Linux desktop session whose login profile can't be read
+const LINUX_DESKTOP_PATH = '/usr/local/bin:/usr/bin:/bin';
+
+const COMMAND_TIMEOUT = 10000;
+
+/**
+ * PATH an app started from the desktop (Dock, Finder, Start menu, a
+ * launcher) sees. It doesn't come from the shell's rc files, so tools set
+ * up there (nvm, Homebrew in ~/.zshrc, ...) are often missing from it.
+ * @param {string} platform - os.platform() value
+ * @param {string} homeDir
+ * @returns {string}
+ */
+function getDesktopPath(platform, homeDir) {
+  if (platform === 'win32') {
+    // Windows apps get the same user and system PATH as a new shell
+    return process.env.PATH || '';
+  }
+
+  if (platform === 'darwin') {
+    try {
+      const launchdPath = execFileSync('launchctl', ['getenv', 'PATH'], { encoding: 'utf8', timeout: COMMAND_TIMEOUT }).trim();
+      return launchdPath || MACOS_DESKTOP_PATH;
+    } catch {
+      return MACOS_DESKTOP_PATH;
+    }
+  }
+
+  // Linux desktop sessions read the login profile (/etc/profile,
+  // ~/.profile), but not ~/.bashrc
+  try {
+    const loginPath = execFileSync('/bin/sh', ['-lc', 'printf %s "$PATH"'], {
+      encoding: 'utf8',
+      timeout: COMMAND_TIMEOUT,
+      cwd: homeDir,
+      env: { HOME: homeDir, USER: process.env.USER || '', LOGNAME: process.env.LOGNAME || '' },
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    return loginPath || LINUX_DESKTOP_PATH;
+  } catch {
+    return LINUX_DESKTOP_PATH;
+  }
+}
+
+function isExecutable(filePath, platform) {
+  try {
+    if (!fs.statSync(filePath).isFile()) {
+      return false;
+    }
+    if (platform !== 'win32') {
+      fs.accessSync(filePath, fs.constants.X_OK);
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find a command the way a shell would in a given PATH
+ * @param {string} command - Command name, or a path to an executable
+ * @param {string} searchPath - PATH value to search
+ * @param {string} platform - os.platform() value
+ * @returns {string|null} Absolute path of the executable, or null
+ */
+function findCommand(command, searchPath, platform) {
+  const extensions = platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').map(ext => ext.toLowerCase())]
+    : [''];
+
+  if (path.isAbsolute(command)) {
+    const found = extensions.map(ext => `${command}${ext}`).find(candidate => isExecutable(candidate, platform));
+    return found || null;
+  }
+
+  const delimiter = platform === 'win32' ? ';' : ':';
+  for (const folder of searchPath.split(delimiter).filter(Boolean)) {
+    for (const ext of extensions) {
+      const candidate = path.join(folder, `${command}${ext}`);
+      if (isExecutable(candidate, platform)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Run an executable with a PATH of its own and return its trimmed output
+ * @param {string} executable - Absolute path
+ * @param {string[]} args
+ * @param {string} searchPath - PATH it runs with (e.g. npx finding node)
+ * @returns {string|null} Output, or null when it fails
+ */
+function runWithPath(executable, args, searchPath) {
+  try {
+    return execFileSync(executable, args, {
+      encoding: 'utf8',
+      timeout: COMMAND_TIMEOUT,
+      env: { ...process.env, PATH: searchPath },
+      stdio: ['ignore', 'pipe', 'ignore'],
+      shell: process.platform === 'win32'
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  getDesktopPath,
+  findCommand,
+  runWithPath
+};
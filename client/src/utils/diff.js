@@ -0,0 +1,56 @@
+const { createTwoFilesPatch } = require('diff');
+const chalk = require('chalk');
+
+/**
+ * Build a unified diff for a planned file change
+ * @param {Object} change - A change from a platform plan ({ path, before, after })
+ * @param {Object} [labels] - Header labels for the old and new side
+ * @param {string} [labels.oldLabel='current']
+ * @param {string} [labels.newLabel='planned']
+ * @returns {string} Unified diff text, empty if the file would not change
+ */
+function createUnifiedDiff(change, { oldLabel = 'current', newLabel = 'planned' } = {}) {
+  const before = change.before || '';
+  const after = change.after || '';
+  if (before === after) {
+    return '';
+  }
+
+  const oldName = change.before === null ? '/dev/null' : change.path;
+  const newName = change.after === null ? '/dev/null' : change.path;
+  return createTwoFilesPatch(oldName, newName, ensureNewline(before), ensureNewline(after), oldLabel, newLabel)
+    // Drop the "Index:" and "====" preamble; keep the standard ---/+++ headers
+    .split('\n')
+    .filter(line => !line.startsWith('Index: ') && !line.startsWith('===='))
+    .join('\n')
+    .trimEnd();
+}
+
+/**
+ * Colorize a unified diff for terminal output
+ * @param {string} diffText - Output of createUnifiedDiff
+ * @returns {string}
+ */
+function colorizeDiff(diffText) {
+  return diffText
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    })
+    .join('\n');
+}
+
+// Config files are written without a trailing newline; add one so the diff
+// doesn't report "\ No newline at end of file" on every change
+function ensureNewline(text) {
+  return text && !text.endsWith('\n') ? `${text}\n` : text;
+}
+
+module.exports = {
+  createUnifiedDiff,
+  colorizeDiff
+};
@@ -0,0 +1,26 @@
+// Process exit codes, one per failure class (documented in README.md; never renumber)
+const EXIT_CODES = {
+  SUCCESS: 0,
+  // Unexpected error (bug, unreadable file, ...)
+  ERROR: 1,
+  // Invalid or missing arguments, or input that would need a prompt in --json mode
+  USAGE: 2,
+  // No supported platform detected, or a requested platform is not installed
+  NO_PLATFORMS: 3,
+  // A config file could not be planned or written; the run was rolled back
+  CONFIG_FAILED: 4,
+  // validate: at least one installed platform has no valid Spectator entry
+  NOT_CONFIGURED: 5,
+  // A live MCP handshake or API key verification failed
+  CONNECTION_FAILED: 6,
+  // Node.js or npx is missing or too old
+  UNSUPPORTED_ENVIRONMENT: 7,
+  // scan: an API key was found in tracked files or in the history
+  SECRETS_FOUND: 8,
+  // doctor: at least one check failed
+  CHECKS_FAILED: 9,
+  // apply --check or status: the configs differ from what they should be
+  DRIFT_DETECTED: 10
+};
+
+module.exports = EXIT_CODES;
@@ -0,0 +1,116 @@
+const path = require('path');
+const { parseJsonc, updateJsonc } = require('./jsonc');
+const { parseYaml, stringifyYaml, updateYaml } = require('./yaml');
+const { parseToml, stringifyToml, updateToml } = require('./toml');
+const { parseJetBrainsXml, stringifyJetBrainsXml, updateJetBrainsXml } = require('./jetbrains-xml');
+const { isEqual } = require('./value-edits');
+
+// Config file formats: parse, stringify a new document, and update an
+// existing one editing only the values that changed
+const FORMATS = {};
+
+// Format of a config file by its extension
+const EXTENSIONS = {};
+
+/**
+ * Add (or replace) a config format
+ * @param {string} name - Name platforms declare it by
+ * @param {Object} handler - { parse(text), stringify(value), update(text, value) }
+ * @param {string[]} [extensions] - File extensions it is chosen for, e.g. ['.yml']
+ */
+function registerFormat(name, handler, extensions = []) {
+  for (const method of ['parse', 'stringify', 'update']) {
+    if (typeof handler[method] !== 'function') {
+      throw new Error(`Config format "${name}" has no ${method}() method`);
+    }
+  }
+
+  FORMATS[name] = { ...handler, name };
+  extensions.forEach(extension => {
+    EXTENSIONS[extension.toLowerCase()] = name;
+  });
+}
+
+registerFormat('json', {
+  parse: parseJsonc,
+  stringify: value => JSON.stringify(value, null, 2),
+  update: updateJsonc
+}, ['.json', '.jsonc']);
+
+registerFormat('yaml', {
+  parse: parseYaml,
+  stringify: stringifyYaml,
+  update: updateYaml
+}, ['.yaml', '.yml']);
+
+registerFormat('toml', {
+  parse: parseToml,
+  stringify: stringifyToml,
+  update: updateToml
+}, ['.toml']);
+
+// JetBrains AI Assistant's MCP settings; declared by the platform, as other
+// XML files are not in this layout
+registerFormat('jetbrains-xml', {
+  parse: parseJetBrainsXml,
+  stringify: stringifyJetBrainsXml,
+  update: updateJetBrainsXml
+});
+
+/**
+ * Get the handler for a config format
+ * @param {string} name
+ * @returns {{ name: string, parse: Function, stringify: Function, update: Function }}
+ */
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown config format "${name}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Get the handler for a config file: the declared format if any, else the
+ * one registered for its extension, else JSON
+ * @param {string|null} declared - Format name a platform declares
+ * @param {string} [filePath]
+ * @returns {{ name: string, parse: Function, stringify: Function, update: Function }}
+ */
+function resolveFormat(declared, filePath) {
+  if (declared) {
+    return getFormat(declared);
+  }
+  const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+  return getFormat(EXTENSIONS[extension] || 'json');
+}
+
+/**
+ * Serialize a config with a format: a new document, or an update of the
+ * original one. The result is read back and must hold exactly `value`, so a
+ * handler can never write something other than what was asked for.
+ * @param {Object} format - Handler from getFormat()/resolveFormat()
+ * @param {*} value - The complete config
+ * @param {string|null} [original] - Current document
+ * @returns {string}
+ */
+function serializeWith(format, value, original = null) {
+  const text = original && original.trim() ? format.update(original, value) : format.stringify(value);
+  let readBack;
+  try {
+    readBack = format.parse(text);
+  } catch (error) {
+    throw new Error(`The edited file would not be valid ${format.name}: ${error.message}`);
+  }
+  if (!isEqual(readBack, value)) {
+    throw new Error('The edited file would not read back as the intended configuration');
+  }
+  return text;
+}
+
+module.exports = {
+  registerFormat,
+  getFormat,
+  resolveFormat,
+  serializeWith
+};
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { getFormat, serializeWith } = require('./formats');
+
+// Golden files: fixtures/<format>/<case>.input.<ext> is edited by the case's
+// change and must come out as <case>.expected.<ext>. After an intended
+// change in output, UPDATE_GOLDEN=1 npm test rewrites the expected files;
+// review their diff before committing.
+const FIXTURES = path.join(__dirname, 'fixtures');
+const EXTENSIONS = { json: 'json', yaml: 'yaml', toml: 'toml', 'jetbrains-xml': 'xml' };
+
+const ENTRY = { url: 'https://spectatorcontext.com/mcp-server/mcp/NEW_KEY' };
+const STDIO_ENTRY = { command: 'npx', args: ['-y', 'mcp-remote', ENTRY.url] };
+
+const CASES = {
+  json: [
+    { name: 'add-server', change: config => { config.mcpServers['spectator-voice-memory'] = ENTRY; }, crlf: true },
+    { name: 'update-url', change: config => { config.mcpServers['spectator-voice-memory'].url = ENTRY.url; } },
+    { name: 'remove-server', change: config => { delete config.mcpServers['spectator-voice-memory']; }, crlf: true },
+    { name: 'remove-array-item', change: config => { config.servers.splice(1, 1); }, crlf: true },
+    { name: 'remove-last-member', change: config => { delete config.mcpServers['spectator-voice-memory']; } },
+    { name: 'tabs', change: config => { config.mcpServers['spectator-voice-memory'] = ENTRY; } },
+    { name: 'empty-object', change: config => { config.mcpServers = { 'spectator-voice-memory': ENTRY }; } }
+  ],
+  yaml: [
+    {
+      name: 'add-extension',
+      change: config => { config.extensions['spectator-voice-memory'] = { enabled: true, type: 'streamable_http', uri: ENTRY.url }; },
+      crlf: true
+    },
+    { name: 'update-value', change: config => { config.extensions['spectator-voice-memory'].uri = ENTRY.url; } },
+    { name: 'remove-entry', change: config => { delete config.extensions['spectator-voice-memory']; }, crlf: true },
+    { name: 'remove-first-entry', change: config => { delete config['spectator-voice-memory']; } },
+    { name: 'list-add', change: config => { config.mcpServers.push({ name: 'spectator-voice-memory', type: 'streamable-http', url: ENTRY.url }); } },
+    { name: 'list-remove', change: config => { config.mcpServers.shift(); } }
+  ],
+  toml: [
+    { name: 'add-table', change: config => { config.mcp_servers['spectator-voice-memory'] = ENTRY; }, crlf: true },
+    { name: 'update-statement', change: config => { config.mcp_servers['spectator-voice-memory'].url = ENTRY.url; } },
+    { name: 'remove-table', change: config => { delete config.mcp_servers['spectator-voice-memory']; }, crlf: true },
+    { name: 'remove-last-table', change: config => { delete config.mcp_servers['spectator-voice-memory']; }, crlf: true },
+    { name: 'remove-only-table', change: config => { delete config.mcp_servers['spectator-voice-memory']; }, crlf: true },
+    { name: 'remove-only-quoted-table', change: config => { delete config.mcp_servers['spectator-voice-memory']; } },
+    { name: 'root-key', change: config => { config.model = 'o3'; } },
+    { name: 'dotted-keys-add', change: config => { config.mcp_servers['spectator-voice-memory'] = ENTRY; } },
+    {
+      name: 'dotted-keys-remove',
+      change: config => { delete config.mcp_servers['spectator-voice-memory']; },
+      error: /Cannot edit "mcp_servers\.spectator-voice-memory" in place/
+    }
+  ],
+  'jetbrains-xml': [
+    { name: 'add-server', change: config => { config.mcpServers['spectator-voice-memory'] = STDIO_ENTRY; }, crlf: true },
+    { name: 'update-args', change: config => { config.mcpServers['spectator-voice-memory'].args = STDIO_ENTRY.args; } },
+    { name: 'remove-server', change: config => { delete config.mcpServers['spectator-voice-memory']; }, crlf: true },
+    { name: 'add-component', change: config => { config.mcpServers['spectator-voice-memory'] = STDIO_ENTRY; } },
+    { name: 'empty-commands', change: config => { config.mcpServers['spectator-voice-memory'] = STDIO_ENTRY; } },
+    {
+      name: 'remote-entry',
+      change: config => { config.mcpServers['spectator-voice-memory'] = ENTRY; },
+      error: /no "url" field/
+    }
+  ]
+};
+
+// New documents written from scratch
+const NEW_DOCUMENTS = {
+  json: { mcpServers: { 'spectator-voice-memory': ENTRY } },
+  yaml: { extensions: { 'spectator-voice-memory': { enabled: true, type: 'streamable_http', uri: ENTRY.url, timeout: 300 } } },
+  toml: { model: 'o3', mcp_servers: { 'spectator-voice-memory': ENTRY, other: { command: 'uvx', args: ['x'] } } },
+  'jetbrains-xml': { mcpServers: { 'spectator-voice-memory': STDIO_ENTRY, other: { command: 'uvx', args: [], env: { A: '"b" & <c>' } } } }
+};
+
+function fixturePath(format, name) {
+  return path.join(FIXTURES, format, `${name}.${EXTENSIONS[format]}`);
+}
+
+function readFixture(format, name) {
+  return fs.readFileSync(fixturePath(format, name), 'utf8');
+}
+
+function assertGolden(format, name, actual) {
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(fixturePath(format, name), actual);
+    return;
+  }
+  assert.strictEqual(actual, readFixture(format, name));
+}
+
+const toCrlf = text => text.replace(/\r?\n/g, '\r\n');
+
+for (const [formatName, cases] of Object.entries(CASES)) {
+  const format = getFormat(formatName);
+
+  test(`${formatName} format`, async (t) => {
+    for (const { name, change, crlf, error } of cases) {
+      const input = readFixture(formatName, `${name}.input`);
+      const edit = text => {
+        const config = format.parse(text);
+        change(config);
+        return serializeWith(format, config, text);
+      };
+
+      await t.test(name, () => {
+        if (error) {
+          assert.throws(() => edit(input), error);
+          return;
+        }
+        assertGolden(formatName, `${name}.expected`, edit(input));
+      });
+
+      await t.test(`${name}: unchanged value leaves the file as it is`, () => {
+        assert.strictEqual(serializeWith(format, format.parse(input), input), input);
+      });
+
+      if (crlf) {
+        await t.test(`${name}: keeps CRLF line endings`, () => {
+          const expected = toCrlf(readFixture(formatName, `${name}.expected`));
+          assert.strictEqual(edit(toCrlf(input)), expected);
+        });
+      }
+    }
+
+    await t.test('new document', () => {
+      const value = NEW_DOCUMENTS[formatName];
+      const text = serializeWith(format, value);
+      // Compared as plain data: the TOML parser returns null-prototype objects
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(format.parse(text))), value);
+      assertGolden(formatName, 'new.expected', text);
+    });
+  });
+}
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Plenty for local queries, even a history search of a large repository
+const GIT_TIMEOUT = 120000;
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+// Run git in a folder, as { status, stdout, stderr }, or null when git can't be run
+function runGit(cwd, args) {
+  const result = spawnSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    timeout: GIT_TIMEOUT,
+    maxBuffer: GIT_MAX_BUFFER
+  });
+  if (result.error) {
+    return null;
+  }
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Nearest existing folder at or above a path (files need not exist yet)
+function existingFolder(filePath) {
+  let folder = filePath;
+  while (!(fs.existsSync(folder) && fs.statSync(folder).isDirectory())) {
+    const parent = path.dirname(folder);
+    if (parent === folder) {
+      break;
+    }
+    folder = parent;
+  }
+  return folder;
+}
+
+/**
+ * Top folder of the git work tree a path is in
+ * @param {string} filePath - File or folder, which doesn't need to exist yet
+ * @returns {string|null} Null outside a work tree, or when git isn't installed
+ */
+function findWorkTree(filePath) {
+  const result = runGit(existingFolder(filePath), ['rev-parse', '--show-toplevel']);
+  return result && result.status === 0 ? path.resolve(result.stdout.trim()) : null;
+}
+
+/**
+ * Where a file stands in git
+ * @param {string} filePath - Absolute path, which doesn't need to exist yet
+ * @returns {{ root: string, relativePath: string, tracked: boolean, ignored: boolean }|null}
+ *   The work tree, the path inside it (forward slashes), and whether git
+ *   tracks or ignores the file; null outside a work tree or without git
+ */
+function getFileStatus(filePath) {
+  const cwd = existingFolder(path.dirname(filePath));
+  const info = runGit(cwd, ['rev-parse', '--show-toplevel', '--show-prefix']);
+  if (!info || info.status !== 0) {
+    return null;
+  }
+
+  const [root, prefix = ''] = info.stdout.split('\n');
+  const relative = path.relative(cwd, filePath).split(path.sep).join('/');
+  const tracked = runGit(cwd, ['ls-files', '--error-unmatch', '--', relative]).status === 0;
+  const ignored = !tracked && runGit(cwd, ['check-ignore', '-q', '--', relative]).status === 0;
+
+  return { root: path.resolve(root), relativePath: `${prefix}${relative}`, tracked, ignored };
+}
+
+// Run a git search; exit status 1 means "nothing found"
+function search(root, args) {
+  const result = runGit(root, args);
+  if (!result) {
+    throw new Error('git is not installed or could not be run');
+  }
+  if (result.status > 1) {
+    throw new Error(`git ${args[0]} failed: ${result.stderr.trim()}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * Search the tracked files of a work tree (their current content)
+ * @param {string} root - Work tree folder
+ * @param {string} pattern - POSIX extended regular expression
+ * @returns {Array<{ path: string, line: number, text: string }>} Matching lines
+ */
+function grepTracked(root, pattern) {
+  return search(root, ['grep', '-I', '-n', '--full-name', '--no-color', '-E', '-e', pattern])
+    .split('\n')
+    .map(line => line.match(/^(.+?):(\d+):(.*)$/))
+    .filter(Boolean)
+    .map(([, filePath, line, text]) => ({ path: filePath, line: Number(line), text }));
+}
+
+/**
+ * Search every commit reachable from any ref for lines added that match a
+ * pattern
+ * @param {string} root - Work tree folder
+ * @param {string} pattern - POSIX extended regular expression
+ * @returns {Array<{ commit: string, date: string, path: string, text: string }>} Added lines
+ */
+function searchHistory(root, pattern) {
+  const output = search(root, [
+    'log', '--all', '-p', '--no-color', '--no-ext-diff', '--no-renames',
+    '-E', `-G${pattern}`, '--format=commit %H %cI'
+  ]);
+  const matcher = new RegExp(pattern);
+
+  const found = [];
+  let commit = null;
+  let date = null;
+  let filePath = null;
+  for (const line of output.split('\n')) {
+    if (line.startsWith('commit ')) {
+      [, commit, date] = line.split(' ');
+    } else if (line.startsWith('+++ ')) {
+      filePath = line === '+++ /dev/null' ? null : line.slice(6);
+    } else if (line.startsWith('+') && filePath && matcher.test(line)) {
+      found.push({ commit, date, path: filePath, text: line.slice(1) });
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  findWorkTree,
+  getFileStatus,
+  grepTracked,
+  searchHistory
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+const HEADER = '# Spectator MCP configs (they hold an API key)';
+
+// Whether a .gitignore line already covers a path: the path itself or one
+// of its parent folders, anchored or not
+function covers(line, pattern) {
+  const rule = line.replace(/^\//, '').replace(/\/$/, '');
+  return rule === pattern || pattern.startsWith(`${rule}/`);
+}
+
+/**
+ * Plan adding files to a repository's .gitignore. Lines already covering a
+ * file (the file or a parent folder) are kept as they are.
+ * @param {string} root - Repository folder
+ * @param {string[]} files - Paths relative to the repository, with forward slashes
+ * @returns {Object|null} Change of { path, before, after, added }, or null
+ *   when every file is already listed
+ */
+function planGitignore(root, files) {
+  const gitignorePath = path.join(root, '.gitignore');
+  const before = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : null;
+  const lines = (before || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('!'));
+
+  const added = [...new Set(files)]
+    .filter(pattern => !lines.some(line => covers(line, pattern)));
+  if (added.length === 0) {
+    return null;
+  }
+
+  const eol = before && before.includes('\r\n') ? '\r\n' : '\n';
+  let after = before || '';
+  if (after && !after.endsWith('\n')) {
+    after += eol;
+  }
+  if (after.trim() && !after.includes(HEADER)) {
+    after += eol;
+  }
+  if (!after.includes(HEADER)) {
+    after += `${HEADER}${eol}`;
+  }
+  after += added.map(pattern => `${pattern}${eol}`).join('');
+
+  return { path: gitignorePath, before, after, added };
+}
+
+module.exports = {
+  planGitignore
+};
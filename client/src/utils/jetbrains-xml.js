@@ -0,0 +1,309 @@
+const { isEqual } = require('./value-edits');
+
+// The IDE settings file JetBrains AI Assistant keeps its MCP servers in
+// (options/llm.mcpServers.xml), read as { mcpServers: { <name>: { command,
+// args, env, enabled } } }. Updates rewrite only the servers that changed.
+const COMPONENT = 'McpApplicationServerCommands';
+const SERVER = 'McpServerCommand';
+const SERVER_FIELDS = ['command', 'args', 'env', 'enabled'];
+const INDENT = '  ';
+
+// A comment, a declaration, or a start, end or empty-element tag
+const TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decode(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return name in ENTITIES ? ENTITIES[name] : match;
+  });
+}
+
+function encode(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\n/g, '&#10;');
+}
+
+function lineOf(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+// The <application> element as a tree of { name, attributes, children } with
+// offsets into the text (closeStart is null for an empty-element tag)
+function parseDocument(text) {
+  const top = { children: [] };
+  const stack = [top];
+  let last = 0;
+
+  for (const match of text.matchAll(TOKEN)) {
+    if (text.slice(last, match.index).includes('<')) {
+      throw new Error(`Malformed tag on line ${lineOf(text, last + text.slice(last, match.index).indexOf('<'))}`);
+    }
+    last = match.index + match[0].length;
+
+    const [, closing, name, attributes, empty] = match;
+    if (!name) {
+      continue;
+    }
+    const parent = stack[stack.length - 1];
+    if (closing) {
+      if (parent === top || parent.name !== name) {
+        throw new Error(`Unexpected </${name}> on line ${lineOf(text, match.index)}`);
+      }
+      parent.closeStart = match.index;
+      parent.end = last;
+      stack.pop();
+      continue;
+    }
+
+    const element = {
+      name,
+      attributes: Object.fromEntries([...attributes.matchAll(ATTRIBUTE)]
+        .map(([, key, double, single]) => [key, decode(double !== undefined ? double : single)])),
+      children: [],
+      start: match.index,
+      end: last,
+      closeStart: null
+    };
+    parent.children.push(element);
+    if (!empty) {
+      stack.push(element);
+    }
+  }
+
+  if (text.slice(last).includes('<')) {
+    throw new Error(`Malformed tag on line ${lineOf(text, last + text.slice(last).indexOf('<'))}`);
+  }
+  if (stack.length > 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  }
+  const [application] = top.children;
+  if (top.children.length !== 1 || application.name !== 'application') {
+    throw new Error('Expected a single <application> element');
+  }
+  return application;
+}
+
+function findChild(element, name, attributes = {}) {
+  return element && element.children.find(child =>
+    child.name === name && Object.entries(attributes).every(([key, value]) => child.attributes[key] === value));
+}
+
+// The elements servers live in; component and commands are undefined when
+// the file doesn't have them yet
+function findServers(application) {
+  const component = findChild(application, 'component', { name: COMPONENT });
+  const commands = findChild(component, 'commands');
+  const servers = commands ? commands.children.filter(child => child.name === SERVER) : [];
+  return { component, commands, servers };
+}
+
+// A <McpServerCommand> as its name and entry (name is null when it has none)
+function readServer(element) {
+  const entry = {};
+  let name = null;
+  for (const option of element.children.filter(child => child.name === 'option')) {
+    const { name: key, value } = option.attributes;
+    const [container] = option.children;
+    if (key === 'name' && value !== undefined) {
+      name = value;
+    } else if (key === 'command' && value !== undefined) {
+      entry.command = value;
+    } else if (key === 'enabled' && value !== undefined) {
+      entry.enabled = value === 'true';
+    } else if (key === 'args' && container && container.name === 'list') {
+      entry.args = container.children
+        .filter(item => item.name === 'option')
+        .map(item => item.attributes.value || '');
+    } else if (key === 'env' && container && container.name === 'map') {
+      entry.env = Object.fromEntries(container.children
+        .filter(item => item.name === 'entry' && item.attributes.key !== undefined)
+        .map(item => [item.attributes.key, item.attributes.value || '']));
+    }
+  }
+  return { name, entry };
+}
+
+// Lines of a <McpServerCommand>, its options in the order the IDE writes them
+function formatServer(name, entry, indent) {
+  const unsupported = Object.keys(entry).find(key => entry[key] !== undefined && !SERVER_FIELDS.includes(key));
+  if (unsupported) {
+    throw new Error(`AI Assistant settings have no "${unsupported}" field for a server`);
+  }
+
+  const inner = indent + INDENT;
+  const item = inner + INDENT + INDENT;
+  const lines = [`${indent}<${SERVER}>`];
+  if (entry.args) {
+    lines.push(`${inner}<option name="args">`);
+    if (entry.args.length > 0) {
+      lines.push(`${inner}${INDENT}<list>`, ...entry.args.map(arg => `${item}<option value="${encode(arg)}" />`), `${inner}${INDENT}</list>`);
+    } else {
+      lines.push(`${inner}${INDENT}<list />`);
+    }
+    lines.push(`${inner}</option>`);
+  }
+  if (entry.command !== undefined) {
+    lines.push(`${inner}<option name="command" value="${encode(entry.command)}" />`);
+  }
+  if (entry.enabled !== undefined) {
+    lines.push(`${inner}<option name="enabled" value="${Boolean(entry.enabled)}" />`);
+  }
+  if (entry.env) {
+    const env = Object.entries(entry.env);
+    lines.push(`${inner}<option name="env">`);
+    if (env.length > 0) {
+      lines.push(`${inner}${INDENT}<map>`, ...env.map(([key, value]) => `${item}<entry key="${encode(key)}" value="${encode(value)}" />`), `${inner}${INDENT}</map>`);
+    } else {
+      lines.push(`${inner}${INDENT}<map />`);
+    }
+    lines.push(`${inner}</option>`);
+  }
+  lines.push(`${inner}<option name="name" value="${encode(name)}" />`, `${indent}</${SERVER}>`);
+  return lines;
+}
+
+function formatCommands(servers, indent) {
+  const entries = Object.entries(servers);
+  if (entries.length === 0) {
+    return [`${indent}<commands />`];
+  }
+  return [
+    `${indent}<commands>`,
+    ...entries.flatMap(([name, entry]) => formatServer(name, entry, indent + INDENT)),
+    `${indent}</commands>`
+  ];
+}
+
+function formatComponent(servers, indent) {
+  return [
+    `${indent}<component name="${COMPONENT}">`,
+    ...formatCommands(servers, indent + INDENT),
+    `${indent}</component>`
+  ];
+}
+
+/**
+ * Parse an AI Assistant MCP settings file
+ * @param {string} text
+ * @returns {{ mcpServers: Object }}
+ */
+function parseJetBrainsXml(text) {
+  const mcpServers = {};
+  if (!text.trim()) {
+    return { mcpServers };
+  }
+
+  for (const element of findServers(parseDocument(text)).servers) {
+    const { name, entry } = readServer(element);
+    if (name !== null && !(name in mcpServers)) {
+      mcpServers[name] = entry;
+    }
+  }
+  return { mcpServers };
+}
+
+/**
+ * Write a new AI Assistant MCP settings file
+ * @param {{ mcpServers: Object }} value
+ * @returns {string}
+ */
+function stringifyJetBrainsXml(value) {
+  return ['<application>', ...formatComponent(value.mcpServers || {}, INDENT), '</application>', ''].join('\n');
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function indentOf(text, element) {
+  return text.slice(lineStart(text, element.start), element.start).match(/^[ \t]*/)[0];
+}
+
+// Edit taking out an element, with its line when it has one to itself
+function removeElement(text, element) {
+  const start = lineStart(text, element.start);
+  const newline = text.indexOf('\n', element.end);
+  const end = newline === -1 ? text.length : newline + 1;
+  if (text.slice(start, element.start).trim() || text.slice(element.end, end).trim()) {
+    return { start: element.start, end: element.end, text: '' };
+  }
+  return { start, end, text: '' };
+}
+
+// Edit adding lines at the end of an element, formatted one level deeper
+function appendChildren(text, parent, format, eol) {
+  const indent = indentOf(text, parent);
+  const lines = format(indent + INDENT);
+  if (parent.closeStart === null) {
+    const open = text.slice(parent.start, parent.end).replace(/\s*\/>$/, '>');
+    return { start: parent.start, end: parent.end, text: [open, ...lines, `${indent}</${parent.name}>`].join(eol) };
+  }
+
+  const closeLine = lineStart(text, parent.closeStart);
+  if (!text.slice(closeLine, parent.closeStart).trim()) {
+    return { start: closeLine, end: closeLine, text: lines.map(line => line + eol).join('') };
+  }
+  return { start: parent.closeStart, end: parent.closeStart, text: eol + lines.join(eol) + eol + indent };
+}
+
+/**
+ * Update an AI Assistant MCP settings file to hold `value`, rewriting only
+ * the servers that changed
+ * @param {string} text
+ * @param {{ mcpServers: Object }} value
+ * @returns {string}
+ */
+function updateJetBrainsXml(text, value) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const servers = value.mcpServers || {};
+  const application = parseDocument(text);
+  const { component, commands, servers: elements } = findServers(application);
+  const edits = [];
+  const seen = new Set();
+
+  for (const element of elements) {
+    const { name, entry } = readServer(element);
+    if (name === null || seen.has(name)) {
+      continue;
+    }
+    seen.add(name);
+    if (!(name in servers)) {
+      edits.push(removeElement(text, element));
+    } else if (!isEqual(entry, servers[name])) {
+      const indent = indentOf(text, element);
+      const lines = formatServer(name, servers[name], indent).join(eol);
+      edits.push({ start: element.start, end: element.end, text: lines.slice(indent.length) });
+    }
+  }
+
+  const added = Object.fromEntries(Object.entries(servers).filter(([name]) => !seen.has(name)));
+  if (Object.keys(added).length > 0) {
+    if (commands) {
+      edits.push(appendChildren(text, commands, indent =>
+        Object.entries(added).flatMap(([name, entry]) => formatServer(name, entry, indent)), eol));
+    } else if (component) {
+      edits.push(appendChildren(text, component, indent => formatCommands(added, indent), eol));
+    } else {
+      edits.push(appendChildren(text, application, indent => formatComponent(added, indent), eol));
+    }
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
+
+module.exports = {
+  parseJetBrainsXml,
+  stringifyJetBrainsXml,
+  updateJetBrainsXml
+};
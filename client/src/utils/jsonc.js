@@ -0,0 +1,179 @@
+const { parse, parseTree, findNodeAtLocation, modify, applyEdits, printParseErrorCode } = require('jsonc-parser');
+const { collectEdits } = require('./value-edits');
+
+/**
+ * Parse JSON with comments and trailing commas (VS Code style JSONC)
+ * @param {string} text
+ * @returns {*} The parsed value (undefined for an empty document)
+ */
+function parseJsonc(text) {
+  const errors = [];
+  const value = parse(text, errors, { allowTrailingComma: true, disallowComments: false });
+  if (errors.length > 0) {
+    const { error, offset } = errors[0];
+    const before = text.slice(0, offset).split('\n');
+    throw new Error(`${printParseErrorCode(error)} at line ${before.length}, column ${before[before.length - 1].length + 1}`);
+  }
+  return value;
+}
+
+/**
+ * Detect how a document is formatted, so inserted values match it
+ * @param {string} text
+ * @returns {Object} jsonc-parser formatting options ({ insertSpaces, tabSize, eol })
+ */
+function detectFormatting(text) {
+  const indent = (text.match(/\n([ \t]+)\S/) || [])[1] || '  ';
+  return {
+    insertSpaces: !indent.startsWith('\t'),
+    tabSize: indent.startsWith('\t') ? 1 : indent.length,
+    eol: text.includes('\r\n') ? '\r\n' : '\n'
+  };
+}
+
+// Leading whitespace of the line containing `offset`
+function lineIndent(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// JSON text for a value inserted at `indent`, using the document's style
+function stringifyAt(value, indent, formatting) {
+  const unit = formatting.insertSpaces ? ' '.repeat(formatting.tabSize) : '\t';
+  return JSON.stringify(value, null, unit).split('\n').join(formatting.eol + indent);
+}
+
+// Edits appending a member (`"key": value` or an array item) after the last
+// child of a non-empty container, on its own line after any trailing comma
+// or comment, so no existing line is rewritten
+function appendEdits(text, container, memberFor, formatting) {
+  const last = container.children[container.children.length - 1];
+  const end = last.offset + last.length;
+  const closing = container.offset + container.length - 1;
+
+  let cursor = end;
+  while (cursor < closing && /[ \t]/.test(text[cursor])) {
+    cursor++;
+  }
+  const hasComma = text[cursor] === ',';
+
+  // Inline containers like { "a": 1 } stay on one line
+  if (!text.slice(container.offset, end).includes('\n')) {
+    return [{ offset: end, length: 0, content: `, ${memberFor(null)}` }];
+  }
+
+  let insertAt = text.indexOf('\n', end);
+  if (insertAt === -1 || insertAt > closing) {
+    insertAt = hasComma ? cursor + 1 : end;
+  } else if (text[insertAt - 1] === '\r') {
+    insertAt--;
+  }
+
+  const indent = lineIndent(text, last.offset);
+  const member = `${formatting.eol}${indent}${memberFor(indent)}`;
+  if (hasComma) {
+    // Trailing-comma style: keep it for the new member too
+    return [{ offset: insertAt, length: 0, content: `${member},` }];
+  }
+  if (insertAt === end) {
+    return [{ offset: end, length: 0, content: `,${member}` }];
+  }
+  return [
+    { offset: end, length: 0, content: ',' },
+    { offset: insertAt, length: 0, content: member }
+  ];
+}
+
+// Position after any spaces or tabs from `offset`
+function skipBlanks(text, offset) {
+  while (/[ \t]/.test(text[offset] || '')) {
+    offset++;
+  }
+  return offset;
+}
+
+// Edits removing a member that sits on its own line(s): the whole lines go,
+// including its comma and a trailing line comment. When it was the last
+// member, the comma after the new last member goes too, so strict JSON
+// files stay valid.
+function removeEdits(text, container, member) {
+  const start = member.offset;
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+
+  let cursor = skipBlanks(text, member.offset + member.length);
+  const hasComma = text[cursor] === ',';
+  if (hasComma) {
+    cursor = skipBlanks(text, cursor + 1);
+  }
+  if (text.startsWith('//', cursor)) {
+    const lineEnd = text.indexOf('\n', cursor);
+    cursor = lineEnd === -1 ? text.length : (text[lineEnd - 1] === '\r' ? lineEnd - 1 : lineEnd);
+  }
+
+  const ownLine = /^[ \t]*$/.test(text.slice(lineStart, start)) &&
+    (text[cursor] === '\n' || text.startsWith('\r\n', cursor));
+  if (!ownLine) {
+    return null;
+  }
+
+  const edits = [{ offset: lineStart, length: cursor + (text[cursor] === '\r' ? 2 : 1) - lineStart, content: '' }];
+  const index = container.children.indexOf(member);
+  if (!hasComma && index > 0) {
+    const previous = container.children[index - 1];
+    const comma = skipBlanks(text, previous.offset + previous.length);
+    if (text[comma] === ',') {
+      edits.push({ offset: comma, length: 1, content: '' });
+    }
+  }
+  return edits;
+}
+
+// Edits for setting (or, with undefined, removing) the value at `path`
+function editsFor(text, path, value, formatting, isArrayInsertion) {
+  const tree = parseTree(text, [], { allowTrailingComma: true, disallowComments: false });
+
+  if (value === undefined) {
+    const node = tree && findNodeAtLocation(tree, path);
+    const member = node && node.parent && node.parent.type === 'property' ? node.parent : node;
+    const edits = member && member.parent && removeEdits(text, member.parent, member);
+    return edits || modify(text, path, undefined, {});
+  }
+
+  const node = tree && !isArrayInsertion ? findNodeAtLocation(tree, path) : undefined;
+  if (node) {
+    return [{ offset: node.offset, length: node.length, content: stringifyAt(value, lineIndent(text, node.offset), formatting) }];
+  }
+
+  const container = tree && findNodeAtLocation(tree, path.slice(0, -1));
+  if (!container || !container.children || container.children.length === 0) {
+    return modify(text, path, value, { formattingOptions: formatting, isArrayInsertion });
+  }
+
+  const key = path[path.length - 1];
+  return appendEdits(text, container, (indent) => {
+    const valueText = indent === null ? JSON.stringify(value) : stringifyAt(value, indent, formatting);
+    return container.type === 'array' ? valueText : `${JSON.stringify(key)}: ${valueText}`;
+  }, formatting);
+}
+
+/**
+ * Rewrite a JSONC document so it holds `value`, editing only what changed.
+ * Comments, key order, indentation and line endings elsewhere are kept.
+ * @param {string} text - Current document
+ * @param {*} value - The complete new value
+ * @returns {string} The edited document
+ */
+function updateJsonc(text, value) {
+  const formatting = detectFormatting(text);
+  const edits = [];
+  collectEdits(parseJsonc(text), value, [], edits);
+
+  return edits.reduce((current, [path, newValue, isArrayInsertion]) =>
+    applyEdits(current, editsFor(current, path, newValue, formatting, isArrayInsertion)), text);
+}
+
+module.exports = {
+  parseJsonc,
+  detectFormatting,
+  updateJsonc
+};
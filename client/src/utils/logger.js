@@ -1,47 +1,104 @@
 const chalk = require('chalk');
 const ora = require('ora');
+const { maskSecrets } = require('./mask');
 
 class Logger {
   constructor() {
     this.spinner = null;
+    // Values masked in every message, in addition to keys inside Spectator URLs
+    this.secrets = new Set();
+    this.masking = true;
+    // In JSON mode only the result document reaches stdout
+    this.jsonMode = false;
+  }
+
+  // Switch to machine-readable output: no colors, spinners or human-readable text
+  setJsonMode(enabled) {
+    this.jsonMode = enabled;
+    if (enabled) {
+      chalk.level = 0;
+    }
+  }
+
+  // Print a command's result document (always, masked, as pretty JSON)
+  json(document) {
+    console.log(this.mask(JSON.stringify(document, null, 2)));
+  }
+
+  print(...args) {
+    if (!this.jsonMode) {
+      console.log(...args);
+    }
+  }
+
+  // Print without a trailing newline, e.g. before a ✓/✗ status
+  write(message) {
+    if (!this.jsonMode) {
+      process.stdout.write(this.mask(message));
+    }
+  }
+
+  // Register a value (e.g. the API key) that must never be printed in full
+  addSecret(secret) {
+    if (secret) {
+      this.secrets.add(secret);
+    }
+  }
+
+  // Turn masking off, for output the user asked to hold the key in full
+  // (--show-key)
+  setMasking(enabled) {
+    this.masking = enabled;
+  }
+
+  mask(message) {
+    return this.masking ? maskSecrets(message, this.secrets) : message;
+  }
+
+  // Print a message as-is (apart from masking)
+  log(message = '') {
+    this.print(this.mask(message));
   }
 
   info(message) {
-    console.log(chalk.blue('ℹ'), message);
+    this.print(chalk.blue('ℹ'), this.mask(message));
   }
 
   success(message) {
-    console.log(chalk.green('✓'), message);
+    this.print(chalk.green('✓'), this.mask(message));
   }
 
   error(message) {
-    console.log(chalk.red('✗'), message);
+    this.print(chalk.red('✗'), this.mask(message));
   }
 
   warning(message) {
-    console.log(chalk.yellow('⚠'), message);
+    this.print(chalk.yellow('⚠'), this.mask(message));
   }
 
   startSpinner(message) {
-    this.spinner = ora(message).start();
+    if (this.jsonMode) {
+      return;
+    }
+    this.spinner = ora(this.mask(message)).start();
   }
 
   updateSpinner(message) {
     if (this.spinner) {
-      this.spinner.text = message;
+      this.spinner.text = this.mask(message);
     }
   }
 
   succeedSpinner(message) {
     if (this.spinner) {
-      this.spinner.succeed(message);
+      this.spinner.succeed(this.mask(message));
       this.spinner = null;
     }
   }
 
   failSpinner(message) {
     if (this.spinner) {
-      this.spinner.fail(message);
+      this.spinner.fail(this.mask(message));
       this.spinner = null;
     }
   }
@@ -54,27 +111,27 @@ class Logger {
   }
 
   header(message) {
-    console.log('\n' + chalk.bold.underline(message) + '\n');
+    this.print('\n' + chalk.bold.underline(this.mask(message)) + '\n');
   }
 
   section(message) {
-    console.log('\n' + chalk.bold(message));
+    this.print('\n' + chalk.bold(this.mask(message)));
   }
 
   step(message) {
-    console.log(chalk.blue('→'), message);
+    this.print(chalk.blue('→'), this.mask(message));
   }
 
   result(icon, message) {
-    console.log(icon, message);
+    this.print(icon, this.mask(message));
   }
 
   code(message) {
-    console.log(chalk.gray(message));
+    this.print(chalk.gray(this.mask(message)));
   }
 
   url(message) {
-    console.log(chalk.cyan.underline(message));
+    this.print(chalk.cyan.underline(this.mask(message)));
   }
 }
 
@@ -0,0 +1,42 @@
+// Placeholders and variable references that are shown as-is
+const UNMASKED = /^(YOUR_API_KEY|YOUR_KEY|\$\{.*\})$/;
+
+// API keys in Spectator URLs, up to an ANSI escape or a JSON backslash
+const KEY_IN_URL = /(\/mcp-server\/mcp\/)([^\/\s"'`\\\x1b]+)/g;
+
+/**
+ * Mask a secret, keeping its first characters so keys can still be told apart
+ * @param {string} secret
+ * @returns {string} e.g. "sk_a****"
+ */
+function maskSecret(secret) {
+  if (!secret || UNMASKED.test(secret)) {
+    return secret;
+  }
+  return secret.length <= 8 ? '****' : `${secret.slice(0, 4)}****`;
+}
+
+/**
+ * Mask every known secret and every API key in a Spectator URL
+ * @param {string} text - Text about to be printed
+ * @param {Iterable<string>} [secrets] - Additional values to mask wherever they appear
+ * @returns {string}
+ */
+function maskSecrets(text, secrets = []) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  let masked = text.replace(KEY_IN_URL, (match, prefix, key) => `${prefix}${maskSecret(key)}`);
+  for (const secret of secrets) {
+    if (secret && !UNMASKED.test(secret)) {
+      masked = masked.split(secret).join(maskSecret(secret));
+    }
+  }
+  return masked;
+}
+
+module.exports = {
+  maskSecret,
+  maskSecrets
+};
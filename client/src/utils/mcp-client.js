@@ -0,0 +1,155 @@
+const axios = require('axios');
+const packageJson = require('../../package.json');
+const { getHost } = require('../config/endpoint');
+
+const PROTOCOL_VERSION = '2025-03-26';
+
+/**
+ * Minimal MCP client for the streamable HTTP transport. It only does what
+ * connectivity checks need: initialize, the initialized notification and
+ * tools/list.
+ */
+class McpClient {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.timeout = options.timeout || 10000;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.nextId = 1;
+    // Set once the server has answered any HTTP request
+    this.responded = false;
+  }
+
+  // Send a JSON-RPC request and return its result, throwing McpHttpError on
+  // HTTP failures and Error on JSON-RPC errors
+  async request(method, params = {}) {
+    const id = this.nextId++;
+    const response = await this.post({ jsonrpc: '2.0', id, method, params });
+    const message = parseResponseBody(response, id);
+
+    if (!message) {
+      throw new Error(`No response to ${method}`);
+    }
+    if (message.error) {
+      throw new Error(`${method} failed: ${message.error.message || JSON.stringify(message.error)}`);
+    }
+    return message.result;
+  }
+
+  async notify(method, params = {}) {
+    await this.post({ jsonrpc: '2.0', method, params });
+  }
+
+  async post(body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...this.headers
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+
+    const response = await axios.post(this.url, body, {
+      headers,
+      timeout: this.timeout,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+    this.responded = true;
+
+    if (response.status >= 400) {
+      throw new McpHttpError(response.status);
+    }
+
+    if (response.headers['mcp-session-id']) {
+      this.sessionId = response.headers['mcp-session-id'];
+    }
+    return response;
+  }
+
+  async initialize() {
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: packageJson.name, version: packageJson.version }
+    });
+    await this.notify('notifications/initialized');
+    return result;
+  }
+
+  async listTools() {
+    const result = await this.request('tools/list');
+    return result.tools || [];
+  }
+}
+
+class McpHttpError extends Error {
+  constructor(status) {
+    super(`Unexpected response: ${status}`);
+    this.name = 'McpHttpError';
+    this.status = status;
+  }
+}
+
+// Responses are either a JSON body or an SSE stream carrying JSON-RPC messages
+function parseResponseBody(response, id) {
+  const contentType = response.headers['content-type'] || '';
+  const body = response.data || '';
+
+  const messages = contentType.includes('text/event-stream')
+    ? body.split(/\r?\n\r?\n/)
+      .map(event => event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n'))
+      .filter(Boolean)
+      .map(data => JSON.parse(data))
+    : [].concat(body.trim() ? JSON.parse(body) : []);
+
+  return messages.find(message => message.id === id) || null;
+}
+
+/**
+ * Run a full MCP handshake (initialize + tools/list) against an endpoint
+ * @param {string} url - MCP endpoint URL
+ * @param {Object} [options] - McpClient options
+ * @returns {Promise<Object>} { reachable, authenticated, serverName, serverVersion, protocolVersion, toolCount, error }
+ */
+async function probeServer(url, options = {}) {
+  const client = new McpClient(url, options);
+  const status = { reachable: false, authenticated: false };
+
+  try {
+    const init = await client.initialize();
+    status.authenticated = true;
+    status.serverName = init?.serverInfo?.name;
+    status.serverVersion = init?.serverInfo?.version;
+    status.protocolVersion = init?.protocolVersion;
+
+    const tools = await client.listTools();
+    status.toolCount = tools.length;
+  } catch (error) {
+    const host = getHost(url) || url;
+    if (error instanceof McpHttpError && (error.status === 401 || error.status === 403)) {
+      status.authenticated = false;
+      status.error = `Invalid API key: ${host} rejected it (HTTP ${error.status})`;
+    } else if (error.code === 'ECONNREFUSED') {
+      status.error = `Cannot connect to ${host}: the connection was refused. Check that the server is running.`;
+    } else if (error.code === 'ENOTFOUND') {
+      status.error = `Cannot connect to ${host}: the host name could not be resolved. Check the endpoint and your internet connection.`;
+    } else {
+      status.error = error.message;
+    }
+  }
+
+  status.reachable = client.responded;
+  return status;
+}
+
+module.exports = {
+  McpClient,
+  McpHttpError,
+  probeServer
+};
@@ -0,0 +1,329 @@
+const { parse } = require('smol-toml');
+const { isObject, isEqual, collectEdits } = require('./value-edits');
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parse a TOML document
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseToml(text) {
+  try {
+    return parse(text);
+  } catch (error) {
+    // The message goes on with an excerpt of the document
+    throw new Error(error.message.split('\n')[0]);
+  }
+}
+
+function formatKey(key) {
+  return BARE_KEY.test(key) ? key : JSON.stringify(key);
+}
+
+function formatKeyPath(path) {
+  return path.map(formatKey).join('.');
+}
+
+// A value written on one line: arrays and tables inline
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(', ')}]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (isObject(value)) {
+    const pairs = Object.entries(value).map(([key, item]) => `${formatKey(key)} = ${formatValue(item)}`);
+    return pairs.length > 0 ? `{ ${pairs.join(', ')} }` : '{}';
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function isTableArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isObject);
+}
+
+// Lines of a table at `path`: its header, key/value statements, then its
+// subtables ([path.sub], or [[path.sub]] per item of an array of tables)
+function formatTable(path, value, isArrayItem = false) {
+  const entries = Object.entries(value);
+  const pairs = entries.filter(([, item]) => !isObject(item) && !isTableArray(item));
+  const tables = entries.filter(([, item]) => isObject(item) || isTableArray(item));
+
+  const lines = [];
+  // Tables holding only subtables are implied by their headers
+  if (path.length > 0 && (isArrayItem || pairs.length > 0 || tables.length === 0)) {
+    lines.push(isArrayItem ? `[[${formatKeyPath(path)}]]` : `[${formatKeyPath(path)}]`);
+  }
+  pairs.forEach(([key, item]) => lines.push(`${formatKey(key)} = ${formatValue(item)}`));
+
+  for (const [key, item] of tables) {
+    const items = isObject(item) ? [[item, false]] : item.map(table => [table, true]);
+    for (const [table, arrayItem] of items) {
+      if (lines.length > 0) {
+        lines.push('');
+      }
+      lines.push(...formatTable([...path, key], table, arrayItem));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Serialize a value as a new TOML document
+ * @param {Object} value
+ * @returns {string}
+ */
+function stringifyToml(value) {
+  return `${formatTable([], value).join('\n')}\n`;
+}
+
+// Read a dotted key (bare or quoted parts) from the start of `text`, as
+// { keys, rest }, or null if it doesn't start with one
+function readKey(text) {
+  const keys = [];
+  let rest = text;
+  for (;;) {
+    rest = rest.replace(/^[ \t]+/, '');
+    const match = rest.match(/^(?:"(?:[^"\\]|\\.)*"|'[^']*'|[A-Za-z0-9_-]+)/);
+    if (!match) {
+      return null;
+    }
+    try {
+      keys.push(match[0].startsWith("'") ? match[0].slice(1, -1) : parse(`k = ${match[0]}`).k);
+    } catch {
+      // A bare key
+      keys.push(match[0]);
+    }
+
+    rest = rest.slice(match[0].length).replace(/^[ \t]+/, '');
+    if (!rest.startsWith('.')) {
+      return { keys, rest };
+    }
+    rest = rest.slice(1);
+  }
+}
+
+// Last line of the key/value statement starting at `start`: the first line
+// up to which it parses on its own (values like arrays span several lines)
+function statementEnd(lines, start) {
+  for (let end = start; end < lines.length; end++) {
+    try {
+      parse(lines.slice(start, end + 1).join('\n'));
+      return end;
+    } catch {
+      // The value continues on the next line
+    }
+  }
+  return null;
+}
+
+// Split a document into its tables: the root table, then one per [header]
+// or [[header]], each with the key/value statements it holds and the lines
+// they span. Returns null for a document this scanner can't follow.
+function scanTables(lines) {
+  const root = { path: [], isArray: false, start: -1, statements: [] };
+  const tables = [root];
+  let table = root;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    if (line.startsWith('[')) {
+      const isArray = line.startsWith('[[');
+      const key = readKey(line.slice(isArray ? 2 : 1));
+      if (!key || !key.rest.startsWith(isArray ? ']]' : ']')) {
+        return null;
+      }
+      table = { path: key.keys, isArray, start: index, statements: [] };
+      tables.push(table);
+      continue;
+    }
+
+    const key = readKey(line);
+    const end = key && key.rest.startsWith('=') ? statementEnd(lines, index) : null;
+    if (end === null) {
+      return null;
+    }
+    table.statements.push({ keys: key.keys, path: [...table.path, ...key.keys], start: index, end });
+    index = end;
+  }
+  return tables;
+}
+
+// Last line belonging to a table (its header when it has no statements)
+function tableEnd(table) {
+  const last = table.statements[table.statements.length - 1];
+  return last ? last.end : table.start;
+}
+
+function startsWith(path, prefix) {
+  return prefix.length <= path.length && prefix.every((key, index) => path[index] === key);
+}
+
+function getIn(value, path) {
+  return path.reduce((current, key) => (isObject(current) ? current[key] : undefined), value);
+}
+
+// Insert lines as their own paragraph after line `after` (-1: at the top)
+function insertParagraph(lines, after, newLines) {
+  let at = after + 1;
+  // Keep the document's final newline last
+  if (at >= lines.length && lines[lines.length - 1] === '') {
+    at = lines.length - 1;
+  }
+  const paragraph = [...newLines];
+  if (at > 0 && lines[at - 1].trim() !== '') {
+    paragraph.unshift('');
+  }
+  if (at < lines.length && lines[at].trim() !== '') {
+    paragraph.push('');
+  }
+  lines.splice(at, 0, ...paragraph);
+}
+
+// Remove a table: the comments right above its header, the header, its
+// statements and comments between them, and the blank lines after it (or,
+// for the last table, the blank lines before it). Returns the line it was at.
+function removeTable(lines, table) {
+  let start = table.start;
+  while (start > 0 && lines[start - 1].trim().startsWith('#')) {
+    start--;
+  }
+  let end = tableEnd(table) + 1;
+  while (end < lines.length - 1 && lines[end].trim() === '') {
+    end++;
+  }
+  if (end >= lines.length - 1) {
+    while (start > 0 && lines[start - 1].trim() === '') {
+      start--;
+    }
+  }
+  lines.splice(start, end - start);
+  return start;
+}
+
+// A table a removal left empty (e.g. mcp_servers without its last server)
+// must still read back as an empty table: when no other header or key
+// defines it, it gets a [header] of its own where the removed lines were
+function keepEmptyParent(lines, path, target, at) {
+  const parentPath = path.slice(0, -1);
+  const parent = getIn(target, parentPath);
+  if (parentPath.length === 0 || !isObject(parent) || Object.keys(parent).length > 0) {
+    return;
+  }
+  const defined = scanTables(lines).some(table =>
+    (table.path.length > 0 && startsWith(table.path, parentPath)) ||
+    table.statements.some(statement => startsWith(statement.path, parentPath)));
+  if (!defined) {
+    insertParagraph(lines, at - 1, [`[${formatKeyPath(parentPath)}]`]);
+  }
+}
+
+// Make the document's value at `path` match `target`, editing `lines` in
+// place. Returns false when the edit can't be made without rewriting the
+// document.
+function applyEdit(lines, path, target) {
+  let tables = scanTables(lines);
+  if (!tables) {
+    return false;
+  }
+  const value = getIn(target, path);
+
+  // The path is, or is inside, a key/value statement (an inline table or
+  // array included): rewrite that statement
+  for (const table of tables.filter(t => !t.isArray)) {
+    const statement = table.statements.find(s => startsWith(path, s.path));
+    if (statement) {
+      const statementValue = getIn(target, statement.path);
+      const indent = lines[statement.start].match(/^[ \t]*/)[0];
+      const replacement = statementValue === undefined
+        ? []
+        : [`${indent}${formatKeyPath(statement.keys)} = ${formatValue(statementValue)}`];
+      lines.splice(statement.start, statement.end - statement.start + 1, ...replacement);
+      return true;
+    }
+  }
+
+  // Tables at or under the path ([path], [path.sub], [[path]]) are removed,
+  // then written again below if the path still has a value
+  const owned = tables.filter(t => t.path.length > 0 && startsWith(t.path, path));
+  if (owned.length === 0 && value === undefined) {
+    // Defined some other way, e.g. with dotted keys
+    return false;
+  }
+  // Removed last to first, so the last position is where the first one was
+  const removedAt = owned.reverse().map(table => removeTable(lines, table)).pop();
+  if (value === undefined) {
+    keepEmptyParent(lines, path, target, removedAt);
+    return true;
+  }
+  tables = scanTables(lines);
+
+  const parentPath = path.slice(0, -1);
+  const parent = tables.find(t => !t.isArray && isEqual(t.path, parentPath));
+  const isTable = isObject(value) || isTableArray(value);
+
+  if (!isTable && parent && (parent.start >= 0 || parent.statements.length > 0)) {
+    const last = parent.statements[parent.statements.length - 1];
+    const indent = last ? lines[last.start].match(/^[ \t]*/)[0] : '';
+    lines.splice(tableEnd(parent) + 1, 0, `${indent}${formatKey(path[path.length - 1])} = ${formatValue(value)}`);
+    return true;
+  }
+
+  if (!isTable && parentPath.length === 0) {
+    // A first key in the root table goes above every header
+    const firstHeader = tables[1] ? tables[1].start : lines.length;
+    insertParagraph(lines, firstHeader - 1, [`${formatKey(path[0])} = ${formatValue(value)}`]);
+    return true;
+  }
+
+  // A new table, after the last table in its parent (or at the end)
+  const tablePath = isTable ? path : parentPath;
+  const tableValue = isTable ? value : { [path[path.length - 1]]: value };
+  const hasDottedKeys = tables.some(t => t.statements.some(s => s.path.length > tablePath.length && startsWith(s.path, tablePath)));
+  if (hasDottedKeys) {
+    // A table defined with dotted keys can't also get a [header]
+    return false;
+  }
+  const parentTablePath = tablePath.slice(0, -1);
+  const siblings = tables.filter(t => t.path.length > 0 && startsWith(t.path, parentTablePath));
+  const after = siblings.length > 0 && parentTablePath.length > 0
+    ? Math.max(...siblings.map(tableEnd))
+    : lines.length - 1;
+  insertParagraph(lines, after, formatTable(parentTablePath, { [tablePath[tablePath.length - 1]]: tableValue }));
+  return true;
+}
+
+/**
+ * Rewrite a TOML document so it holds `value`, editing only the statements
+ * and tables that changed. Comments, key order and formatting elsewhere are
+ * kept.
+ * @param {string} text - Current document
+ * @param {Object} value - The complete new value
+ * @returns {string} The edited document
+ * @throws {Error} For layouts that can't be edited in place (e.g. a table
+ *   defined with dotted keys), rather than rewriting the whole document
+ */
+function updateToml(text, value) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(eol);
+  const edits = [];
+  collectEdits(parseToml(text), value, [], edits, { wholeArrays: true });
+
+  const failed = edits.find(([path]) => path.length === 0 || !applyEdit(lines, path, value));
+  if (failed) {
+    throw new Error(`Cannot edit "${formatKeyPath(failed[0])}" in place; change it by hand`);
+  }
+  return lines.join(eol);
+}
+
+module.exports = {
+  parseToml,
+  stringifyToml,
+  updateToml
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-write');
+
+// A file that is already gone, or whose folder never was a folder, needs no
+// deleting
+const ALREADY_ABSENT = ['ENOENT', 'ENOTDIR'];
+
+/**
+ * Records the original state of every config file touched during a run so the
+ * whole run can be undone if a later step fails.
+ */
+class ConfigTransaction {
+  constructor() {
+    // path -> original content, or null if the file did not exist
+    this.originals = new Map();
+    // path -> backups of it made during the run
+    this.backups = new Map();
+  }
+
+  get size() {
+    return this.originals.size;
+  }
+
+  // Remember a file's current content before it is first modified
+  record(filePath) {
+    if (this.originals.has(filePath)) {
+      return;
+    }
+    this.originals.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+  }
+
+  // Remember a backup made during the run (backupPath may be null when there
+  // was nothing to back up)
+  recordBackup(filePath, backupPath) {
+    if (backupPath) {
+      this.backups.set(filePath, [...(this.backups.get(filePath) || []), backupPath]);
+    }
+  }
+
+  /**
+   * Restore every recorded file to its original content, deleting files that
+   * did not exist before the run. The backups made of a restored file are
+   * deleted too: they hold what it holds again. Those of a file that could not
+   * be restored are kept, as they may be its only copy.
+   * @returns {{ restored: string[], failed: Array<{ path: string, error: string }> }}
+   */
+  rollback() {
+    const restored = [];
+    const failed = [];
+
+    for (const [filePath, original] of this.originals) {
+      try {
+        if (original === null) {
+          removeFile(filePath);
+        } else {
+          writeFileAtomic(filePath, original);
+        }
+        restored.push(filePath);
+      } catch (error) {
+        failed.push({ path: filePath, error: error.message });
+        continue;
+      }
+      for (const backupPath of this.backups.get(filePath) || []) {
+        try {
+          removeFile(backupPath);
+        } catch {
+          // A leftover backup is harmless
+        }
+      }
+    }
+
+    this.originals.clear();
+    this.backups.clear();
+    return { restored, failed };
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.rmSync(filePath, { force: true });
+  } catch (error) {
+    if (!ALREADY_ABSENT.includes(error.code)) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ConfigTransaction;
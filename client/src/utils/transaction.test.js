@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ConfigTransaction = require('./transaction');
+const { createBackup } = require('./backups');
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spectator-transaction-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('rollback restores changed files and deletes created ones', (t) => {
+  const dir = createDir(t);
+  const changed = path.join(dir, 'changed.json');
+  const created = path.join(dir, 'nested', 'created.json');
+  fs.writeFileSync(changed, '{"a":1}');
+
+  const transaction = new ConfigTransaction();
+  transaction.record(changed);
+  transaction.record(created);
+  fs.writeFileSync(changed, '{"a":2}');
+  fs.mkdirSync(path.dirname(created));
+  fs.writeFileSync(created, '{}');
+  // A second record keeps the original content
+  transaction.record(changed);
+  assert.strictEqual(transaction.size, 2);
+
+  assert.deepStrictEqual(transaction.rollback(), { restored: [changed, created], failed: [] });
+  assert.strictEqual(fs.readFileSync(changed, 'utf8'), '{"a":1}');
+  assert.strictEqual(fs.existsSync(created), false);
+  assert.strictEqual(transaction.size, 0);
+});
+
+test('rollback deletes the backups of restored files only', (t) => {
+  const dir = createDir(t);
+  const restored = path.join(dir, 'restored.json');
+  const blocked = path.join(dir, 'blocked.json');
+  fs.writeFileSync(restored, 'before');
+
+  const transaction = new ConfigTransaction();
+  transaction.record(restored);
+  const backup = createBackup(restored);
+  transaction.recordBackup(restored, backup);
+  fs.writeFileSync(restored, 'after');
+
+  // The folder the file was in became a file, so it can't be written back
+  fs.mkdirSync(blocked);
+  fs.writeFileSync(path.join(blocked, 'config.json'), 'before');
+  transaction.record(path.join(blocked, 'config.json'));
+  const blockedBackup = path.join(dir, 'blocked.backup');
+  fs.writeFileSync(blockedBackup, 'before');
+  transaction.recordBackup(path.join(blocked, 'config.json'), blockedBackup);
+  fs.rmSync(blocked, { recursive: true });
+  fs.writeFileSync(blocked, '');
+
+  const { restored: done, failed } = transaction.rollback();
+  assert.deepStrictEqual(done, [restored]);
+  assert.deepStrictEqual(failed.map(f => f.path), [path.join(blocked, 'config.json')]);
+  assert.strictEqual(fs.readFileSync(restored, 'utf8'), 'before');
+  assert.strictEqual(fs.existsSync(backup), false);
+  assert.strictEqual(fs.existsSync(blockedBackup), true);
+});
@@ -0,0 +1,104 @@
+// Structural diff of two parsed config values, shared by the format editors
+// (jsonc.js, yaml.js, toml.js) so each edits only what changed on disk
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Keys holding a value (a key set to undefined counts as absent)
+function definedKeys(object) {
+  return Object.keys(object).filter(key => object[key] !== undefined);
+}
+
+// Deep equality that ignores key order
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = definedKeys(a);
+    return keys.length === definedKeys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Indexes of `before` to delete to get `after`, when `after` is `before` with
+// some items taken out; null otherwise
+function findRemovedItems(before, after) {
+  const removed = [];
+  let next = 0;
+  before.forEach((item, index) => {
+    if (next < after.length && isEqual(item, after[next])) {
+      next++;
+    } else {
+      removed.push(index);
+    }
+  });
+  return next === after.length ? removed : null;
+}
+
+/**
+ * Collect [path, value] edits turning `before` into `after`. Objects are
+ * compared key by key, arrays item by item when only items were appended,
+ * removed or changed in place; anything else is replaced whole.
+ * A value of undefined removes the path; a third element of true marks an
+ * array item to insert.
+ * @param {*} before
+ * @param {*} after
+ * @param {Array<string|number>} path - Path of both values in the document
+ * @param {Array} edits - Receives the edits
+ * @param {Object} [options]
+ * @param {boolean} [options.wholeArrays] - Replace changed arrays whole
+ */
+function collectEdits(before, after, path, edits, options = {}) {
+  if (isEqual(before, after)) {
+    return;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    Object.keys(before)
+      .filter(key => !(key in after) || after[key] === undefined)
+      .forEach(key => edits.push([[...path, key], undefined]));
+    Object.keys(after)
+      .filter(key => after[key] !== undefined)
+      .forEach(key => {
+        if (key in before) {
+          collectEdits(before[key], after[key], [...path, key], edits, options);
+        } else {
+          edits.push([[...path, key], after[key]]);
+        }
+      });
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after) && !options.wholeArrays) {
+    // Items taken out anywhere are deleted, so the ones after them (and their
+    // comments) stay as they are
+    const removed = after.length < before.length ? findRemovedItems(before, after) : null;
+    if (removed) {
+      removed.reverse().forEach(index => edits.push([[...path, index], undefined]));
+      return;
+    }
+
+    const shared = Math.min(before.length, after.length);
+    for (let index = 0; index < shared; index++) {
+      collectEdits(before[index], after[index], [...path, index], edits, options);
+    }
+    // Remove from the end so earlier indexes stay valid
+    for (let index = before.length - 1; index >= shared; index--) {
+      edits.push([[...path, index], undefined]);
+    }
+    for (let index = shared; index < after.length; index++) {
+      edits.push([[...path, index], after[index], true]);
+    }
+    return;
+  }
+
+  edits.push([path, after]);
+}
+
+module.exports = {
+  isObject,
+  isEqual,
+  collectEdits
+};
@@ -1,4 +1,5 @@
 const chalk = require('chalk');
+const EXIT_CODES = require('./exit-codes');
 const { execSync } = require('child_process');
 
 /**
@@ -83,7 +84,7 @@ function ensureVersions(exitOnError = true) {
     console.error(chalk.yellow('   Or visit: https://nodejs.org/'));
     
     if (exitOnError) {
-      process.exit(1);
+      process.exit(EXIT_CODES.UNSUPPORTED_ENVIRONMENT);
     }
   }
   
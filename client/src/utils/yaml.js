@@ -0,0 +1,96 @@
+const YAML = require('yaml');
+const { collectEdits } = require('./value-edits');
+
+// Long URLs stay on one line instead of being folded, and flow collections
+// keep the usual [a, b] spacing
+const STRINGIFY_OPTIONS = { lineWidth: 0, flowCollectionPadding: false };
+
+function parseDocument(text) {
+  const document = YAML.parseDocument(text);
+  if (document.errors.length > 0) {
+    throw new Error(document.errors[0].message.split('\n')[0]);
+  }
+  return document;
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text
+ * @returns {*} The parsed value (null for an empty document)
+ */
+function parseYaml(text) {
+  return parseDocument(text).toJS();
+}
+
+/**
+ * Serialize a value as a new YAML document
+ * @param {*} value
+ * @returns {string}
+ */
+function stringifyYaml(value) {
+  return YAML.stringify(value, STRINGIFY_OPTIONS);
+}
+
+// Node a map entry's or list item's leading comment is kept on
+function commentHolder(item) {
+  return YAML.isPair(item) ? item.key : item;
+}
+
+// The comment above the first entry of a map or list usually heads the whole
+// block (or file) rather than that entry, so deleting the entry at `path`
+// moves it to the next one instead of dropping it
+function keepLeadingComment(document, path) {
+  const parent = path.length > 1 ? document.getIn(path.slice(0, -1), true) : document.contents;
+  const key = path[path.length - 1];
+  const first = parent && parent.items && parent.items[0];
+  const isFirst = YAML.isMap(parent)
+    ? Boolean(first) && YAML.isScalar(first.key) && first.key.value === key
+    : YAML.isSeq(parent) && Number(key) === 0;
+  const holder = isFirst && commentHolder(first);
+  if (!holder || !holder.commentBefore) {
+    return;
+  }
+
+  const next = parent.items[1] && commentHolder(parent.items[1]);
+  if (next) {
+    next.commentBefore = [holder.commentBefore, next.commentBefore].filter(Boolean).join('\n');
+  } else if (parent === document.contents) {
+    document.commentBefore = [document.commentBefore, holder.commentBefore].filter(Boolean).join('\n');
+  }
+}
+
+/**
+ * Rewrite a YAML document so it holds `value`, editing only the nodes that
+ * changed. Comments, key order, scalar styles and line endings elsewhere are
+ * kept.
+ * @param {string} text - Current document
+ * @param {*} value - The complete new value
+ * @returns {string} The edited document
+ */
+function updateYaml(text, value) {
+  const document = parseDocument(text);
+  const edits = [];
+  collectEdits(document.toJS(), value, [], edits);
+
+  for (const [path, newValue, isArrayInsertion] of edits) {
+    if (path.length === 0) {
+      document.contents = document.createNode(value);
+    } else if (newValue === undefined) {
+      keepLeadingComment(document, path);
+      document.deleteIn(path);
+    } else if (isArrayInsertion) {
+      document.addIn(path.slice(0, -1), document.createNode(newValue));
+    } else {
+      document.setIn(path, document.createNode(newValue));
+    }
+  }
+  // The library writes \n line endings only
+  const updated = document.toString(STRINGIFY_OPTIONS);
+  return text.includes('\r\n') ? updated.replace(/\r?\n/g, '\r\n') : updated;
+}
+
+module.exports = {
+  parseYaml,
+  stringifyYaml,
+  updateYaml
+};